@@ -22,7 +22,12 @@ case "$ENV" in
       --exclude "README.md" \
       --exclude ".DS_Store" \
       --exclude ".claude/*" \
-      --exclude "deploy.sh"
+      --exclude "deploy.sh" \
+      --exclude "media/*" \
+      --exclude "dev/*" \
+      --exclude "test/*" \
+      --exclude "node_modules/*" \
+      --exclude "package*.json"
     echo ""
     echo "Done! View at:"
     echo "  http://$DEV_BUCKET.s3-website-us-east-1.amazonaws.com"
@@ -42,7 +47,12 @@ case "$ENV" in
       --exclude "README.md" \
       --exclude ".DS_Store" \
       --exclude ".claude/*" \
-      --exclude "deploy.sh"
+      --exclude "deploy.sh" \
+      --exclude "media/*" \
+      --exclude "dev/*" \
+      --exclude "test/*" \
+      --exclude "node_modules/*" \
+      --exclude "package*.json"
 
     echo ""
     echo "Invalidating CloudFront cache..."
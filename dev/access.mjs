@@ -0,0 +1,55 @@
+/**
+ * Stand-in for Cloudflare Access when running the admin API worker in Node
+ *
+ * Makes an RSA key pair, answers the worker's fetch of the Access signing
+ * keys (https://<team>.cloudflareaccess.com/cdn-cgi/access/certs) with its
+ * public half, and signs a short-lived assertion for the caller to send as
+ * CF-Access-JWT-Assertion. The worker verifies it exactly as it verifies
+ * Access in production; nothing in the worker knows it runs locally.
+ */
+
+export const LOCAL_ACCESS_TEAM = 'skiframes-local';
+
+const KEY_ID = 'local-dev';
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+function base64url(bytes) {
+    return Buffer.from(bytes).toString('base64url');
+}
+
+/**
+ * Install the local Access keys. Returns { assertion(email) } to sign
+ * identities; set env.CF_ACCESS_TEAM to LOCAL_ACCESS_TEAM.
+ */
+export async function createLocalAccess() {
+    const { privateKey, publicKey } = await crypto.subtle.generateKey(
+        { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+        true,
+        ['sign', 'verify']
+    );
+    const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: KEY_ID };
+
+    const certsUrl = `https://${LOCAL_ACCESS_TEAM}.cloudflareaccess.com/cdn-cgi/access/certs`;
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = (input, init) => {
+        const url = typeof input === 'string' ? input : input.url ?? String(input);
+        if (url === certsUrl) return Promise.resolve(Response.json({ keys: [jwk] }));
+        return realFetch(input, init);
+    };
+
+    return {
+        async assertion(email) {
+            const header = base64url(JSON.stringify({ alg: 'RS256', kid: KEY_ID, typ: 'JWT' }));
+            const payload = base64url(JSON.stringify({
+                email,
+                exp: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_SECONDS
+            }));
+            const signature = await crypto.subtle.sign(
+                'RSASSA-PKCS1-v1_5',
+                privateKey,
+                new TextEncoder().encode(`${header}.${payload}`)
+            );
+            return `${header}.${payload}.${base64url(new Uint8Array(signature))}`;
+        }
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Durable Object bindings for running the admin API worker in Node
+ *
+ * One instance per name, created on first use, with storage held in memory
+ * (lost when the dev server stops) and alarms run with setTimeout. Requests
+ * to an object aren't serialized the way Cloudflare's are, and there are no
+ * WebSockets - the live page falls back to polling config/bib-state.json.
+ */
+
+function createObjectStorage(onAlarm) {
+    const values = new Map();
+    let alarm = null;
+    let alarmTimer = null;
+
+    return {
+        async get(key) {
+            if (Array.isArray(key)) {
+                return new Map(key.filter(k => values.has(k)).map(k => [k, structuredClone(values.get(k))]));
+            }
+            return structuredClone(values.get(key));
+        },
+
+        async put(key, value) {
+            const entries = typeof key === 'object' ? Object.entries(key) : [[key, value]];
+            for (const [k, v] of entries) values.set(k, structuredClone(v));
+        },
+
+        async delete(key) {
+            if (Array.isArray(key)) return key.filter(k => values.delete(k)).length;
+            return values.delete(key);
+        },
+
+        async list({ prefix = '' } = {}) {
+            return new Map([...values.keys()]
+                .filter(key => key.startsWith(prefix))
+                .sort()
+                .map(key => [key, structuredClone(values.get(key))]));
+        },
+
+        async getAlarm() {
+            return alarm;
+        },
+
+        async setAlarm(time) {
+            clearTimeout(alarmTimer);
+            alarm = typeof time === 'number' ? time : new Date(time).getTime();
+            alarmTimer = setTimeout(() => {
+                alarm = null;
+                onAlarm();
+            }, Math.max(0, alarm - Date.now()));
+        },
+
+        async deleteAlarm() {
+            clearTimeout(alarmTimer);
+            alarm = null;
+        }
+    };
+}
+
+/**
+ * A namespace binding (env.LIVE_STATE etc.) for a Durable Object class
+ */
+export function createNamespace(ObjectClass, env) {
+    const instances = new Map();
+
+    function instance(name) {
+        if (!instances.has(name)) {
+            let object = null;
+            const state = {
+                storage: createObjectStorage(() => {
+                    Promise.resolve(object.alarm?.()).catch(e => console.error(`${ObjectClass.name} alarm failed:`, e));
+                }),
+                acceptWebSocket() {
+                    throw new Error('WebSockets are not available in the dev server');
+                },
+                getWebSockets() {
+                    return [];
+                }
+            };
+            object = new ObjectClass(state, env);
+            instances.set(name, object);
+        }
+        return instances.get(name);
+    }
+
+    return {
+        idFromName(name) {
+            return name;
+        },
+
+        get(id) {
+            return {
+                fetch: (input, init) => instance(id).fetch(new Request(input, init))
+            };
+        }
+    };
+}
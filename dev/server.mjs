@@ -0,0 +1,228 @@
+/**
+ * Local development server
+ *
+ *   node dev/server.mjs [--port 8000] [--host 127.0.0.1] [--media ./media] [--email dev@localhost] [--not-admin]
+ *
+ * Serves the site, a local media/ directory laid out like the S3 bucket at
+ * /media, and the admin API worker at /api, with the bucket being that same
+ * directory. Pages get window.SKIFRAMES_CONFIG pointing at both, so the
+ * site, admin panel, operator console and live page work offline.
+ *
+ * There's no Cloudflare Access locally: every admin API request carries an
+ * assertion for --email signed by a local key (see access.mjs), which is an
+ * admin unless --not-admin is given (its role then comes from
+ * media/private/roles.json). That makes anyone who can reach the server an
+ * admin, so it only listens on 127.0.0.1 unless --host says otherwise.
+ */
+
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { mkdir, readFile, stat } from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import worker, { DeviceRegistry, LiveState } from '../workers/admin-api/src/index.js';
+import { createFsStorage } from '../workers/admin-api/src/storage-fs.js';
+import { LOCAL_ACCESS_TEAM, createLocalAccess } from './access.mjs';
+import { createNamespace } from './durable-objects.mjs';
+
+const SITE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.csv': 'text/csv; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.woff2': 'font/woff2'
+};
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8000' },
+        host: { type: 'string', default: '127.0.0.1' },
+        media: { type: 'string', default: path.join(SITE_ROOT, 'media') },
+        email: { type: 'string', default: 'dev@localhost' },
+        'not-admin': { type: 'boolean', default: false }
+    }
+});
+
+const port = parseInt(options.port, 10);
+const mediaRoot = path.resolve(options.media);
+const origin = `http://localhost:${port}`;
+
+const env = {
+    STORAGE: createFsStorage(mediaRoot),
+    CF_ACCESS_TEAM: LOCAL_ACCESS_TEAM,
+    ADMIN_EMAILS: options['not-admin'] ? '' : options.email,
+    ALLOWED_ORIGINS: origin,
+    SITE_ORIGIN: origin,
+    TRASH_RETENTION_DAYS: '30',
+    GC_MIN_AGE_HOURS: '24'
+    // No MEDIA_CLOUDFRONT_ID or INVALIDATION_QUEUE: nothing is cached locally
+};
+env.LIVE_STATE = createNamespace(LiveState, env);
+env.DEVICE_REGISTRY = createNamespace(DeviceRegistry, env);
+
+const access = await createLocalAccess();
+
+// Top-level bucket folders the media route never serves
+const PRIVATE_MEDIA_DIRS = ['private', 'trash'];
+
+// Tells js/api.js to read from /media and call the admin API at /api
+const CONFIG_SCRIPT = `<script>window.SKIFRAMES_CONFIG = Object.assign({ dataSource: 'local', localMediaBase: '/media', adminApiUrl: '/api' }, window.SKIFRAMES_CONFIG);</script>`;
+
+/**
+ * File under root for a URL path, or null if it would leave root or is hidden
+ */
+function resolveFile(root, urlPath) {
+    const decoded = decodeURIComponent(urlPath);
+    if (decoded.split('/').some(part => part.startsWith('.'))) return null;
+    const file = path.resolve(root, '.' + decoded);
+    return file === root || file.startsWith(root + path.sep) ? file : null;
+}
+
+/**
+ * Bucket paths CloudFront denies (private/ and trash/), however the URL spells them
+ */
+function isPrivateMedia(urlPath) {
+    const top = decodeURIComponent(urlPath).split('/').find(part => part !== '');
+    return PRIVATE_MEDIA_DIRS.includes(top);
+}
+
+async function serveFile(req, res, root, urlPath, { injectConfig = false } = {}) {
+    let file = resolveFile(root, urlPath);
+    let info = file && await stat(file).catch(() => null);
+    if (info?.isDirectory()) {
+        file = path.join(file, 'index.html');
+        info = await stat(file).catch(() => null);
+    }
+    if (!info?.isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not Found');
+        return;
+    }
+
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+    if (injectConfig && contentType.startsWith('text/html')) {
+        const html = (await readFile(file, 'utf8')).replace(/<head[^>]*>/i, match => `${match}\n    ${CONFIG_SCRIPT}`);
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' }).end(html);
+        return;
+    }
+
+    // Revalidation, as js/cache.js does against CloudFront
+    const etag = `"${createHash('md5').update(`${info.size}-${info.mtimeMs}`).digest('hex')}"`;
+    const headers = {
+        'Content-Type': contentType,
+        'Cache-Control': 'no-cache',
+        'ETag': etag,
+        'Last-Modified': info.mtime.toUTCString(),
+        'Accept-Ranges': 'bytes'
+    };
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers).end();
+        return;
+    }
+
+    // Video seeking needs byte ranges
+    const range = req.headers.range?.match(/^bytes=(\d*)-(\d*)$/);
+    if (range && (range[1] || range[2])) {
+        const start = range[1] ? parseInt(range[1], 10) : Math.max(0, info.size - parseInt(range[2], 10));
+        const end = range[1] && range[2] ? Math.min(parseInt(range[2], 10), info.size - 1) : info.size - 1;
+        if (start > end || start >= info.size) {
+            res.writeHead(416, { 'Content-Range': `bytes */${info.size}` }).end();
+            return;
+        }
+        res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${info.size}`, 'Content-Length': end - start + 1 });
+        if (req.method === 'HEAD') return res.end();
+        createReadStream(file, { start, end }).pipe(res);
+        return;
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': info.size });
+    if (req.method === 'HEAD') return res.end();
+    createReadStream(file).pipe(res);
+}
+
+/**
+ * Pass a request under /api to the worker
+ */
+async function handleApi(req, res, url) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(req.headers)) {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    }
+    headers.set('CF-Access-JWT-Assertion', await access.assertion(options.email));
+
+    const request = new Request(`${origin}${url.pathname.slice('/api'.length) || '/'}${url.search}`, {
+        method: req.method,
+        headers,
+        body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks)
+    });
+
+    const pending = [];
+    const ctx = { waitUntil: promise => pending.push(promise) };
+    const response = await worker.fetch(request, env, ctx);
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+
+    // Audit entries are written after the response, as on Cloudflare
+    for (const result of await Promise.allSettled(pending)) {
+        if (result.status === 'rejected') console.error('waitUntil failed:', result.reason);
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, origin);
+
+    try {
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else if (!['GET', 'HEAD'].includes(req.method)) {
+            res.writeHead(405, { 'Content-Type': 'text/plain' }).end('Method Not Allowed');
+        } else if (url.pathname.startsWith('/media/') && isPrivateMedia(url.pathname.slice('/media'.length))) {
+            // Never served by CloudFront either; read through the admin API
+            res.writeHead(403, { 'Content-Type': 'text/plain' }).end('Forbidden');
+        } else if (url.pathname.startsWith('/media/')) {
+            await serveFile(req, res, mediaRoot, url.pathname.slice('/media'.length));
+        } else {
+            await serveFile(req, res, SITE_ROOT, url.pathname, { injectConfig: true });
+        }
+    } catch (error) {
+        console.error(`${req.method} ${url.pathname} failed:`, error);
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal Error: ' + error.message);
+    }
+
+    console.log(`${req.method} ${url.pathname}${url.search} ${res.statusCode}`);
+});
+
+// No WebSockets locally (see durable-objects.mjs); the live page polls instead
+server.on('upgrade', (req, socket) => {
+    socket.end('HTTP/1.1 501 Not Implemented\r\nConnection: close\r\n\r\n');
+});
+
+await mkdir(mediaRoot, { recursive: true });
+server.listen(port, options.host, () => {
+    console.log(`Skiframes dev server at ${origin}${options.host === '127.0.0.1' ? '' : ` (listening on ${options.host})`}`);
+    console.log(`  media:     ${mediaRoot} (served at /media)`);
+    console.log(`  admin API: ${origin}/api as ${options.email}${options['not-admin'] ? '' : ' (admin)'}`);
+});
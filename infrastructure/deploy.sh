@@ -36,6 +36,11 @@ aws s3 sync "$PROJECT_DIR" "s3://$BUCKET_NAME" \
     --exclude "CLAUDE.md" \
     --exclude "*.md" \
     --exclude ".DS_Store" \
+    --exclude "media/*" \
+    --exclude "dev/*" \
+    --exclude "test/*" \
+    --exclude "node_modules/*" \
+    --exclude "package*.json" \
     --delete \
     --cache-control "max-age=31536000" \
     --region "$REGION"
@@ -57,26 +57,79 @@ if [ -f "$SESSION_MANIFEST" ] && [ ! -f "$MANIFEST_PATH" ]; then
     cp "$SESSION_MANIFEST" "$MANIFEST_PATH"
 fi
 
-# Sync all files
+if [ ! -f "$MANIFEST_PATH" ]; then
+    echo -e "${RED}No manifest.json found! Create one or ensure session_manifest.json exists.${NC}"
+    exit 1
+fi
+
+# Sync all files (the manifest goes last, once everything it points to is up)
 aws s3 sync "$SOURCE_DIR" "s3://$BUCKET_NAME/events/$EVENT_ID/" \
     --exclude ".DS_Store" \
     --exclude "*.txt" \
     --exclude "*.log" \
     --exclude "session_manifest.json" \
+    --exclude "manifest.json" \
     --region "$REGION"
 
-# Upload manifest with proper content type
-if [ -f "$MANIFEST_PATH" ]; then
-    echo -e "${YELLOW}Uploading manifest.json...${NC}"
-    aws s3 cp "$MANIFEST_PATH" "s3://$BUCKET_NAME/events/$EVENT_ID/manifest.json" \
-        --content-type "application/json" \
-        --cache-control "max-age=60" \
-        --region "$REGION"
-else
-    echo -e "${RED}No manifest.json found! Create one or ensure session_manifest.json exists.${NC}"
-    exit 1
+# Set CF_ACCESS_CLIENT_ID/CF_ACCESS_CLIENT_SECRET to a Cloudflare Access service token.
+ADMIN_API_URL="${ADMIN_API_URL:-https://skiframes-admin-api.avillach.workers.dev}"
+
+# Edge montage manifests (runs[]) are merged run by run through the admin API,
+# so edits made in the admin panel aren't overwritten
+IS_EDGE=$(python3 -c "
+import json
+with open('$MANIFEST_PATH') as f:
+    print('yes' if isinstance(json.load(f).get('runs'), list) else 'no')
+" 2>/dev/null || echo no)
+
+if [ "$IS_EDGE" = "yes" ]; then
+    echo -e "${YELLOW}Posting runs to $ADMIN_API_URL/ingest/run...${NC}"
+    python3 -c "
+import json
+with open('$MANIFEST_PATH') as f:
+    m = json.load(f)
+event = {k: m[k] for k in ('event_name', 'event_date', 'event_type', 'discipline', 'group', 'camera_id',
+                          'device_id', 'montage_fps_list', 'min_run_duration_seconds') if k in m}
+for run in m['runs']:
+    print(json.dumps({'eventId': '$EVENT_ID', 'event': event, 'run': run}))
+" | while IFS= read -r BODY; do
+        curl -sf -X POST "$ADMIN_API_URL/ingest/run" \
+            -H "Content-Type: application/json" \
+            ${CF_ACCESS_CLIENT_ID:+-H "CF-Access-Client-Id: $CF_ACCESS_CLIENT_ID"} \
+            ${CF_ACCESS_CLIENT_SECRET:+-H "CF-Access-Client-Secret: $CF_ACCESS_CLIENT_SECRET"} \
+            -d "$BODY" > /dev/null \
+            || { echo -e "${RED}Failed to ingest a run - re-run this script to retry${NC}"; exit 1; }
+    done
+    echo -e "${GREEN}Sync complete!${NC}"
+    echo "View at: https://skiframes.com/event.html?event=$EVENT_ID"
+    exit 0
 fi
 
+# Upload manifest with proper content type, declaring its schema version and
+# format if the producer didn't (see "Manifest schema" in README.md)
+echo -e "${YELLOW}Uploading manifest.json...${NC}"
+UPLOAD_MANIFEST=$(mktemp)
+trap 'rm -f "$UPLOAD_MANIFEST"' EXIT
+python3 -c "
+import json
+with open('$MANIFEST_PATH') as f:
+    m = json.load(f)
+if 'format' not in m:
+    if isinstance(m.get('content'), dict):
+        m['format'] = 'skiframes'
+    elif isinstance(m.get('categories'), list):
+        m['format'] = 'race'
+    elif 'videos' in m or 'race' in m:
+        m['format'] = 'stitcher'
+m.setdefault('schema_version', 1)
+with open('$UPLOAD_MANIFEST', 'w') as f:
+    json.dump(m, f, indent=2)
+"
+aws s3 cp "$UPLOAD_MANIFEST" "s3://$BUCKET_NAME/events/$EVENT_ID/manifest.json" \
+    --content-type "application/json" \
+    --cache-control "max-age=60" \
+    --region "$REGION"
+
 # Extract event info from manifest for index update
 EVENT_NAME=$(python3 -c "
 import json
@@ -185,6 +238,15 @@ aws s3 cp "$INDEX_PATH" "s3://$BUCKET_NAME/index.json" \
     --cache-control "max-age=60" \
     --region "$REGION"
 
+# Refresh the athlete search index (athletes.json) for this event.
+echo -e "${YELLOW}Updating athlete search index...${NC}"
+curl -sf -X POST "$ADMIN_API_URL/update-athlete-index" \
+    -H "Content-Type: application/json" \
+    ${CF_ACCESS_CLIENT_ID:+-H "CF-Access-Client-Id: $CF_ACCESS_CLIENT_ID"} \
+    ${CF_ACCESS_CLIENT_SECRET:+-H "CF-Access-Client-Secret: $CF_ACCESS_CLIENT_SECRET"} \
+    -d "{\"eventId\": \"$EVENT_ID\"}" > /dev/null \
+    || echo -e "${YELLOW}Could not update the athlete index - run POST /rebuild-athlete-index later${NC}"
+
 echo -e "${GREEN}Sync complete!${NC}"
 echo "Event: $EVENT_NAME"
 echo "Videos: $VIDEO_COUNT"
@@ -2,25 +2,238 @@
  * API module for fetching data from S3/CloudFront
  */
 
+/**
+ * Error raised when event data can't be fetched or parsed.
+ * kind: 'network' | 'not_found' | 'http' | 'parse'
+ */
+class APIError extends Error {
+    constructor(message, { kind = 'network', status = null, url = null, retryable = false, cause = null } = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.kind = kind;
+        this.status = status;
+        this.url = url;
+        this.retryable = retryable;
+        if (cause) this.cause = cause;
+    }
+}
+
 const API = {
+    APIError,
+
     // Base URL for media content (CloudFront distribution)
     MEDIA_BASE: 'https://media.skiframes.com',
 
-    // For local development, use relative paths or local server
-    // MEDIA_BASE: '',
+    // Where event data comes from:
+    //   'production' - CloudFront (MEDIA_BASE above)
+    //   'local'      - a fixture directory served alongside the site (LOCAL_MEDIA_BASE)
+    //   'mock'       - generated mock data, no network
+    // Selected by ?source=<mode> or window.SKIFRAMES_CONFIG = { dataSource, localMediaBase }
+    DATA_SOURCES: ['production', 'local', 'mock'],
+    dataSource: 'production',
+    PRODUCTION_MEDIA_BASE: 'https://media.skiframes.com',
+    LOCAL_MEDIA_BASE: '/media',
+
+    // Admin API (Cloudflare Worker); window.SKIFRAMES_CONFIG.adminApiUrl overrides it
+    ADMIN_API_URL: 'https://skiframes-admin-api.avillach.workers.dev',
+    PRODUCTION_ADMIN_API_URL: 'https://skiframes-admin-api.avillach.workers.dev',
+
+    // Retry policy for data fetches (exponential backoff: base, 2x base, 4x base...)
+    FETCH_RETRIES: 2,
+    FETCH_RETRY_BASE_MS: 500,
+
+    /**
+     * Pick the data source from the query string or page config
+     */
+    configure() {
+        const config = (typeof window !== 'undefined' && window.SKIFRAMES_CONFIG) || {};
+        let requested = config.dataSource;
+        if (typeof window !== 'undefined' && window.location) {
+            const fromQuery = new URLSearchParams(window.location.search).get('source');
+            if (fromQuery) requested = fromQuery;
+        }
+
+        if (requested && !this.DATA_SOURCES.includes(requested)) {
+            console.warn(`Unknown data source "${requested}", using production`);
+            requested = null;
+        }
+        this.dataSource = requested || 'production';
+
+        if (this.dataSource === 'local') {
+            this.MEDIA_BASE = (config.localMediaBase ?? this.LOCAL_MEDIA_BASE).replace(/\/$/, '');
+        } else {
+            this.MEDIA_BASE = this.PRODUCTION_MEDIA_BASE;
+        }
+        this.ADMIN_API_URL = (config.adminApiUrl || this.PRODUCTION_ADMIN_API_URL).replace(/\/$/, '');
+
+        if (this.dataSource !== 'production') {
+            console.info(`Skiframes data source: ${this.dataSource}${this.dataSource === 'local' ? ` (${this.MEDIA_BASE || '/'})` : ''}`);
+        }
+    },
+
+    /**
+     * Fetch and parse JSON, retrying network failures and 5xx/429 responses
+     * with exponential backoff. Throws APIError.
+     * With withMeta, resolves to { data, etag, lastModified, notModified } instead.
+     */
+    async fetchJSON(url, { retries = this.FETCH_RETRIES, baseDelay = this.FETCH_RETRY_BASE_MS, headers = null, withMeta = false } = {}) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = baseDelay * Math.pow(2, attempt - 1);
+                await new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay * 0.25));
+            }
+
+            let response;
+            try {
+                response = headers ? await fetch(url, { headers }) : await fetch(url);
+            } catch (error) {
+                lastError = new APIError(`Network error fetching ${url}`, {
+                    kind: 'network', url, retryable: true, cause: error
+                });
+                continue;
+            }
+
+            if (response.status === 304 && withMeta) {
+                return { data: null, etag: null, lastModified: null, notModified: true };
+            }
+
+            if (!response.ok) {
+                const status = response.status;
+                if (status === 404) {
+                    throw new APIError(`Not found: ${url}`, { kind: 'not_found', status, url });
+                }
+                const retryable = status >= 500 || status === 429;
+                lastError = new APIError(`HTTP ${status} fetching ${url}`, { kind: 'http', status, url, retryable });
+                if (!retryable) throw lastError;
+                continue;
+            }
+
+            try {
+                const data = await response.json();
+                if (!withMeta) return data;
+                return {
+                    data,
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified'),
+                    notModified: false
+                };
+            } catch (error) {
+                throw new APIError(`Invalid JSON in ${url}`, { kind: 'parse', status: response.status, url, cause: error });
+            }
+        }
+
+        throw lastError;
+    },
+
+    // Cache keys currently being served from a stored copy because the network failed
+    staleKeys: new Map(),
+
+    /**
+     * Fetch JSON through ManifestCache (js/cache.js): recent copies come from memory,
+     * older ones are revalidated with If-None-Match, and the stored copy is served
+     * when the network is unavailable. Plain fetchJSON if the cache isn't loaded.
+     */
+    async fetchCachedJSON(key, url, { force = false } = {}) {
+        const cache = typeof ManifestCache !== 'undefined' ? ManifestCache : null;
+        if (!cache) return this.fetchJSON(url);
+
+        const cacheKey = `${this.dataSource}:${key}`;
+        const cached = await cache.get(cacheKey);
+        if (cached && !force && cache.isFresh(cached)) {
+            return this.cloneData(cached.data);
+        }
+
+        const headers = {};
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        else if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        try {
+            const result = await this.fetchJSON(url, {
+                headers: Object.keys(headers).length ? headers : null,
+                withMeta: true
+            });
+            this.markFresh(cacheKey);
+
+            if (result.notModified && cached) {
+                await cache.touch(cached);
+                return this.cloneData(cached.data);
+            }
+            if (result.notModified) {
+                // 304 without a stored copy (cache was cleared mid-request) - fetch in full
+                return this.fetchJSON(url);
+            }
+
+            await cache.put({
+                key: cacheKey,
+                url,
+                data: result.data,
+                etag: result.etag,
+                lastModified: result.lastModified,
+                fetchedAt: Date.now()
+            });
+            return this.cloneData(result.data);
+        } catch (error) {
+            if (cached && (error.retryable || error.kind === 'network')) {
+                this.markStale(cacheKey, cached);
+                return this.cloneData(cached.data);
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Copy cached data so callers can't mutate the stored entry
+     */
+    cloneData(data) {
+        if (typeof structuredClone === 'function') return structuredClone(data);
+        return JSON.parse(JSON.stringify(data));
+    },
+
+    /**
+     * Record that a cache key is being served stale and notify the page
+     */
+    markStale(cacheKey, entry) {
+        this.staleKeys.set(cacheKey, entry.fetchedAt);
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent('skiframes:stale', {
+                detail: { key: cacheKey, fetchedAt: entry.fetchedAt }
+            }));
+        }
+    },
+
+    /**
+     * Clear the stale flag for a cache key once it's fetched from the network again
+     */
+    markFresh(cacheKey) {
+        if (!this.staleKeys.delete(cacheKey)) return;
+        if (this.staleKeys.size === 0 && typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent('skiframes:fresh'));
+        }
+    },
+
+    /**
+     * Oldest fetch time among stale entries, or null when everything is live
+     */
+    getStaleSince() {
+        if (this.staleKeys.size === 0) return null;
+        return Math.min(...this.staleKeys.values());
+    },
 
     /**
      * Fetch the master index of all events
      */
     async getEventsIndex() {
+        if (this.dataSource === 'mock') {
+            return this.getMockEventsIndex();
+        }
+
         try {
-            const response = await fetch(`${this.MEDIA_BASE}/index.json`);
-            if (!response.ok) throw new Error('Failed to fetch events index');
-            return await response.json();
+            return await this.fetchCachedJSON('index', `${this.MEDIA_BASE}/index.json`);
         } catch (error) {
             console.error('Error fetching events index:', error);
-            // Return mock data for development
-            return this.getMockEventsIndex();
+            throw error;
         }
     },
 
@@ -28,28 +241,36 @@ const API = {
      * Fetch a single event's manifest
      */
     async getEventManifest(eventId, bustCache = false, eventUrl = null) {
-        try {
-            const cacheBust = bustCache ? `?t=${Date.now()}` : '';
+        if (this.dataSource === 'mock') {
+            return this.getMockEventManifest(eventId);
+        }
+
+        const cacheBust = bustCache ? `?t=${Date.now()}` : '';
 
+        try {
             // For events with custom URLs (like /races/), try the race manifest
             if (eventUrl && eventUrl.startsWith('/races/')) {
-                const raceManifestUrl = `${eventUrl}race_manifest.json${cacheBust}`;
-                const response = await fetch(raceManifestUrl);
-                if (response.ok) {
-                    const rawManifest = await response.json();
-                    return this.normalizeRaceManifest(rawManifest, eventId, eventUrl);
+                try {
+                    const rawManifest = await this.fetchCachedJSON(
+                        `race:${eventId}`, `${eventUrl}race_manifest.json${cacheBust}`, { force: bustCache }
+                    );
+                    const normalized = this.normalizeRaceManifest(rawManifest, eventId, eventUrl);
+                    normalized.diagnostics = this.validateManifest(rawManifest, 'race');
+                    return normalized;
+                } catch (error) {
+                    // No race manifest - fall back to the standard location
+                    if (error.kind !== 'not_found') throw error;
                 }
             }
 
             // Standard manifest location
-            const response = await fetch(`${this.MEDIA_BASE}/events/${eventId}/manifest.json${cacheBust}`);
-            if (!response.ok) throw new Error('Failed to fetch event manifest');
-            const rawManifest = await response.json();
+            const rawManifest = await this.fetchCachedJSON(
+                `event:${eventId}`, `${this.MEDIA_BASE}/events/${eventId}/manifest.json${cacheBust}`, { force: bustCache }
+            );
             return this.normalizeManifest(rawManifest, eventId);
         } catch (error) {
             console.error('Error fetching event manifest:', error);
-            // Return mock data for development
-            return this.getMockEventManifest(eventId);
+            throw error;
         }
     },
 
@@ -59,7 +280,7 @@ const API = {
      */
     normalizeRaceManifest(manifest, eventId, eventUrl) {
         const videos = [];
-        const categories = manifest.categories || [];
+        const categories = (Array.isArray(manifest.categories) ? manifest.categories : []).filter(c => this.isObject(c));
 
         categories.forEach(category => {
             // Extract gender from category id (e.g., "U12_Girls" -> "Women")
@@ -73,7 +294,7 @@ const API = {
             const ageMatch = category.id?.match(/^(U\d+)/i);
             const ageGroup = ageMatch ? ageMatch[1] : category.label || '';
 
-            const athletes = category.athletes || [];
+            const athletes = (Array.isArray(category.athletes) ? category.athletes : []).filter(a => this.isObject(a));
             athletes.forEach((athlete, idx) => {
                 const athleteName = [athlete.first, athlete.last].filter(Boolean).join(' ') || `Bib ${athlete.bib}`;
 
@@ -92,11 +313,12 @@ const API = {
                             gender: gender,
                             category: ageGroup,
                             run: runNum,
-                            duration: runTime,
+                            duration: this.toNumberOrNull(runTime),
                             video_url: '',
                             thumb_url: '',
                             is_comparison: false,
-                            rank: athlete.rank
+                            rank: athlete.rank,
+                            status: athlete.status
                         });
                     }
                 });
@@ -110,6 +332,7 @@ const API = {
             event_type: 'race',
             location: manifest.event?.venue || manifest.event?.location || '',
             url: eventUrl,
+            scoring: manifest.event?.scoring || null,
             content: {
                 videos: videos,
                 montages: []
@@ -122,75 +345,109 @@ const API = {
      * Handles both old skiframes format and new photo-montages format
      */
     normalizeManifest(manifest, eventId) {
-        // Check if already in skiframes format (has content.videos)
-        if (manifest.content && manifest.content.videos) {
-            return manifest;
-        }
+        // Validate first so problems are reported instead of silently dropped
+        const diagnostics = this.validateManifest(manifest);
 
-        // Check for race manifest format (has categories[] with athletes)
-        if (manifest.categories && Array.isArray(manifest.categories) &&
-            manifest.categories.length > 0 && manifest.categories[0].athletes) {
-            return this.normalizeRaceManifest(manifest, eventId, null);
+        let normalized;
+        switch (diagnostics.format) {
+            case 'skiframes':
+                // Already in skiframes format (has content.videos)
+                normalized = manifest;
+                normalized.content = {
+                    videos: (Array.isArray(manifest.content?.videos) ? manifest.content.videos : []).filter(v => this.isObject(v)),
+                    montages: (Array.isArray(manifest.content?.montages) ? manifest.content.montages : []).filter(m => this.isObject(m))
+                };
+                break;
+            case 'race':
+                normalized = this.normalizeRaceManifest(manifest, eventId, null);
+                break;
+            case 'edge':
+                normalized = this.normalizeEdgeManifest(manifest, eventId);
+                break;
+            case 'stitcher':
+                normalized = this.normalizeStitcherManifest(manifest, eventId);
+                break;
+            default:
+                normalized = {
+                    event_id: eventId,
+                    event_name: manifest?.event_name || eventId,
+                    event_date: manifest?.event_date || eventId.match(/^(\d{4}-\d{2}-\d{2})/)?.[1],
+                    event_type: manifest?.event_type || 'training',
+                    content: { videos: [], montages: [] }
+                };
         }
 
-        // Check for edge montage format (has runs[] array from RTSP detection)
-        if (manifest.runs && Array.isArray(manifest.runs)) {
-            // Filter out false positive detections - use manifest setting or default to 1.0s
-            // (Server-side already filters with min_run_duration_seconds, this is a fallback)
-            const MIN_RUN_DURATION = manifest.min_run_duration_seconds || 1.0;
-            const validRuns = manifest.runs.filter(run =>
-                run.elapsed_time == null || run.elapsed_time >= MIN_RUN_DURATION
-            );
-            const montages = [];
-            validRuns.forEach((run, idx) => {
-                // Each run has variants keyed by FPS (e.g., "4.0fps") or legacy keys ("base", "_2later")
-                let variantIdx = 0;
-                for (const [variantName, variant] of Object.entries(run.variants || {})) {
-                    // Extract FPS from variant key (e.g., "4.0fps" -> 4.0)
-                    const fpsMatch = variantName.match(/^(\d+\.?\d*)fps$/);
-                    const fps = fpsMatch ? parseFloat(fpsMatch[1]) : null;
-
-                    montages.push({
-                        id: `m${String(idx * 100 + variantIdx + 1).padStart(4, '0')}`,
-                        run_number: run.run_number,
-                        variant: variantName,
-                        fps: fps,
-                        timestamp: run.timestamp,
-                        elapsed_time: run.elapsed_time || null,
-                        thumb_url: variant.thumbnail,
-                        full_url: variant.fullres,
-                        frame_count: variant.frame_count,
-                        embedding: run.embedding || null,
-                        video_url: run.video_url || null
-                    });
-                    variantIdx++;
-                }
-            });
+        normalized.diagnostics = diagnostics;
+        return normalized;
+    },
+
+    /**
+     * Normalize edge montage format (runs[] array from RTSP detection)
+     */
+    normalizeEdgeManifest(manifest, eventId) {
+        // Filter out false positive detections - use manifest setting or default to 1.0s
+        // (Server-side already filters with min_run_duration_seconds, this is a fallback)
+        const MIN_RUN_DURATION = manifest.min_run_duration_seconds || 1.0;
+        const runs = (Array.isArray(manifest.runs) ? manifest.runs : []).filter(run => this.isObject(run));
+        const validRuns = runs.filter(run => {
+            const elapsed = this.toNumberOrNull(run.elapsed_time);
+            return elapsed == null || elapsed >= MIN_RUN_DURATION;
+        });
+        const montages = [];
+        validRuns.forEach((run, idx) => {
+            // Each run has variants keyed by FPS (e.g., "4.0fps") or legacy keys ("base", "_2later")
+            let variantIdx = 0;
+            for (const [variantName, variant] of Object.entries(run.variants || {})) {
+                if (!this.isObject(variant)) continue;
+                // Extract FPS from variant key (e.g., "4.0fps" -> 4.0)
+                const fpsMatch = variantName.match(/^(\d+\.?\d*)fps$/);
+                const fps = fpsMatch ? parseFloat(fpsMatch[1]) : null;
 
-            const dateFromId = eventId.match(/^(\d{4}-\d{2}-\d{2})/)?.[1];
+                montages.push({
+                    id: `m${String(idx * 100 + variantIdx + 1).padStart(4, '0')}`,
+                    run_number: run.run_number,
+                    variant: variantName,
+                    fps: fps,
+                    timestamp: run.timestamp,
+                    elapsed_time: this.toNumberOrNull(run.elapsed_time) || null,
+                    thumb_url: variant.thumbnail,
+                    full_url: variant.fullres,
+                    frame_count: variant.frame_count,
+                    embedding: run.embedding || null,
+                    video_url: run.video_url || null
+                });
+                variantIdx++;
+            }
+        });
 
-            return {
-                event_id: eventId,
-                event_name: manifest.event_name || eventId.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
-                event_date: manifest.event_date || dateFromId,
-                event_type: manifest.event_type || 'training',
-                discipline: manifest.discipline || 'freeski',
-                location: 'Ragged Mountain, NH',
-                teams: [],
-                categories: manifest.group ? [manifest.group] : [],
-                camera_id: manifest.camera_id || '',
-                device_id: manifest.device_id || '',
-                montage_fps_list: manifest.montage_fps_list || [],
-                content: {
-                    videos: [],
-                    montages: montages
-                }
-            };
-        }
+        const dateFromId = eventId.match(/^(\d{4}-\d{2}-\d{2})/)?.[1];
 
-        // Convert from photo-montages stitcher format
+        return {
+            event_id: eventId,
+            event_name: manifest.event_name || eventId.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+            event_date: manifest.event_date || dateFromId,
+            event_type: manifest.event_type || 'training',
+            discipline: manifest.discipline || 'freeski',
+            location: 'Ragged Mountain, NH',
+            teams: [],
+            categories: manifest.group ? [manifest.group] : [],
+            camera_id: manifest.camera_id || '',
+            device_id: manifest.device_id || '',
+            montage_fps_list: manifest.montage_fps_list || [],
+            content: {
+                videos: [],
+                montages: montages
+            }
+        };
+    },
+
+    /**
+     * Convert from photo-montages stitcher format (race/videos/rankings)
+     */
+    normalizeStitcherManifest(manifest, eventId) {
         const race = manifest.race || {};
-        const videos = manifest.videos || [];
+        // Videos without a path can't be played or thumbnailed (reported by validateManifest)
+        const videos = (Array.isArray(manifest.videos) ? manifest.videos : []).filter(v => typeof v?.path === 'string');
 
         // Extract unique teams from videos
         const teams = [...new Set(videos.map(v => v.team).filter(t => t))];
@@ -202,9 +459,9 @@ const API = {
 
         // Build lookup from rankings for fallback data (when video name is just "BibXXX")
         const rankingsLookup = {};
-        const rankings = manifest.rankings?.by_gender || {};
+        const rankings = this.isObject(manifest.rankings?.by_gender) ? manifest.rankings.by_gender : {};
         for (const [gender, racers] of Object.entries(rankings)) {
-            for (const racer of racers) {
+            for (const racer of (Array.isArray(racers) ? racers : []).filter(r => this.isObject(r))) {
                 rankingsLookup[racer.bib] = {
                     name: racer.name,
                     team: racer.team,
@@ -258,7 +515,7 @@ const API = {
                 gender: athleteGender,
                 category: race.age_group || '',
                 run: parseInt(race.run?.replace('Run ', '') || '1'),
-                duration: v.duration,
+                duration: this.toNumberOrNull(v.duration),
                 video_url: v.path,
                 thumb_url: thumbUrl,
                 comparison_url: comparisonUrl,
@@ -286,6 +543,7 @@ const API = {
             categories: race.age_group ? [race.age_group] : [],
             summary: manifest.summary,
             rankings: manifest.rankings,
+            scoring: race.scoring || null,
             content: {
                 videos: normalizedVideos,
                 montages: []
@@ -293,6 +551,328 @@ const API = {
         };
     },
 
+    // ========================================
+    // Manifest Schema & Validation
+    // ========================================
+
+    // Highest manifest schema_version this client knows how to render
+    MANIFEST_SCHEMA_VERSION: 1,
+
+    MANIFEST_FORMATS: ['skiframes', 'race', 'edge', 'stitcher'],
+
+    /**
+     * Work out which manifest format we're looking at.
+     * A declared `format` field wins; otherwise fall back to sniffing the shape.
+     */
+    detectManifestFormat(manifest) {
+        if (!manifest || typeof manifest !== 'object') return 'unknown';
+
+        if (this.MANIFEST_FORMATS.includes(manifest.format)) {
+            return manifest.format;
+        }
+
+        if (manifest.content && manifest.content.videos) return 'skiframes';
+        if (Array.isArray(manifest.categories) && manifest.categories.length > 0 &&
+            manifest.categories[0]?.athletes) return 'race';
+        if (Array.isArray(manifest.runs)) return 'edge';
+        if (manifest.videos || manifest.race) return 'stitcher';
+        return 'unknown';
+    },
+
+    /**
+     * Validate a raw manifest against the schema for its format.
+     * Returns { format, schema_version, errors: [], warnings: [] } where each
+     * issue is { code, path, message }. Errors mean content will be missing or
+     * broken on the page; warnings are worth fixing but render fine.
+     */
+    validateManifest(manifest, format = null) {
+        const report = {
+            format: format || this.detectManifestFormat(manifest),
+            schema_version: null,
+            errors: [],
+            warnings: []
+        };
+        const error = (code, path, message) => report.errors.push({ code, path, message });
+        const warn = (code, path, message) => report.warnings.push({ code, path, message });
+
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            error('not_an_object', '', 'Manifest is not a JSON object');
+            report.format = 'unknown';
+            return report;
+        }
+
+        // Schema version
+        if (manifest.schema_version === undefined) {
+            warn('missing_schema_version', 'schema_version',
+                `No schema_version declared; format "${report.format}" was detected from its shape`);
+        } else {
+            const version = Number(manifest.schema_version);
+            if (!Number.isInteger(version) || version < 1) {
+                error('invalid_schema_version', 'schema_version',
+                    `schema_version must be a positive integer, got ${JSON.stringify(manifest.schema_version)}`);
+            } else {
+                report.schema_version = version;
+                if (version > this.MANIFEST_SCHEMA_VERSION) {
+                    error('unsupported_schema_version', 'schema_version',
+                        `schema_version ${version} is newer than this site supports (${this.MANIFEST_SCHEMA_VERSION})`);
+                }
+            }
+        }
+
+        if (manifest.format !== undefined && !this.MANIFEST_FORMATS.includes(manifest.format)) {
+            error('unknown_declared_format', 'format',
+                `Unknown format "${manifest.format}" (expected one of ${this.MANIFEST_FORMATS.join(', ')})`);
+        }
+
+        const validator = this.manifestValidators[report.format];
+        if (!validator) {
+            error('unknown_format', '',
+                'Manifest does not match any known format (content.videos, categories[], runs[] or videos[])');
+            return report;
+        }
+
+        validator.call(this, manifest, { error, warn });
+        return report;
+    },
+
+    /**
+     * Per-format validators. Each receives the raw manifest and { error, warn }.
+     */
+    manifestValidators: {
+        skiframes(manifest, { error, warn }) {
+            if (!this.isObject(manifest.content)) {
+                error('invalid_type', 'content', 'content must be an object with videos and montages');
+                return;
+            }
+            const videos = manifest.content.videos;
+            if (!Array.isArray(videos)) {
+                error('invalid_type', 'content.videos', 'content.videos must be an array');
+            } else {
+                videos.forEach((v, i) => {
+                    const path = `content.videos[${i}]`;
+                    if (!this.isObject(v)) {
+                        error('invalid_entry', path, 'Video is not an object and will not be shown');
+                        return;
+                    }
+                    if (typeof v.athlete !== 'string' || !v.athlete) {
+                        error('missing_athlete', `${path}.athlete`, 'Video has no athlete name');
+                    }
+                    if (v.bib === undefined || v.bib === null || v.bib === '') {
+                        error('missing_bib', `${path}.bib`, 'Video has no bib number');
+                    }
+                    if (!v.video_url) {
+                        warn('missing_video_url', `${path}.video_url`, 'Video has no video_url and cannot be played');
+                    }
+                    this.checkNumericField(v.duration, `${path}.duration`, { error, warn });
+                });
+                this.checkDuplicateBibs(videos.filter(v => this.isObject(v) && !v.is_comparison), 'content.videos', warn);
+            }
+
+            const montages = manifest.content.montages;
+            if (montages !== undefined && !Array.isArray(montages)) {
+                error('invalid_type', 'content.montages', 'content.montages must be an array');
+            } else {
+                (montages || []).forEach((m, i) => {
+                    const path = `content.montages[${i}]`;
+                    if (!this.isObject(m)) {
+                        error('invalid_entry', path, 'Montage is not an object and will not be shown');
+                        return;
+                    }
+                    if (!m.thumb_url) warn('missing_thumbnail', `${path}.thumb_url`, 'Montage has no thumbnail');
+                    this.checkNumericField(m.elapsed_time, `${path}.elapsed_time`, { error, warn });
+                });
+            }
+        },
+
+        race(manifest, { error, warn }) {
+            if (!Array.isArray(manifest.categories)) {
+                error('invalid_type', 'categories', 'categories must be an array');
+                return;
+            }
+            const all = [];
+            manifest.categories.forEach((category, c) => {
+                const path = `categories[${c}]`;
+                if (!this.isObject(category)) {
+                    error('invalid_entry', path, 'Category is not an object and will not be shown');
+                    return;
+                }
+                if (!category.id) warn('missing_category_id', `${path}.id`, 'Category has no id; gender and age group cannot be derived');
+                if (!Array.isArray(category.athletes)) {
+                    error('missing_athletes', `${path}.athletes`, 'Category has no athletes array');
+                    return;
+                }
+                category.athletes.forEach((athlete, a) => {
+                    const athletePath = `${path}.athletes[${a}]`;
+                    if (!this.isObject(athlete)) {
+                        error('invalid_entry', athletePath, 'Athlete is not an object and will not be shown');
+                        return;
+                    }
+                    if (athlete.bib === undefined || athlete.bib === null || athlete.bib === '') {
+                        error('missing_bib', `${athletePath}.bib`, 'Athlete has no bib number');
+                    }
+                    [1, 2].forEach(runNum => {
+                        this.checkNumericField(athlete[`run${runNum}_time`], `${athletePath}.run${runNum}_time`, { error, warn });
+                    });
+                    all.push(athlete);
+                });
+            });
+            this.checkDuplicateBibs(all.map(a => ({ bib: a.bib, run: 1 })), 'categories', warn);
+        },
+
+        edge(manifest, { error, warn }) {
+            if (!Array.isArray(manifest.runs)) {
+                error('invalid_type', 'runs', 'runs must be an array');
+                return;
+            }
+            const seenRuns = new Set();
+            manifest.runs.forEach((run, i) => {
+                const path = `runs[${i}]`;
+                if (!this.isObject(run)) {
+                    error('invalid_entry', path, 'Run is not an object and will not be shown');
+                    return;
+                }
+                if (run.run_number === undefined || run.run_number === null) {
+                    warn('missing_run_number', `${path}.run_number`, 'Run has no run_number');
+                } else if (seenRuns.has(run.run_number)) {
+                    warn('duplicate_run_number', `${path}.run_number`, `Run number ${run.run_number} appears more than once`);
+                } else {
+                    seenRuns.add(run.run_number);
+                }
+
+                if (!run.variants || typeof run.variants !== 'object' || Array.isArray(run.variants) ||
+                    Object.keys(run.variants).length === 0) {
+                    error('missing_variants', `${path}.variants`, `Run ${run.run_number ?? i} has no variants and will not be shown`);
+                } else {
+                    for (const [name, variant] of Object.entries(run.variants)) {
+                        if (!this.isObject(variant)) {
+                            error('invalid_entry', `${path}.variants.${name}`, 'Variant is not an object and will not be shown');
+                            continue;
+                        }
+                        if (!variant.thumbnail) {
+                            warn('missing_thumbnail', `${path}.variants.${name}.thumbnail`, 'Variant has no thumbnail');
+                        }
+                        if (!variant.fullres) {
+                            warn('missing_fullres', `${path}.variants.${name}.fullres`, 'Variant has no full resolution image');
+                        }
+                    }
+                }
+
+                this.checkNumericField(run.elapsed_time, `${path}.elapsed_time`, { error, warn });
+
+                if (run.embedding != null && !Array.isArray(run.embedding)) {
+                    warn('invalid_embedding', `${path}.embedding`, 'embedding must be an array of numbers');
+                }
+            });
+        },
+
+        stitcher(manifest, { error, warn }) {
+            if (!Array.isArray(manifest.videos)) {
+                error('invalid_type', 'videos', 'videos must be an array');
+                return;
+            }
+            manifest.videos.forEach((v, i) => {
+                const path = `videos[${i}]`;
+                if (!this.isObject(v)) {
+                    error('invalid_entry', path, 'Video is not an object and will not be shown');
+                    return;
+                }
+                if (typeof v.path !== 'string' || !v.path) {
+                    error('missing_path', `${path}.path`, 'Video has no path and will not be shown');
+                }
+                if (!v.name) warn('missing_name', `${path}.name`, 'Video has no athlete name');
+                if (v.bib === undefined || v.bib === null || v.bib === '') {
+                    error('missing_bib', `${path}.bib`, 'Video has no bib number');
+                }
+                this.checkNumericField(v.duration, `${path}.duration`, { error, warn });
+            });
+            this.checkDuplicateBibs(
+                manifest.videos.filter(v => this.isObject(v) && !v.is_comparison).map(v => ({ bib: v.bib, gender: v.gender })),
+                'videos', warn
+            );
+
+            const byGender = manifest.rankings?.by_gender;
+            if (byGender !== undefined && !this.isObject(byGender)) {
+                error('invalid_type', 'rankings.by_gender', 'rankings.by_gender must be an object keyed by gender');
+            } else {
+                for (const [gender, racers] of Object.entries(byGender || {})) {
+                    if (!Array.isArray(racers)) {
+                        error('invalid_type', `rankings.by_gender.${gender}`, `rankings.by_gender.${gender} must be an array`);
+                    } else if (!racers.every(racer => this.isObject(racer))) {
+                        error('invalid_entry', `rankings.by_gender.${gender}`, 'Rankings entries must be objects');
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * Report a timing field that isn't a number. Null/undefined are allowed.
+     */
+    checkNumericField(value, path, { error, warn }) {
+        if (value === undefined || value === null) return;
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) error('invalid_number', path, `${path} is not a finite number`);
+            return;
+        }
+        if (this.toNumberOrNull(value) !== null) {
+            warn('numeric_string', path, `${path} is a string ("${value}"); expected a number`);
+        } else {
+            error('invalid_number', path, `${path} must be a number, got ${JSON.stringify(value)}`);
+        }
+    },
+
+    /**
+     * Warn about bibs used more than once within the same run (and gender, when known)
+     */
+    checkDuplicateBibs(entries, path, warn) {
+        const seen = new Set();
+        const reported = new Set();
+        entries.forEach(e => {
+            if (e.bib === undefined || e.bib === null || e.bib === '') return;
+            const key = `${e.bib}|${e.run ?? ''}|${e.gender ?? ''}`;
+            if (seen.has(key) && !reported.has(key)) {
+                warn('duplicate_bib', path, `Bib ${e.bib} appears more than once`);
+                reported.add(key);
+            }
+            seen.add(key);
+        });
+    },
+
+    /**
+     * True for a JSON object (not null or an array)
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Coerce a timing value to a number, or null if it isn't numeric
+     */
+    toNumberOrNull(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+            return Number(value);
+        }
+        return null;
+    },
+
+    /**
+     * Fetch the cross-event athlete search index (athletes.json).
+     * Returns null when there isn't one (mock data, or not generated yet).
+     */
+    async getAthleteIndex() {
+        if (this.dataSource === 'mock') return null;
+
+        try {
+            return await this.fetchCachedJSON('athletes', `${this.MEDIA_BASE}/athletes.json`);
+        } catch (error) {
+            if (error.kind !== 'not_found') {
+                console.error('Error fetching athlete index:', error);
+            }
+            return null;
+        }
+    },
+
     /**
      * Get full URL for a media file
      */
@@ -336,7 +916,7 @@ const API = {
     },
 
     // ========================================
-    // Mock Data for Development
+    // Mock Data (dataSource: 'mock')
     // ========================================
 
     getMockEventsIndex() {
@@ -438,6 +1018,8 @@ const API = {
     }
 };
 
+API.configure();
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = API;
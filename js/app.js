@@ -13,18 +13,29 @@ const App = {
         athleteClusters: null,     // Clustering result
         savedClusters: null,       // Loaded from S3 (manual overrides)
         manualOverrides: {},       // Run reassignments by user
-        clusterThreshold: 0.88    // Clustering sensitivity
+        clusterThreshold: 0.88,   // Clustering sensitivity
+        eventTab: 'media'         // 'media' or 'results' (race events)
     },
 
     /**
      * Initialize application
      */
     async init() {
+        // Show a notice whenever cached data is served because the network is down
+        this.setupOfflineNotice();
+
+        // Service worker for offline viewing of saved events
+        if (typeof Offline !== 'undefined') {
+            Offline.register();
+        }
+
         // Determine which page we're on
         const isEventPage = window.location.pathname.includes('event.html') ||
                            window.location.search.includes('event=');
 
-        if (isEventPage) {
+        if (window.location.pathname.includes('athlete.html')) {
+            await AthletePage.init();
+        } else if (isEventPage) {
             await this.initEventPage();
         } else {
             await this.initHomePage();
@@ -39,8 +50,18 @@ const App = {
     // ========================================
 
     async initHomePage() {
+        // Events saved on this device (available even when the index can't load)
+        this.renderSavedEvents();
+
         // Load events
-        const data = await API.getEventsIndex();
+        let data;
+        try {
+            data = await API.getEventsIndex();
+        } catch (error) {
+            this.showHomeLoadError(error);
+            return;
+        }
+        this.hideHomeLoadError();
         this.state.events = data.events || [];
 
         // Populate team filter
@@ -54,6 +75,33 @@ const App = {
         this.renderHomeEvents();
     },
 
+    /**
+     * Replace the event listings with a retryable error state
+     */
+    showHomeLoadError(error) {
+        const container = document.getElementById('loadError');
+        if (!container) return;
+
+        ['races', 'training', 'freeskiing', 'test'].forEach(id => {
+            const section = document.getElementById(id);
+            if (section) section.style.display = 'none';
+        });
+        container.style.display = 'block';
+        this.renderErrorState(container, error, () => this.initHomePage());
+    },
+
+    hideHomeLoadError() {
+        const container = document.getElementById('loadError');
+        if (!container || container.style.display === 'none') return;
+
+        container.style.display = 'none';
+        container.innerHTML = '';
+        ['races', 'training', 'freeskiing', 'test'].forEach(id => {
+            const section = document.getElementById(id);
+            if (section) section.style.display = 'block';
+        });
+    },
+
     setupHomeFilters() {
         const searchInput = document.getElementById('globalSearch');
         const searchBtn = document.getElementById('searchBtn');
@@ -506,6 +554,7 @@ const App = {
         try {
             const results = [];
             const matchingEvents = [];
+            const failedEvents = [];
 
             // First, find events that match by name
             for (const event of this.state.events) {
@@ -514,9 +563,22 @@ const App = {
                 }
             }
 
-            // Then search for athletes in all events
+            // Prebuilt athlete index: one request instead of one per event
+            const athleteIndex = typeof AthleteSearch !== 'undefined' ? await API.getAthleteIndex() : null;
+            if (athleteIndex) {
+                this.renderSearchResults(this.searchAthleteIndex(athleteIndex, query), query, matchingEvents);
+                return;
+            }
+
+            // No index available - search each event's manifest
             for (const event of this.state.events) {
-                const manifest = await API.getEventManifest(event.event_id, false, event.url);
+                let manifest;
+                try {
+                    manifest = await API.getEventManifest(event.event_id, false, event.url);
+                } catch (error) {
+                    failedEvents.push(event);
+                    continue;
+                }
                 const videos = manifest.content?.videos || [];
 
                 // Filter to non-comparison videos only
@@ -538,43 +600,89 @@ const App = {
                 }
             }
 
-            this.renderSearchResults(results, query, matchingEvents);
+            // Every event failed to load - nothing meaningful to show
+            if (failedEvents.length > 0 && failedEvents.length === this.state.events.length) {
+                throw new API.APIError('No events could be searched', { kind: 'network', retryable: true });
+            }
+
+            this.renderSearchResults(results, query, matchingEvents, failedEvents);
         } catch (error) {
             console.error('Search error:', error);
-            resultsContainer.innerHTML = '<div class="empty-state"><h3>Search failed</h3><p>Please try again</p></div>';
+            this.renderErrorState(resultsContainer, error, () => this.performAthleteSearch(query), 'Search failed');
         }
     },
 
+    /**
+     * Search athletes.json and shape the matches like the per-manifest search results:
+     * one entry per athlete appearance, best matching athletes first, newest event first
+     */
+    searchAthleteIndex(athleteIndex, query) {
+        const eventsById = {};
+        this.state.events.forEach(e => { eventsById[e.event_id] = e; });
+        const bibQuery = /^\d+$/.test(query.trim()) ? query.trim() : null;
+
+        const results = [];
+        AthleteSearch.search(athleteIndex, query).forEach(({ athlete }) => {
+            // Matched by bib: only the events where they wore that bib
+            const matchedByBib = bibQuery && (athlete.events || []).some(e => String(e.bib) === bibQuery);
+            (athlete.events || [])
+                .filter(a => eventsById[a.event_id])
+                .filter(a => !matchedByBib || String(a.bib) === bibQuery)
+                .sort((a, b) => (eventsById[b.event_id].event_date || '').localeCompare(eventsById[a.event_id].event_date || ''))
+                .forEach(appearance => {
+                    results.push({
+                        event: eventsById[appearance.event_id],
+                        manifest: {},
+                        matches: [{
+                            athlete: athlete.name,
+                            bib: appearance.bib,
+                            team: athlete.team,
+                            gender: athlete.gender,
+                            runs: appearance.runs || [],
+                            montage_runs: appearance.montage_runs || [],
+                            profile_key: athlete.key
+                        }]
+                    });
+                });
+        });
+        return results;
+    },
+
     /**
      * Render search results
      */
-    renderSearchResults(results, query, matchingEvents = []) {
+    renderSearchResults(results, query, matchingEvents = [], failedEvents = []) {
         const container = document.getElementById('searchResultsGrid');
         if (!container) return;
 
+        const failedNotice = failedEvents.length > 0
+            ? `<div class="search-partial-notice">${failedEvents.length} event${failedEvents.length !== 1 ? 's' : ''} couldn't be searched and may be missing from these results.</div>`
+            : '';
+
         if (results.length === 0 && matchingEvents.length === 0) {
             container.innerHTML = `
+                ${failedNotice}
                 <div class="empty-state">
                     <h3>No results found</h3>
-                    <p>No results for "${query}"</p>
+                    <p>No results for "${this.escapeHtml(query)}"</p>
                 </div>
             `;
             return;
         }
 
-        let html = '';
+        let html = failedNotice;
 
         // Show matching events first
         if (matchingEvents.length > 0) {
             html += '<div class="search-section-header">Matching Events</div>';
             html += '<div class="events-grid" style="margin-bottom: 16px;">';
             matchingEvents.forEach(event => {
-                const eventHref = event.url || `event.html?event=${event.event_id}`;
+                const eventHref = event.url || `event.html?event=${encodeURIComponent(event.event_id)}`;
                 const tags = this.buildEventTags(event);
                 html += `
                 <a href="${eventHref}" class="event-row">
                     <span class="event-row-date">${this.formatDateShort(event.event_date)}</span>
-                    <span class="event-row-name">${event.event_name}</span>
+                    <span class="event-row-name">${this.escapeHtml(event.event_name)}</span>
                     <div class="event-row-tags">${tags.join('')}</div>
                 </a>
                 `;
@@ -585,27 +693,48 @@ const App = {
         // Then show athlete results
         if (results.length > 0) {
             html += '<div class="search-section-header">Athletes</div>';
+
+            // Profile links (index search only - the manifest scan has no athlete keys)
+            const profiles = new Map();
+            results.forEach(({ matches }) => matches.forEach(m => {
+                if (m.profile_key && !profiles.has(m.profile_key)) profiles.set(m.profile_key, m);
+            }));
+            if (profiles.size > 0) {
+                html += '<div class="athlete-profile-links">';
+                profiles.forEach((m, key) => {
+                    html += `<a href="athlete.html?id=${encodeURIComponent(key)}" class="athlete-profile-chip">${this.escapeHtml(m.athlete)}${m.team ? ` <span>${this.escapeHtml(m.team)}</span>` : ''}</a>`;
+                });
+                html += '</div>';
+            }
+
             results.forEach(({ event, manifest, matches }) => {
                 matches.forEach(video => {
                     const searchParam = `search=${encodeURIComponent(video.athlete)}`;
                     // Use custom URL if available (e.g., /races/ pages), otherwise event.html
                     const eventHref = event.url
                         ? `${event.url}?${searchParam}`
-                        : `event.html?event=${event.event_id}&${searchParam}`;
+                        : `event.html?event=${encodeURIComponent(event.event_id)}&${searchParam}`;
                     const eventDate = this.formatDateShort(event.event_date);
                     const location = event.location || manifest.location || '';
-                    const runInfo = video.run ? `Run ${video.run}` : '';
+                    const runInfo = video.runs?.length > 1
+                        ? `Runs ${video.runs.join(', ')}`
+                        : (video.runs?.[0] || video.run) ? `Run ${video.runs?.[0] || video.run}` : '';
+                    const montageInfo = video.montage_runs?.length
+                        ? `${video.montage_runs.length} montage${video.montage_runs.length !== 1 ? 's' : ''}`
+                        : '';
+                    const bibInfo = video.bib !== null && video.bib !== undefined ? `Bib ${this.escapeHtml(String(video.bib))} • ` : '';
                     html += `
                     <a href="${eventHref}" class="search-result-card">
                         <div class="search-result-info">
-                            <h3>${video.athlete}</h3>
+                            <h3>${this.escapeHtml(video.athlete)}</h3>
                             <p class="search-result-meta">
-                                Bib ${video.bib} • ${video.team || ''} • ${video.gender}
+                                ${bibInfo}${this.escapeHtml(video.team)} • ${this.escapeHtml(video.gender)}
                                 ${video.rank ? `• Rank ${video.rank}` : ''}
                                 ${runInfo ? `• ${runInfo}` : ''}
+                                ${montageInfo ? `• ${montageInfo}` : ''}
                             </p>
-                            <p class="search-result-event">${event.event_name}</p>
-                            <p class="search-result-location">${eventDate} • ${location}</p>
+                            <p class="search-result-event">${this.escapeHtml(event.event_name)}</p>
+                            <p class="search-result-location">${eventDate} • ${this.escapeHtml(location)}</p>
                         </div>
                     </a>
                     `;
@@ -654,18 +783,31 @@ const App = {
             return;
         }
 
-        // Look up event URL from index (needed for /races/ events)
-        const index = await API.getEventsIndex();
-        const eventInfo = (index.events || []).find(e => e.event_id === eventId);
-        const eventUrl = eventInfo?.url || null;
+        let manifest;
+        let eventUrl = null;
+        try {
+            // Look up event URL from index (needed for /races/ events)
+            const index = await API.getEventsIndex();
+            const eventInfo = (index.events || []).find(e => e.event_id === eventId);
+            eventUrl = eventInfo?.url || null;
 
-        // Load event data
-        const manifest = await API.getEventManifest(eventId, false, eventUrl);
+            // Load event data
+            manifest = await API.getEventManifest(eventId, false, eventUrl);
+        } catch (error) {
+            this.showError(error, () => window.location.reload());
+            return;
+        }
         this.state.currentEvent = manifest;
 
         // Update page header
         this.updateEventHeader(manifest);
 
+        // Surface schema problems in the event data
+        this.renderManifestDiagnostics(manifest.diagnostics);
+
+        // Save for offline button
+        this.setupOfflineSave(manifest, eventUrl);
+
         // Populate filters
         this.populateEventFilters(manifest);
 
@@ -714,6 +856,9 @@ const App = {
         // Setup Virtual Race button
         this.setupVirtualRace(manifest);
 
+        // Results tab for race events
+        this.setupResultsTab(manifest);
+
         // Start auto-refresh polling for new montages
         this.startMontagePolling(manifest.event_id);
     },
@@ -734,6 +879,7 @@ const App = {
                     const currentVariant = Filters.state.montageVariant;
 
                     this.state.currentEvent = updated;
+                    this.renderManifestDiagnostics(updated.diagnostics);
 
                     // Re-init speed buttons if new variants appeared
                     const variants = Filters.getVariantsSlowestFirst(updated.content.montages || []);
@@ -765,6 +911,43 @@ const App = {
         }, 10000);
     },
 
+    /**
+     * Show a banner listing manifest validation errors; warnings go to the console
+     */
+    renderManifestDiagnostics(diagnostics) {
+        const container = document.getElementById('manifestDiagnostics');
+        if (!diagnostics) return;
+
+        const { errors = [], warnings = [] } = diagnostics;
+        if (warnings.length > 0) {
+            console.warn(`Manifest (${diagnostics.format}) has ${warnings.length} warning(s):`, warnings);
+        }
+        if (!container) return;
+
+        if (errors.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const maxShown = 10;
+        const items = errors.slice(0, maxShown).map(e => `
+            <li><code>${this.escapeHtml(e.path || '(root)')}</code> ${this.escapeHtml(e.message)}</li>
+        `).join('');
+        const more = errors.length > maxShown
+            ? `<li class="manifest-diagnostics-more">…and ${errors.length - maxShown} more</li>`
+            : '';
+
+        container.innerHTML = `
+            <div class="manifest-diagnostics-header">
+                <strong>Some event data could not be read</strong>
+                <span>${errors.length} problem${errors.length !== 1 ? 's' : ''} found in the ${this.escapeHtml(diagnostics.format)} manifest (schema v${this.escapeHtml(String(diagnostics.schema_version ?? '?'))}). Affected entries may be missing or incomplete.</span>
+            </div>
+            <ul class="manifest-diagnostics-list">${items}${more}</ul>
+        `;
+        container.style.display = '';
+    },
+
     updateEventHeader(manifest) {
         document.title = `${manifest.event_name} - Skiframes`;
 
@@ -1108,6 +1291,59 @@ const App = {
                 Download.cancelDownload();
             });
         }
+
+        this.setupExportMenu(manifest);
+    },
+
+    /**
+     * Export dropdown: currently filtered videos or montages as CSV / Excel
+     */
+    setupExportMenu(manifest) {
+        const exportBtn = document.getElementById('exportMenuBtn');
+        const exportDropdown = document.getElementById('exportDropdown');
+        if (!exportBtn || !exportDropdown) return;
+
+        const hasVideos = (manifest.content.videos || []).some(v => !v.is_comparison);
+        const hasMontages = (manifest.content.montages || []).length > 0;
+        if (!hasVideos && !hasMontages) {
+            exportBtn.style.display = 'none';
+            return;
+        }
+
+        const items = [];
+        if (hasVideos) {
+            items.push(['videos', 'csv', 'Videos (CSV)'], ['videos', 'xlsx', 'Videos (Excel)']);
+        }
+        if (hasMontages) {
+            items.push(['montages', 'csv', 'Montages (CSV)'], ['montages', 'xlsx', 'Montages (Excel)']);
+        }
+        exportDropdown.innerHTML = items.map(([what, format, label]) =>
+            `<div class="dropdown-item" data-export="${what}" data-format="${format}">${label}</div>`
+        ).join('');
+
+        exportBtn.addEventListener('click', () => {
+            exportDropdown.style.display =
+                exportDropdown.style.display === 'none' ? 'block' : 'none';
+        });
+
+        exportDropdown.addEventListener('click', async (e) => {
+            const { export: what, format } = e.target.dataset;
+            if (!what) return;
+            exportDropdown.style.display = 'none';
+            try {
+                await Export.exportEvent(this.state.currentEvent, what, format);
+            } catch (error) {
+                console.error('Export failed:', error);
+                alert(`Export failed: ${error.message}`);
+            }
+        });
+
+        // Close dropdown when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!exportBtn.contains(e.target) && !exportDropdown.contains(e.target)) {
+                exportDropdown.style.display = 'none';
+            }
+        });
     },
 
     renderEventContent() {
@@ -1130,15 +1366,10 @@ const App = {
         const sortedRegular = this.sortVideos(filteredRegular);
         this.renderVideosGrid(sortedRegular, manifest.event_id, 'videosGrid', comparisonLookup);
 
-        // Render montages (latest first by run_number, then timestamp)
+        // Render montages
         const montages = manifest.content.montages || [];
         const filteredMontages = Filters.filterMontages(montages);
-        const sortedMontages = [...filteredMontages].sort((a, b) => {
-            if (a.run_number !== undefined && b.run_number !== undefined) {
-                return b.run_number - a.run_number;
-            }
-            return new Date(b.timestamp || 0) - new Date(a.timestamp || 0);
-        });
+        const sortedMontages = this.sortMontages(filteredMontages);
         this.renderMontagesGrid(sortedMontages, manifest.event_id);
 
         // Also re-render athlete view if it's active
@@ -1161,6 +1392,105 @@ const App = {
 
         // Update sort button active state
         this.updateSortButtons();
+
+        // Results tab replaces the videos and montages while active
+        this.renderResults();
+    },
+
+    // ========================================
+    // Results Tab
+    // ========================================
+
+    /**
+     * Show the Videos / Results tabs on race events that have timing data
+     */
+    setupResultsTab(manifest) {
+        const tabs = document.getElementById('eventTabs');
+        if (!tabs || manifest.event_type !== 'race') return;
+
+        const hasTimes = Results.build(manifest).some(r => r.combined !== null || r.status);
+        if (!hasTimes) return;
+
+        tabs.style.display = '';
+        tabs.querySelectorAll('.event-tab').forEach(btn => {
+            btn.addEventListener('click', () => this.switchEventTab(btn.dataset.tab));
+        });
+
+        document.querySelectorAll('.scoring-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                Results.scoring = btn.dataset.scoring;
+                this.renderResults();
+            });
+        });
+
+        document.querySelectorAll('.results-export-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const current = this.state.currentEvent;
+                const scoring = Results.getScoring(current);
+                const rows = Filters.filterResults(Results.build(current, { scoring }));
+                try {
+                    await Results.download(rows, current, scoring, btn.dataset.format);
+                } catch (error) {
+                    console.error('Results export failed:', error);
+                    alert(`Export failed: ${error.message}`);
+                }
+            });
+        });
+
+        if (new URLSearchParams(window.location.search).get('tab') === 'results') {
+            this.switchEventTab('results');
+        }
+    },
+
+    switchEventTab(tab) {
+        this.state.eventTab = tab;
+        document.querySelectorAll('.event-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+        });
+        this.renderEventContent();
+    },
+
+    renderResults() {
+        const section = document.getElementById('resultsSection');
+        const manifest = this.state.currentEvent;
+        if (!section || !manifest) return;
+
+        const showResults = this.state.eventTab === 'results';
+        section.style.display = showResults ? '' : 'none';
+        const downloadBar = document.querySelector('.download-bar');
+        if (downloadBar) downloadBar.style.display = showResults ? 'none' : '';
+        if (!showResults) return;
+
+        // Hide the media sections (renderEventContent shows them when non-empty)
+        ['videosSection', 'montagesSection'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = 'none';
+        });
+
+        const scoring = Results.getScoring(manifest);
+        document.querySelectorAll('.scoring-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.scoring === scoring);
+        });
+
+        const rows = Filters.filterResults(Results.build(manifest, { scoring }));
+        const container = document.getElementById('resultsTable');
+        Results.render(container, rows, scoring);
+        Results.attachHandlers(container, rows, () => this.renderResults());
+
+        const count = document.getElementById('resultsCount');
+        if (count) count.textContent = `${rows.length} athlete${rows.length !== 1 ? 's' : ''}`;
+    },
+
+    /**
+     * Latest first by run_number, then timestamp
+     */
+    sortMontages(montages) {
+        return [...montages].sort((a, b) => {
+            if (a.run_number !== undefined && b.run_number !== undefined) {
+                return b.run_number - a.run_number;
+            }
+            return new Date(b.timestamp || 0) - new Date(a.timestamp || 0);
+        });
     },
 
     /**
@@ -1220,6 +1550,33 @@ const App = {
         });
     },
 
+    /**
+     * Calculate ranks per gender based on duration (client-side ranking).
+     * Returns { [videoId]: rank }.
+     */
+    calculateVideoRanks(videoList) {
+        const rankMap = {};
+        ['Women', 'Men'].forEach(gender => {
+            const genderVideos = videoList.filter(v => v.gender === gender);
+            // Filter to only videos with valid duration and not affected by DNF/DSQ for this run
+            const rankable = genderVideos.filter(v => {
+                const statusUpper = (v.status || '').toUpperCase();
+                const statusMatch = statusUpper.match(/^(DNF|DSQ)(\d+)?$/);
+                const statusType = statusMatch ? statusMatch[1] : null;
+                const statusRun = statusMatch && statusMatch[2] ? parseInt(statusMatch[2]) : null;
+                const isAffected = statusType && (statusRun === null || statusRun === v.run);
+                return v.duration && !isAffected;
+            });
+            // Sort by duration
+            rankable.sort((a, b) => a.duration - b.duration);
+            // Assign ranks
+            rankable.forEach((v, idx) => {
+                rankMap[v.id] = idx + 1;
+            });
+        });
+        return rankMap;
+    },
+
     renderVideosGrid(videos, eventId, containerId = 'videosGrid', comparisonLookup = {}) {
         const container = document.getElementById(containerId);
         if (!container) return;
@@ -1239,31 +1596,7 @@ const App = {
         const showRankColumn = this.state.sortBy === 'rank';
         const colSpan = showRankColumn ? 9 : 8;
 
-        // Calculate ranks per gender based on duration (client-side ranking)
-        const calculateRanks = (videoList) => {
-            const rankMap = {};
-            ['Women', 'Men'].forEach(gender => {
-                const genderVideos = videoList.filter(v => v.gender === gender);
-                // Filter to only videos with valid duration and not affected by DNF/DSQ for this run
-                const rankable = genderVideos.filter(v => {
-                    const statusUpper = (v.status || '').toUpperCase();
-                    const statusMatch = statusUpper.match(/^(DNF|DSQ)(\d+)?$/);
-                    const statusType = statusMatch ? statusMatch[1] : null;
-                    const statusRun = statusMatch && statusMatch[2] ? parseInt(statusMatch[2]) : null;
-                    const isAffected = statusType && (statusRun === null || statusRun === v.run);
-                    return v.duration && !isAffected;
-                });
-                // Sort by duration
-                rankable.sort((a, b) => a.duration - b.duration);
-                // Assign ranks
-                rankable.forEach((v, idx) => {
-                    rankMap[v.id] = idx + 1;
-                });
-            });
-            return rankMap;
-        };
-
-        const rankMap = calculateRanks(videos);
+        const rankMap = this.calculateVideoRanks(videos);
 
         // Helper to build a row
         const buildRow = (video) => {
@@ -1548,6 +1881,188 @@ const App = {
         });
     },
 
+    // ========================================
+    // Offline Notice
+    // ========================================
+
+    setupOfflineNotice() {
+        window.addEventListener('skiframes:stale', () => this.updateOfflineNotice());
+        window.addEventListener('skiframes:fresh', () => this.updateOfflineNotice());
+        window.addEventListener('offline', () => this.updateOfflineNotice());
+        window.addEventListener('online', () => this.updateOfflineNotice());
+        this.updateOfflineNotice();
+    },
+
+    /**
+     * Show or hide the banner telling the user they're looking at saved data
+     */
+    updateOfflineNotice() {
+        const staleSince = API.getStaleSince();
+        const isOffline = navigator.onLine === false;
+        let notice = document.getElementById('offlineNotice');
+
+        if (!staleSince && !isOffline) {
+            if (notice) notice.style.display = 'none';
+            return;
+        }
+
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'offlineNotice';
+            notice.className = 'offline-notice';
+            const header = document.querySelector('.header');
+            if (header) header.insertAdjacentElement('afterend', notice);
+            else document.body.prepend(notice);
+        }
+
+        const savedAt = staleSince
+            ? ` Showing data saved ${new Date(staleSince).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} at ${this.formatTime(staleSince)}.`
+            : '';
+        notice.textContent = `You're offline.${savedAt} New videos will appear when the connection returns.`;
+        notice.style.display = '';
+    },
+
+    // ========================================
+    // Saved for Offline
+    // ========================================
+
+    /**
+     * List events saved on this device (home page)
+     */
+    async renderSavedEvents() {
+        const section = document.getElementById('savedEvents');
+        const list = document.getElementById('savedEventsList');
+        const usageEl = document.getElementById('savedEventsUsage');
+        if (!section || !list || typeof Offline === 'undefined' || !Offline.isSupported()) return;
+
+        const { usage, quota, savedBytes, events } = await Offline.getUsage();
+        if (events.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        if (usageEl) {
+            usageEl.textContent = quota
+                ? `${Offline.formatBytes(savedBytes)} saved • ${Offline.formatBytes(usage)} of ${Offline.formatBytes(quota)} used on this device`
+                : `${Offline.formatBytes(savedBytes)} saved`;
+        }
+
+        list.innerHTML = events.map(event => {
+            const href = event.event_url || `event.html?event=${encodeURIComponent(event.event_id)}`;
+            const contents = ['thumbnails'];
+            if (event.options?.videos) contents.push('videos');
+            if (event.options?.montages) contents.push('montages');
+            return `
+                <div class="event-row saved-event-row">
+                    <span class="event-row-date">${this.formatDateShort(event.event_date)}</span>
+                    <a href="${href}" class="event-row-name">${this.escapeHtml(event.event_name || event.event_id)}</a>
+                    <span class="saved-event-meta">${contents.join(', ')} • ${Offline.formatBytes(event.bytes)}</span>
+                    <button class="btn btn-secondary btn-sm saved-event-remove" data-event-id="${this.escapeHtml(event.event_id)}">Remove</button>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.saved-event-remove').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                btn.textContent = 'Removing...';
+                await Offline.removeEvent(btn.dataset.eventId);
+                this.renderSavedEvents();
+            });
+        });
+
+        section.style.display = 'block';
+    },
+
+    /**
+     * Save for offline button and menu (event page)
+     */
+    setupOfflineSave(manifest, eventUrl) {
+        const container = document.getElementById('offlineSave');
+        const button = document.getElementById('offlineSaveBtn');
+        const menu = document.getElementById('offlineSaveMenu');
+        if (!container || !button || !menu || typeof Offline === 'undefined' || !Offline.isSupported()) return;
+
+        container.style.display = '';
+        this.renderOfflineSaveMenu(manifest, eventUrl);
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+        });
+        menu.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => {
+            menu.style.display = 'none';
+        });
+    },
+
+    renderOfflineSaveMenu(manifest, eventUrl) {
+        const button = document.getElementById('offlineSaveBtn');
+        const menu = document.getElementById('offlineSaveMenu');
+        const record = Offline.getSavedEvents()[manifest.event_id];
+        const videoCount = (manifest.content?.videos || []).filter(v => v.video_url).length;
+        const montageCount = (manifest.content?.montages || []).length;
+
+        button.textContent = record ? 'Saved for offline ✓' : 'Save for offline';
+        button.classList.toggle('saved', !!record);
+
+        const savedInfo = record
+            ? `<p class="offline-save-info">Saved ${this.formatDateShort(record.saved_at.slice(0, 10))} • ${Offline.formatBytes(record.bytes)}${record.failed ? ` • ${record.failed} file${record.failed !== 1 ? 's' : ''} couldn't be saved` : ''}</p>`
+            : '<p class="offline-save-info">Keep this event on this device to watch without signal.</p>';
+
+        menu.innerHTML = `
+            ${savedInfo}
+            <label class="offline-save-option">
+                <input type="checkbox" checked disabled> Event info &amp; thumbnails
+            </label>
+            ${videoCount > 0 ? `
+            <label class="offline-save-option">
+                <input type="checkbox" id="offlineSaveVideos" ${record?.options?.videos ? 'checked' : ''}> Videos (${videoCount})
+            </label>` : ''}
+            ${montageCount > 0 ? `
+            <label class="offline-save-option">
+                <input type="checkbox" id="offlineSaveMontages" ${!record || record.options?.montages ? 'checked' : ''}> Montages, full resolution (${montageCount})
+            </label>` : ''}
+            <div class="offline-save-actions">
+                <button id="offlineSaveConfirm" class="btn btn-primary btn-sm">${record ? 'Update' : 'Save'}</button>
+                ${record ? '<button id="offlineSaveRemove" class="btn btn-secondary btn-sm">Remove</button>' : ''}
+            </div>
+            <div id="offlineSaveProgress" class="offline-save-progress"></div>
+        `;
+
+        document.getElementById('offlineSaveConfirm').addEventListener('click', async (e) => {
+            const confirmBtn = e.currentTarget;
+            const progress = document.getElementById('offlineSaveProgress');
+            const options = {
+                videos: !!document.getElementById('offlineSaveVideos')?.checked,
+                montages: !!document.getElementById('offlineSaveMontages')?.checked
+            };
+
+            confirmBtn.disabled = true;
+            button.textContent = 'Saving...';
+            try {
+                // Re-saving with fewer files: drop the old copy first so unused files are evicted
+                if (record) await Offline.removeEvent(manifest.event_id);
+                await Offline.saveEvent(manifest, options, {
+                    eventUrl,
+                    onProgress: (done, total) => {
+                        progress.textContent = `Saving ${done} of ${total} files...`;
+                        button.textContent = `Saving ${Math.round(done / total * 100)}%`;
+                    }
+                });
+            } catch (error) {
+                console.error('Save for offline failed:', error);
+                alert(`Could not save for offline: ${error.message}`);
+            }
+            this.renderOfflineSaveMenu(manifest, eventUrl);
+        });
+
+        document.getElementById('offlineSaveRemove')?.addEventListener('click', async () => {
+            await Offline.removeEvent(manifest.event_id);
+            this.renderOfflineSaveMenu(manifest, eventUrl);
+        });
+    },
+
     // ========================================
     // Global Listeners
     // ========================================
@@ -2050,17 +2565,73 @@ const App = {
         });
     },
 
-    showError(message) {
+    /**
+     * User-facing title and description for a fetch error
+     */
+    describeError(error) {
+        switch (error?.kind) {
+            case 'network':
+                return { title: 'Connection problem', message: "We couldn't reach the Skiframes servers. Check your connection and try again." };
+            case 'not_found':
+                return { title: 'Not found', message: "This event couldn't be found. It may have been moved or removed." };
+            case 'http':
+                return error.retryable
+                    ? { title: 'Server unavailable', message: `The server had a problem (HTTP ${error.status}). Please try again in a moment.` }
+                    : { title: 'Request failed', message: `The server rejected the request (HTTP ${error.status}).` };
+            case 'parse':
+                return { title: 'Unreadable data', message: 'The event data is damaged and could not be read.' };
+            default:
+                return { title: 'Error', message: error?.message || 'Something went wrong.' };
+        }
+    },
+
+    /**
+     * Render an error state into a container, with a Retry button for retryable errors
+     */
+    renderErrorState(container, error, onRetry = null, title = null) {
+        if (!container) return;
+
+        const info = this.describeError(error);
+        const canRetry = onRetry && (error?.retryable || error?.kind === 'network');
+        container.innerHTML = `
+            <div class="empty-state error-state">
+                <h3>${this.escapeHtml(title || info.title)}</h3>
+                <p>${this.escapeHtml(info.message)}</p>
+                ${canRetry ? '<button class="btn btn-primary error-retry-btn" style="margin-top: 16px;">Retry</button>' : ''}
+            </div>
+        `;
+
+        const retryBtn = container.querySelector('.error-retry-btn');
+        if (retryBtn) {
+            retryBtn.addEventListener('click', () => {
+                retryBtn.disabled = true;
+                retryBtn.textContent = 'Retrying...';
+                onRetry();
+            });
+        }
+    },
+
+    showError(messageOrError, onRetry = null) {
         const main = document.querySelector('main');
-        if (main) {
-            main.innerHTML = `
-                <div class="empty-state" style="padding: 100px 24px;">
-                    <h3>Error</h3>
-                    <p>${message}</p>
-                    <a href="/" class="btn btn-primary" style="margin-top: 20px;">Back to Home</a>
-                </div>
-            `;
+        if (!main) return;
+
+        if (typeof messageOrError !== 'string') {
+            this.renderErrorState(main, messageOrError, onRetry);
+            const state = main.querySelector('.error-state');
+            if (state) {
+                state.style.padding = '100px 24px';
+                state.insertAdjacentHTML('beforeend', '<a href="/" class="btn btn-secondary" style="margin-top: 16px; margin-left: 8px;">Back to Home</a>');
+            }
+            return;
         }
+
+        main.innerHTML = `
+            <div class="empty-state" style="padding: 100px 24px;">
+                <h3>Error</h3>
+                <p>${messageOrError}</p>
+                <a href="/" class="btn btn-primary" style="margin-top: 20px;">Back to Home</a>
+            </div>
+        `;
     }
 };
 
@@ -0,0 +1,526 @@
+/**
+ * Athlete profile page (athlete.html?id=<key>)
+ *
+ * Lists every race video, comparison video and montage for one athlete across
+ * all events. The id is the athletes.json key: "ussa:<id>", or
+ * "name:<normalized name>|<normalized team>" for athletes without a USSA id.
+ */
+
+const AthletePage = {
+    state: {
+        athlete: null,
+        // [{ event, manifest, appearance, runs, comparisons, montages, error }] newest first
+        appearances: []
+    },
+
+    // Manifests fetched at once while loading a profile
+    CONCURRENCY: 4,
+
+    async init() {
+        const athleteId = new URLSearchParams(window.location.search).get('id');
+        if (!athleteId) {
+            App.showError('No athlete specified');
+            return;
+        }
+
+        let events;
+        let athlete;
+        try {
+            const index = await API.getEventsIndex();
+            events = index.events || [];
+            athlete = await this.findAthlete(athleteId, events);
+        } catch (error) {
+            App.showError(error, () => window.location.reload());
+            return;
+        }
+
+        if (!athlete) {
+            App.showError('Athlete not found');
+            return;
+        }
+
+        this.state.athlete = athlete;
+        this.renderHeader(athlete);
+
+        this.state.appearances = await this.loadAppearances(athlete, events);
+        this.renderStats();
+        this.renderPersonalBests();
+        this.renderEvents();
+
+        Player.init(
+            document.getElementById('modalVideo'),
+            document.getElementById('videoModal')
+        );
+        ImageViewer.init(
+            document.getElementById('modalImage'),
+            document.getElementById('imageModal')
+        );
+    },
+
+    // ========================================
+    // Data
+    // ========================================
+
+    /**
+     * Look the athlete up in athletes.json, or scan every manifest when the
+     * index isn't available
+     */
+    async findAthlete(athleteId, events) {
+        const athleteIndex = await API.getAthleteIndex();
+        if (athleteIndex) {
+            return (athleteIndex.athletes || []).find(a => a.key === athleteId) || null;
+        }
+        return this.findAthleteByScanning(athleteId, events);
+    },
+
+    async findAthleteByScanning(athleteId, events) {
+        let athlete = null;
+
+        for (const event of events) {
+            let manifest;
+            try {
+                manifest = await API.getEventManifest(event.event_id, false, event.url);
+            } catch (error) {
+                continue;
+            }
+
+            (manifest.content?.videos || [])
+                .filter(v => !v.is_comparison && AthleteSearch.athleteKey({
+                    name: v.athlete, team: v.team, ussa_id: v.ussa_id
+                }) === athleteId)
+                .forEach(v => {
+                    if (!athlete) {
+                        athlete = {
+                            key: athleteId,
+                            name: v.athlete,
+                            team: v.team || '',
+                            gender: v.gender || '',
+                            category: v.category || '',
+                            ussa_id: v.ussa_id || '',
+                            events: []
+                        };
+                    }
+                    let appearance = athlete.events.find(e => e.event_id === event.event_id && e.bib === v.bib);
+                    if (!appearance) {
+                        appearance = { event_id: event.event_id, bib: v.bib, runs: [], montage_runs: [] };
+                        athlete.events.push(appearance);
+                    }
+                    if (v.run && !appearance.runs.includes(v.run)) appearance.runs.push(v.run);
+                });
+        }
+
+        return athlete;
+    },
+
+    /**
+     * Fetch each event the athlete appears in and pick out their runs,
+     * comparison videos and montages
+     */
+    async loadAppearances(athlete, events) {
+        const eventsById = {};
+        events.forEach(e => { eventsById[e.event_id] = e; });
+
+        const queue = (athlete.events || []).filter(a => eventsById[a.event_id]);
+        const results = [];
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const appearance = queue.shift();
+                const event = eventsById[appearance.event_id];
+                try {
+                    const manifest = await API.getEventManifest(event.event_id, false, event.url);
+                    results.push(this.buildAppearance(event, manifest, appearance));
+                } catch (error) {
+                    console.error(`Failed to load ${event.event_id}:`, error);
+                    results.push({ event, appearance, error, runs: [], comparisons: [], montages: [] });
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.CONCURRENCY, queue.length) }, worker));
+
+        return results.sort((a, b) => (b.event.event_date || '').localeCompare(a.event.event_date || ''));
+    },
+
+    buildAppearance(event, manifest, appearance) {
+        const allVideos = manifest.content?.videos || [];
+        const bib = appearance.bib;
+        const sameBib = v => bib !== null && bib !== undefined && String(v.bib) === String(bib);
+        const wantedRuns = appearance.runs || [];
+
+        // Race runs with their rank within the run
+        const runs = allVideos
+            .filter(v => !v.is_comparison && sameBib(v) && (wantedRuns.length === 0 || wantedRuns.includes(v.run)))
+            .sort((a, b) => (a.run || 0) - (b.run || 0))
+            .map(video => ({
+                video,
+                status: this.runStatus(video),
+                rank: this.runRank(allVideos, video)
+            }));
+
+        // Ghost race videos: linked from the athlete's runs, or standalone comparison entries
+        const comparisons = [];
+        const seen = new Set();
+        runs.forEach(({ video }) => {
+            if (video.comparison_url && !seen.has(video.comparison_url)) {
+                seen.add(video.comparison_url);
+                comparisons.push({ url: video.comparison_url, run: video.run, against: null });
+            }
+        });
+        allVideos
+            .filter(v => v.is_comparison && sameBib(v) && v.video_url && !seen.has(v.video_url))
+            .forEach(v => {
+                seen.add(v.video_url);
+                comparisons.push({ url: v.video_url, run: v.run, against: v.comparison_bib || null });
+            });
+
+        // Montages from named clusters: one per run, at the slowest speed
+        const montageRuns = appearance.montage_runs || [];
+        const eventMontages = manifest.content?.montages || [];
+        const variant = Filters.getVariantsSlowestFirst(eventMontages)[0] || null;
+        const montages = [];
+        montageRuns.forEach(runNumber => {
+            const forRun = eventMontages.filter(m => m.run_number === runNumber);
+            const pick = forRun.find(m => m.variant === variant) || forRun[0];
+            if (pick) montages.push(pick);
+        });
+
+        return { event, manifest, appearance, runs, comparisons, montages, error: null };
+    },
+
+    /**
+     * DNF/DSQ for this run, or null (status "DNF" with no run number applies to every run)
+     */
+    runStatus(video) {
+        const statusMatch = (video.status || '').toUpperCase().match(/^(DNF|DSQ)(\d+)?$/);
+        if (!statusMatch) return null;
+        const statusRun = statusMatch[2] ? parseInt(statusMatch[2]) : null;
+        return statusRun === null || statusRun === video.run ? statusMatch[0] : null;
+    },
+
+    /**
+     * Rank among finishers of the same run, gender and category
+     */
+    runRank(allVideos, video) {
+        if (!video.duration || this.runStatus(video)) return null;
+        const field = allVideos.filter(v =>
+            !v.is_comparison &&
+            v.run === video.run &&
+            v.gender === video.gender &&
+            (v.category || '') === (video.category || '') &&
+            v.duration &&
+            !this.runStatus(v)
+        );
+        return field.filter(v => v.duration < video.duration).length + 1;
+    },
+
+    /**
+     * Best finishing time at an event, or null
+     */
+    bestRun(appearance) {
+        return appearance.runs
+            .filter(r => !r.status && r.video.duration)
+            .sort((a, b) => a.video.duration - b.video.duration)[0] || null;
+    },
+
+    eventHref(event) {
+        const searchParam = `search=${encodeURIComponent(this.state.athlete.name)}`;
+        return event.url
+            ? `${event.url}?${searchParam}`
+            : `event.html?event=${encodeURIComponent(event.event_id)}&${searchParam}`;
+    },
+
+    // ========================================
+    // Rendering
+    // ========================================
+
+    renderHeader(athlete) {
+        document.title = `${athlete.name} - Skiframes`;
+
+        const nameEl = document.getElementById('athleteName');
+        const metaEl = document.getElementById('athleteMeta');
+        if (nameEl) nameEl.textContent = athlete.name;
+
+        if (metaEl) {
+            const parts = [athlete.team, athlete.category, athlete.gender].filter(Boolean);
+            metaEl.innerHTML = App.escapeHtml(parts.join(' • '));
+            if (athlete.ussa_id) {
+                const ussaUrl = `https://www.usskiandsnowboard.org/public-tools/members/${encodeURIComponent(athlete.ussa_id)}`;
+                metaEl.innerHTML += `${parts.length ? ' • ' : ''}<a href="${ussaUrl}" target="_blank" class="athlete-ussa-link">USSA ${App.escapeHtml(athlete.ussa_id)}</a>`;
+            }
+        }
+    },
+
+    renderStats() {
+        const container = document.getElementById('athleteStats');
+        if (!container) return;
+
+        const appearances = this.state.appearances;
+        const raceRuns = appearances.reduce((n, a) => n + a.runs.length, 0);
+        const comparisons = appearances.reduce((n, a) => n + a.comparisons.length, 0);
+        const montages = appearances.reduce((n, a) => n + a.montages.length, 0);
+
+        const stats = [
+            [appearances.length, appearances.length === 1 ? 'event' : 'events'],
+            [raceRuns, raceRuns === 1 ? 'race run' : 'race runs'],
+            [comparisons, comparisons === 1 ? 'ghost race' : 'ghost races'],
+            [montages, montages === 1 ? 'montage' : 'montages']
+        ].filter(([count], i) => i === 0 || count > 0);
+
+        container.innerHTML = stats
+            .map(([count, label]) => `<span class="athlete-stat"><strong>${count}</strong> ${label}</span>`)
+            .join('');
+    },
+
+    /**
+     * Best time per event, oldest first, grouped by discipline. A personal best is
+     * an event whose best time beats every earlier event in the same discipline.
+     */
+    renderPersonalBests() {
+        const section = document.getElementById('pbSection');
+        const container = document.getElementById('pbTimeline');
+        if (!section || !container) return;
+
+        const byDiscipline = {};
+        [...this.state.appearances].reverse().forEach(appearance => {
+            const best = this.bestRun(appearance);
+            if (!best) return;
+            const discipline = (appearance.event.discipline || appearance.manifest?.discipline || 'Race').toUpperCase();
+            (byDiscipline[discipline] = byDiscipline[discipline] || []).push({ appearance, best });
+        });
+
+        const disciplines = Object.keys(byDiscipline).sort();
+        if (disciplines.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = disciplines.map(discipline => {
+            let pb = Infinity;
+            const points = byDiscipline[discipline].map(({ appearance, best }) => {
+                const time = best.video.duration;
+                const isPB = time < pb;
+                if (isPB) pb = time;
+                return { appearance, best, time, isPB };
+            });
+
+            const items = points.map(({ appearance, best, time, isPB }) => `
+                <a href="${this.eventHref(appearance.event)}" class="pb-item ${isPB ? 'pb-item-best' : ''}">
+                    <span class="pb-date">${App.formatDateShort(appearance.event.event_date)}</span>
+                    <span class="pb-event">${App.escapeHtml(appearance.event.event_name)}</span>
+                    <span class="pb-time">${time.toFixed(2)}s</span>
+                    <span class="pb-rank">Run ${best.video.run || '?'}${best.rank ? ` • #${best.rank}` : ''}</span>
+                    ${isPB ? '<span class="pb-badge">PB</span>' : ''}
+                </a>
+            `).join('');
+
+            return `
+                <div class="pb-discipline">
+                    <h3 class="pb-discipline-title">${App.escapeHtml(discipline)}</h3>
+                    ${this.renderSparkline(points.map(p => p.time), points.map(p => p.isPB))}
+                    <div class="pb-list">${items}</div>
+                </div>
+            `;
+        }).join('');
+
+        section.style.display = 'block';
+    },
+
+    /**
+     * Small SVG line of best times (lower is better, so faster plots higher)
+     */
+    renderSparkline(times, pbFlags) {
+        if (times.length < 2) return '';
+
+        const width = 300;
+        const height = 60;
+        const pad = 6;
+        const min = Math.min(...times);
+        const max = Math.max(...times);
+        const range = max - min || 1;
+
+        const coords = times.map((t, i) => [
+            pad + (i / (times.length - 1)) * (width - pad * 2),
+            pad + ((t - min) / range) * (height - pad * 2)
+        ]);
+
+        const line = coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+        const dots = coords.map(([x, y], i) =>
+            `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${pbFlags[i] ? 4 : 3}" class="${pbFlags[i] ? 'pb-dot-best' : 'pb-dot'}"/>`
+        ).join('');
+
+        return `
+            <svg class="pb-sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+                <polyline points="${line}" class="pb-line"/>
+                ${dots}
+            </svg>
+        `;
+    },
+
+    renderEvents() {
+        const container = document.getElementById('athleteEvents');
+        if (!container) return;
+
+        if (this.state.appearances.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <h3>No events found</h3>
+                    <p>This athlete's events may have been removed</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = this.state.appearances.map((appearance, idx) => {
+            const { event } = appearance;
+            const location = event.location || appearance.manifest?.location || '';
+
+            let body;
+            if (appearance.error) {
+                body = '<p class="athlete-event-error">This event couldn\'t be loaded. Try again later.</p>';
+            } else {
+                body = this.renderRunsTable(appearance, idx) + this.renderComparisons(appearance, idx) + this.renderMontages(appearance, idx);
+                if (!body) body = '<p class="athlete-event-error">No videos for this athlete at this event yet.</p>';
+            }
+
+            return `
+                <div class="athlete-event" data-appearance="${idx}">
+                    <div class="athlete-event-header">
+                        <span class="event-row-date">${App.formatDateShort(event.event_date)}</span>
+                        <a href="${this.eventHref(event)}" class="athlete-event-name">${App.escapeHtml(event.event_name)}</a>
+                        <span class="athlete-event-meta">${App.escapeHtml([location, appearance.appearance.bib != null ? `Bib ${appearance.appearance.bib}` : ''].filter(Boolean).join(' • '))}</span>
+                    </div>
+                    ${body}
+                </div>
+            `;
+        }).join('');
+
+        this.attachEventHandlers(container);
+    },
+
+    renderRunsTable(appearance, idx) {
+        if (appearance.runs.length === 0) return '';
+
+        const rows = appearance.runs.map(({ video, status, rank }, runIdx) => {
+            const timeDisplay = status || (video.duration ? `${video.duration.toFixed(2)}s` : '-');
+            const playable = !!video.video_url;
+            return `
+                <tr class="video-row ${playable ? '' : 'video-row-disabled'}" data-appearance="${idx}" data-run-index="${runIdx}">
+                    <td>Run ${video.run || '?'}</td>
+                    <td class="col-time">${timeDisplay}</td>
+                    <td class="col-rank">${rank ? `#${rank}` : status ? '-' : ''}</td>
+                    <td class="col-actions">${playable ? '<button class="btn btn-sm btn-primary play-btn">Play</button>' : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="video-table-container">
+                <table class="video-table athlete-runs-table">
+                    <thead>
+                        <tr>
+                            <th>Run</th>
+                            <th class="col-time">Time</th>
+                            <th class="col-rank">Run Rank</th>
+                            <th class="col-actions"></th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    renderComparisons(appearance, idx) {
+        if (appearance.comparisons.length === 0) return '';
+
+        const buttons = appearance.comparisons.map((c, cIdx) => `
+            <button class="btn btn-sm btn-ghost ghost-race-btn" data-appearance="${idx}" data-comparison-index="${cIdx}">
+                Ghost Race${c.run ? ` • Run ${c.run}` : ''}${c.against ? ` vs Bib ${App.escapeHtml(String(c.against))}` : ''}
+            </button>
+        `).join('');
+
+        return `<div class="athlete-comparisons">${buttons}</div>`;
+    },
+
+    renderMontages(appearance, idx) {
+        if (appearance.montages.length === 0) return '';
+
+        const eventId = appearance.event.event_id;
+        const cards = appearance.montages.map((montage, mIdx) => `
+            <div class="montage-card" data-appearance="${idx}" data-montage-index="${mIdx}">
+                <div class="montage-thumbnail">
+                    ${montage.thumb_url ? `<img src="${API.getMediaUrl(montage.thumb_url, eventId)}" alt="Run ${montage.run_number}" loading="lazy">` : ''}
+                    ${montage.elapsed_time != null ? `<span class="montage-time-overlay">${montage.elapsed_time.toFixed(2)}s</span>` : ''}
+                </div>
+                <div class="montage-card-content">
+                    <p>Run ${montage.run_number || '?'}${montage.timestamp ? ` • ${App.formatTime(montage.timestamp)}` : ''}</p>
+                </div>
+            </div>
+        `).join('');
+
+        return `<div class="montages-grid athlete-montages">${cards}</div>`;
+    },
+
+    attachEventHandlers(container) {
+        const athlete = this.state.athlete;
+
+        container.querySelectorAll('.video-row').forEach(row => {
+            row.addEventListener('click', () => {
+                const appearance = this.state.appearances[row.dataset.appearance];
+                const run = appearance?.runs[row.dataset.runIndex];
+                if (!run || !run.video.video_url) return;
+
+                const eventId = appearance.event.event_id;
+                const url = API.getMediaUrl(run.video.video_url, eventId);
+                const comparisonUrl = run.video.comparison_url ? API.getMediaUrl(run.video.comparison_url, eventId) : null;
+                Player.open(
+                    url,
+                    athlete.name,
+                    `${appearance.event.event_name} • Bib ${run.video.bib} • Run ${run.video.run}`,
+                    url,
+                    comparisonUrl
+                );
+            });
+        });
+
+        container.querySelectorAll('.ghost-race-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const appearance = this.state.appearances[btn.dataset.appearance];
+                const comparison = appearance?.comparisons[btn.dataset.comparisonIndex];
+                if (!comparison) return;
+
+                const url = API.getMediaUrl(comparison.url, appearance.event.event_id);
+                Player.open(
+                    url,
+                    `${athlete.name} - Ghost Race`,
+                    `${appearance.event.event_name}${comparison.run ? ` • Run ${comparison.run}` : ''}`,
+                    url,
+                    null
+                );
+            });
+        });
+
+        container.querySelectorAll('.montage-card').forEach(card => {
+            card.addEventListener('click', () => {
+                const appearance = this.state.appearances[card.dataset.appearance];
+                if (!appearance) return;
+
+                // The viewer reads FPS variants from the current event
+                App.state.currentEvent = appearance.manifest;
+                const variants = Filters.getVariantsSlowestFirst(appearance.manifest.content?.montages || []);
+                ImageViewer.open(
+                    parseInt(card.dataset.montageIndex),
+                    appearance.montages,
+                    null,
+                    appearance.event.event_id,
+                    variants
+                );
+            });
+        });
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AthletePage;
+}
@@ -0,0 +1,139 @@
+/**
+ * Manifest cache - IndexedDB-backed store for index.json and event manifests
+ *
+ * Each entry keeps the parsed JSON plus the ETag/Last-Modified it was served with,
+ * so API can revalidate with If-None-Match and fall back to the stored copy when
+ * the network is unavailable.
+ */
+
+const ManifestCache = {
+    DB_NAME: 'skiframes-cache',
+    DB_VERSION: 1,
+    STORE: 'manifests',
+
+    // Entries fetched within this window are served from memory without revalidating
+    FRESH_MS: 30000,
+
+    // In-memory copy of entries used this page load (key -> entry)
+    memory: new Map(),
+
+    // Pending IndexedDB open
+    dbPromise: null,
+
+    /**
+     * Whether IndexedDB is usable (false in private mode on some browsers, and in Node)
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Open (and create if needed) the database
+     */
+    openDB() {
+        if (!this.isAvailable()) return Promise.resolve(null);
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            let request;
+            try {
+                request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            } catch (error) {
+                console.warn('Manifest cache unavailable:', error);
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE)) {
+                    db.createObjectStore(this.STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Manifest cache unavailable:', request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a single request against the object store
+     */
+    async withStore(mode, fn) {
+        const db = await this.openDB();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(this.STORE, mode);
+                const request = fn(tx.objectStore(this.STORE));
+                tx.oncomplete = () => resolve(request ? request.result : null);
+                tx.onerror = () => resolve(null);
+                tx.onabort = () => resolve(null);
+            } catch (error) {
+                console.warn('Manifest cache error:', error);
+                resolve(null);
+            }
+        });
+    },
+
+    /**
+     * Get a cached entry: { key, url, data, etag, lastModified, fetchedAt }
+     */
+    async get(key) {
+        if (this.memory.has(key)) return this.memory.get(key);
+
+        const entry = await this.withStore('readonly', store => store.get(key));
+        if (entry) this.memory.set(key, entry);
+        return entry || null;
+    },
+
+    /**
+     * Store an entry (memory and IndexedDB)
+     */
+    async put(entry) {
+        this.memory.set(entry.key, entry);
+        await this.withStore('readwrite', store => store.put(entry));
+        return entry;
+    },
+
+    /**
+     * Mark an entry as just revalidated without rewriting its data
+     */
+    async touch(entry) {
+        return this.put({ ...entry, fetchedAt: Date.now() });
+    },
+
+    /**
+     * Remove an entry
+     */
+    async delete(key) {
+        this.memory.delete(key);
+        await this.withStore('readwrite', store => store.delete(key));
+    },
+
+    /**
+     * Remove all entries
+     */
+    async clear() {
+        this.memory.clear();
+        await this.withStore('readwrite', store => store.clear());
+    },
+
+    /**
+     * Whether an entry was fetched recently enough to skip revalidation
+     */
+    isFresh(entry) {
+        return !!entry && (Date.now() - entry.fetchedAt) < this.FRESH_MS;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ManifestCache;
+}
@@ -6,7 +6,6 @@
  */
 
 const Clustering = {
-    ADMIN_API: 'https://skiframes-admin-api.avillach.workers.dev',
 
     /** Default color palette for athlete cards */
     COLORS: [
@@ -256,7 +255,7 @@ const Clustering = {
                     updated_at: new Date().toISOString()
                 }
             };
-            await fetch(`${this.ADMIN_API}/save-clusters`, {
+            await fetch(`${API.ADMIN_API_URL}/save-clusters`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(data)
@@ -96,6 +96,24 @@ const Download = {
         });
     },
 
+    /**
+     * Save a Blob (e.g. a generated CSV) as a file
+     */
+    saveBlob(blob, filename) {
+        const blobUrl = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = filename;
+        a.style.display = 'none';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        // Clean up blob URL after a short delay
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+    },
+
     /**
      * Download a single file using fetch+blob to force download
      */
@@ -108,18 +126,7 @@ const Download = {
             if (!response.ok) throw new Error('Fetch failed');
 
             const blob = await response.blob();
-            const blobUrl = URL.createObjectURL(blob);
-
-            const a = document.createElement('a');
-            a.href = blobUrl;
-            a.download = finalFilename;
-            a.style.display = 'none';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-
-            // Clean up blob URL after a short delay
-            setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
+            this.saveBlob(blob, finalFilename);
         } catch (error) {
             console.error('Download failed, falling back to direct link:', error);
             // Fallback to direct download attempt
@@ -0,0 +1,253 @@
+/**
+ * Export module - CSV and Excel (XLSX) exports of the videos, montages and
+ * results currently shown on the event page
+ */
+
+const Export = {
+    // Columns: [header, row => value]. Media columns hold full URLs.
+    VIDEO_COLUMNS: [
+        ['Bib', v => v.bib],
+        ['Athlete', v => v.athlete],
+        ['Team', v => v.team],
+        ['Gender', v => v.gender],
+        ['Category', v => v.category],
+        ['Run', v => v.run],
+        ['Duration (s)', v => v.duration],
+        ['Rank', v => v.rank],
+        ['Status', v => v.status],
+        ['Video URL', v => v.video_url],
+        ['Comparison URL', v => v.comparison_url],
+        ['Thumbnail URL', v => v.thumb_url]
+    ],
+
+    MONTAGE_COLUMNS: [
+        ['Run', m => m.run_number],
+        ['Time', m => m.timestamp],
+        ['Elapsed (s)', m => m.elapsed_time],
+        ['FPS', m => m.fps ?? m.variant],
+        ['Frames', m => m.frame_count],
+        ['Image URL', m => m.full_url],
+        ['Thumbnail URL', m => m.thumb_url],
+        ['Video URL', m => m.video_url],
+        ['Trajectory URL', m => m.trajectory_url]
+    ],
+
+    // ========================================
+    // Rows
+    // ========================================
+
+    /**
+     * Videos as shown in the grid: filtered, sorted, with the on-screen rank
+     * and media paths resolved to full URLs
+     */
+    videoRows(manifest) {
+        const videos = manifest.content?.videos || [];
+        const regular = videos.filter(v => !v.is_comparison);
+        const comparisonLookup = {};
+        videos.filter(v => v.is_comparison).forEach(v => {
+            comparisonLookup[v.bib] = v.video_url;
+        });
+
+        const filtered = App.sortVideos(Filters.filterVideos(regular));
+        const ranks = App.calculateVideoRanks(filtered);
+
+        return filtered.map(v => ({
+            ...v,
+            rank: ranks[v.id] || null,
+            video_url: this.mediaUrl(v.video_url, manifest.event_id),
+            thumb_url: this.mediaUrl(v.thumb_url, manifest.event_id),
+            comparison_url: this.mediaUrl(v.comparison_url || comparisonLookup[v.bib], manifest.event_id)
+        }));
+    },
+
+    /**
+     * Montages as shown in the grid (current speed/FPS filter, latest run first)
+     */
+    montageRows(manifest) {
+        const montages = App.sortMontages(Filters.filterMontages(manifest.content?.montages || []));
+        return montages.map(m => ({
+            ...m,
+            full_url: this.mediaUrl(m.full_url, manifest.event_id),
+            thumb_url: this.mediaUrl(m.thumb_url, manifest.event_id),
+            video_url: this.mediaUrl(m.video_url, manifest.event_id),
+            trajectory_url: this.mediaUrl(m.trajectory_url, manifest.event_id)
+        }));
+    },
+
+    mediaUrl(path, eventId) {
+        return path ? API.getMediaUrl(path, eventId) : '';
+    },
+
+    /**
+     * Apply column definitions: returns [header, ...rows] as arrays of cell values
+     */
+    toTable(columns, items) {
+        return [
+            columns.map(([header]) => header),
+            ...items.map(item => columns.map(([, value]) => {
+                const v = value(item);
+                return v === undefined || v === null ? '' : v;
+            }))
+        ];
+    },
+
+    // ========================================
+    // CSV
+    // ========================================
+
+    /**
+     * Text a spreadsheet would run as a formula (=, +, -, @) gets a leading
+     * apostrophe so athlete names and other manifest fields stay plain text
+     */
+    formulaSafe(value) {
+        return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+    },
+
+    csvCell(value) {
+        const str = String(this.formulaSafe(value) ?? '');
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    },
+
+    toCSV(table) {
+        return table.map(row => row.map(v => this.csvCell(v)).join(',')).join('\r\n') + '\r\n';
+    },
+
+    // ========================================
+    // XLSX
+    // ========================================
+
+    xmlEscape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters aren't allowed in XML
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+    },
+
+    /**
+     * Column letters for a 0-based index (0 -> A, 26 -> AA)
+     */
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    },
+
+    sheetXml(table) {
+        const rows = table.map((row, r) => {
+            const cells = row.map((value, c) => {
+                const ref = `${this.columnName(c)}${r + 1}`;
+                if (value === '') return '';
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"><v>${value}</v></c>`;
+                }
+                // Header row is bold (style 1)
+                const style = r === 0 ? ' s="1"' : '';
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.xmlEscape(this.formulaSafe(value))}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<sheetData>${rows}</sheetData></worksheet>`;
+    },
+
+    /**
+     * Build an .xlsx workbook with one sheet per { name, table }. Uses JSZip
+     * (already loaded on the event page for bulk downloads).
+     */
+    async toXLSX(sheets) {
+        if (typeof JSZip === 'undefined') throw new Error('Excel export is unavailable (JSZip not loaded)');
+
+        const zip = new JSZip();
+        const names = sheets.map(s => this.xmlEscape(s.name.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31)));
+
+        zip.file('[Content_Types].xml',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>');
+
+        zip.file('_rels/.rels',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>');
+
+        zip.file('xl/workbook.xml',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets>' + names.map((name, i) => `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') + '</sheets>' +
+            '</workbook>');
+
+        zip.file('xl/_rels/workbook.xml.rels',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>');
+
+        zip.file('xl/styles.xml',
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '</styleSheet>');
+
+        sheets.forEach((sheet, i) => {
+            zip.file(`xl/worksheets/sheet${i + 1}.xml`, this.sheetXml(sheet.table));
+        });
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    },
+
+    // ========================================
+    // Download
+    // ========================================
+
+    /**
+     * Save a table as <basename>.csv or <basename>.xlsx
+     */
+    async download(table, basename, format = 'csv', sheetName = 'Sheet1') {
+        if (format === 'xlsx') {
+            const blob = await this.toXLSX([{ name: sheetName, table }]);
+            Download.saveBlob(blob, `${basename}.xlsx`);
+            return;
+        }
+        // BOM so Excel opens UTF-8 names (accents) correctly
+        const blob = new Blob(['\uFEFF', this.toCSV(table)], { type: 'text/csv;charset=utf-8' });
+        Download.saveBlob(blob, `${basename}.csv`);
+    },
+
+    /**
+     * Export what's on screen. what: 'videos' | 'montages'
+     */
+    async exportEvent(manifest, what, format = 'csv') {
+        const table = what === 'montages'
+            ? this.toTable(this.MONTAGE_COLUMNS, this.montageRows(manifest))
+            : this.toTable(this.VIDEO_COLUMNS, this.videoRows(manifest));
+        const label = what === 'montages' ? 'Montages' : 'Videos';
+        await this.download(table, `${manifest.event_id}_${what}`, format, label);
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Export;
+}
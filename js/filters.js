@@ -200,6 +200,27 @@ const Filters = {
         });
     },
 
+    /**
+     * Filter race result rows by current state. Unlike filterVideos, DNS racers
+     * stay in (they belong in the results) and the run filter doesn't apply.
+     */
+    filterResults(rows) {
+        return rows.filter(row => {
+            if (this.state.team && row.team !== this.state.team) return false;
+            if (this.state.category && row.category !== this.state.category) return false;
+            if (this.state.gender && row.gender !== this.state.gender) return false;
+
+            if (this.state.search) {
+                const searchLower = this.state.search.toLowerCase();
+                const bibMatch = String(row.bib) === this.state.search;
+                const nameMatch = row.athlete.toLowerCase().includes(searchLower);
+                if (!bibMatch && !nameMatch) return false;
+            }
+
+            return true;
+        });
+    },
+
     /**
      * Filter montages by current state
      */
@@ -0,0 +1,132 @@
+/**
+ * Live schedule - race order and estimated start times from start_list.json,
+ * shared by the live page and the operator console
+ *
+ * Bib state (from the LiveState Durable Object):
+ *   { run, bib, timeOffsetMs, hold: { since } | null, interval: { seconds, fromBib } | null }
+ */
+
+const LiveSchedule = {
+    /**
+     * Flat race order for a run: [{ bib, first, last, club, className, estTime,
+     * start_time, orderNote }], classes in the order they appear.
+     * options: { resultsFor: run => { bib: time | status } | null, interval }
+     */
+    buildOrder(data, run, options = {}) {
+        if (!data) return [];
+        const flatOrder = [];
+
+        const interval = data.interval_seconds * 1000;
+        const runKey = `run${run}_start`;
+        const runStart = new Date(data[runKey] || data.run1_start);
+
+        let offset = 0;
+
+        // Build a bib lookup across all classes
+        const bibLookup = {};
+        for (const cls of data.classes) {
+            for (const a of cls.athletes) {
+                bibLookup[a.bib] = { ...a, className: cls.name };
+            }
+        }
+
+        // Use class order from data (in order they appear)
+        for (const cls of data.classes) {
+            const { order: orderedBibs, note } = this.orderForRun(data, cls, run, options.resultsFor);
+
+            for (const bib of orderedBibs) {
+                const a = bibLookup[bib];
+                if (!a) continue;
+                flatOrder.push({
+                    bib: a.bib,
+                    first: a.first,
+                    last: a.last,
+                    club: a.club,
+                    className: a.className,
+                    estTime: new Date(runStart.getTime() + offset),
+                    start_time: a.start_time,
+                    orderNote: note
+                });
+                offset += interval;
+            }
+        }
+
+        // Resumed after a hold with a new interval: re-space from that athlete on
+        const change = options.interval;
+        const fromIdx = change ? flatOrder.findIndex(a => a.bib === change.fromBib) : -1;
+        if (fromIdx >= 0) {
+            const base = flatOrder[fromIdx].estTime.getTime();
+            for (let i = fromIdx + 1; i < flatOrder.length; i++) {
+                flatOrder[i].estTime = new Date(base + (i - fromIdx) * change.seconds * 1000);
+            }
+        }
+
+        return flatOrder;
+    },
+
+    /**
+     * A class's start order for a run. Later runs are generated with the
+     * run's rule (runN_format) from the previous run: from its results once
+     * every athlete has one, otherwise an explicit runN_order wins, then the
+     * rule applied to the previous start order as an estimate.
+     */
+    orderForRun(data, cls, run, resultsFor) {
+        if (run <= 1) {
+            return { order: cls.run1_order || cls.athletes.map(a => a.bib), note: '' };
+        }
+
+        const previous = this.orderForRun(data, cls, run - 1, resultsFor).order;
+        const rule = data[`run${run}_format`] || data.run2_format || StartOrder.DEFAULT_RULE;
+        const generated = StartOrder.generate(previous, rule, resultsFor ? resultsFor(run - 1) : null);
+        const label = StartOrder.label(rule);
+
+        if (generated.fromResults) {
+            return { order: generated.order, note: `${label} on R${run - 1} results` };
+        }
+        if (cls[`run${run}_order`]) {
+            return { order: cls[`run${run}_order`], note: '' };
+        }
+        return { order: generated.order, note: `${label} (provisional)` };
+    },
+
+    /**
+     * Offset to apply to estimated times now; while the course is held the
+     * schedule keeps slipping
+     */
+    effectiveOffset(state, now = Date.now()) {
+        const base = state?.timeOffsetMs || 0;
+        if (!state?.hold) return base;
+        return base + Math.max(0, now - new Date(state.hold.since).getTime());
+    },
+
+    /**
+     * Last athlete whose adjusted estTime <= now (-1 before the first start)
+     */
+    currentIndex(flatOrder, offsetMs, now = Date.now()) {
+        let currentIdx = -1;
+        for (let i = 0; i < flatOrder.length; i++) {
+            if (flatOrder[i].estTime.getTime() + offsetMs <= now) {
+                currentIdx = i;
+            } else {
+                break; // flatOrder is chronologically sorted
+            }
+        }
+        return currentIdx;
+    },
+
+    /**
+     * "+2:30" / "-0:45" for an offset in ms
+     */
+    formatOffset(ms) {
+        const sign = ms > 0 ? '+' : '-';
+        const abs = Math.abs(ms);
+        const min = Math.floor(abs / 60000);
+        const sec = Math.floor((abs % 60000) / 1000);
+        return `${sign}${min}:${sec.toString().padStart(2, '0')}`;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveSchedule;
+}
@@ -0,0 +1,239 @@
+/**
+ * Offline module - registers the service worker (sw.js) and saves events
+ * (manifest, thumbnails and chosen videos/montages) for viewing without signal
+ */
+
+const Offline = {
+    // Must match OFFLINE_CACHE in sw.js
+    CACHE_NAME: 'skiframes-offline-v1',
+
+    // localStorage key for the saved-events list
+    STORAGE_KEY: 'skiframes_offline_events',
+
+    // Parallel downloads while saving
+    CONCURRENCY: 4,
+
+    /**
+     * Whether this browser can save events for offline use
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' &&
+            'serviceWorker' in navigator &&
+            typeof caches !== 'undefined';
+    },
+
+    /**
+     * Register the service worker
+     */
+    async register() {
+        if (!this.isSupported()) return null;
+        try {
+            return await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        }
+    },
+
+    // ========================================
+    // Saved events list
+    // ========================================
+
+    /**
+     * All saved events: { [eventId]: { event_id, event_name, event_date, event_type,
+     *   saved_at, options, urls, bytes } }
+     */
+    getSavedEvents() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    setSavedEvents(saved) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+    },
+
+    isSaved(eventId) {
+        return !!this.getSavedEvents()[eventId];
+    },
+
+    // ========================================
+    // Save / remove
+    // ========================================
+
+    /**
+     * Collect the media URLs to store for an event.
+     * options: { videos: bool, montages: bool } - thumbnails are always included
+     */
+    collectUrls(manifest, options = {}, eventUrl = null) {
+        const eventId = manifest.event_id;
+        const urls = new Set();
+        const add = (path) => {
+            if (path) urls.add(API.getMediaUrl(path, eventId));
+        };
+
+        // Data needed to open the event page
+        urls.add(`${API.MEDIA_BASE}/index.json`);
+        if (eventUrl && eventUrl.startsWith('/races/')) {
+            urls.add(new URL(`${eventUrl}race_manifest.json`, window.location.origin).href);
+        } else {
+            urls.add(`${API.MEDIA_BASE}/events/${eventId}/manifest.json`);
+        }
+        add(manifest.logo_url);
+
+        (manifest.content?.videos || []).forEach(v => {
+            add(v.thumb_url);
+            if (options.videos) add(v.video_url);
+        });
+
+        (manifest.content?.montages || []).forEach(m => {
+            add(m.thumb_url);
+            if (options.montages) {
+                add(m.full_url);
+                add(m.video_url);
+                add(m.trajectory_url);
+            }
+        });
+
+        return Array.from(urls);
+    },
+
+    /**
+     * Download and store an event. onProgress(done, total) is called as files finish.
+     * Returns the saved-event record; files that fail are skipped and counted.
+     */
+    async saveEvent(manifest, options = {}, { eventUrl = null, onProgress = null } = {}) {
+        if (!this.isSupported()) throw new Error('Offline saving is not supported in this browser');
+
+        // Ask the browser not to evict saved events under storage pressure
+        if (navigator.storage?.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        const cache = await caches.open(this.CACHE_NAME);
+        const urls = this.collectUrls(manifest, options, eventUrl);
+        const stored = [];
+        let bytes = 0;
+        let failed = 0;
+        let done = 0;
+
+        const queue = [...urls];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const url = queue.shift();
+                try {
+                    const size = await this.storeUrl(cache, url);
+                    stored.push(url);
+                    bytes += size;
+                } catch (error) {
+                    console.warn('Could not save for offline:', url, error);
+                    failed++;
+                }
+                done++;
+                if (onProgress) onProgress(done, urls.length);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.CONCURRENCY, urls.length) }, worker));
+
+        const record = {
+            event_id: manifest.event_id,
+            event_name: manifest.event_name,
+            event_date: manifest.event_date,
+            event_type: manifest.event_type,
+            event_url: eventUrl,
+            saved_at: new Date().toISOString(),
+            options: { videos: !!options.videos, montages: !!options.montages },
+            urls: stored,
+            bytes,
+            failed
+        };
+
+        const saved = this.getSavedEvents();
+        saved[manifest.event_id] = record;
+        this.setSavedEvents(saved);
+        return record;
+    },
+
+    /**
+     * Fetch one file into the cache, returning its size in bytes. Media already
+     * saved is reused; JSON (index.json, manifests) changes in place, so saving
+     * again always fetches it.
+     */
+    async storeUrl(cache, url) {
+        const isData = new URL(url, window.location.origin).pathname.endsWith('.json');
+        const existing = isData ? null : await cache.match(url);
+        if (existing) {
+            const blob = await existing.clone().blob();
+            return blob.size;
+        }
+
+        const response = await fetch(url, { mode: 'cors', cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const blob = await response.clone().blob();
+        await cache.put(url, response);
+        return blob.size;
+    },
+
+    /**
+     * Remove a saved event, keeping files still used by other saved events
+     */
+    async removeEvent(eventId) {
+        const saved = this.getSavedEvents();
+        const record = saved[eventId];
+        if (!record) return;
+
+        delete saved[eventId];
+        this.setSavedEvents(saved);
+
+        const stillUsed = new Set();
+        Object.values(saved).forEach(r => (r.urls || []).forEach(u => stillUsed.add(u)));
+
+        if (typeof caches === 'undefined') return;
+        const cache = await caches.open(this.CACHE_NAME);
+        await Promise.all(
+            (record.urls || [])
+                .filter(url => !stillUsed.has(url))
+                .map(url => cache.delete(url))
+        );
+    },
+
+    // ========================================
+    // Storage usage
+    // ========================================
+
+    /**
+     * Storage usage: { usage, quota, savedBytes, events: [record...] } (bytes)
+     */
+    async getUsage() {
+        const events = Object.values(this.getSavedEvents())
+            .sort((a, b) => (b.saved_at || '').localeCompare(a.saved_at || ''));
+        const savedBytes = events.reduce((sum, e) => sum + (e.bytes || 0), 0);
+
+        let usage = null;
+        let quota = null;
+        if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+            try {
+                ({ usage, quota } = await navigator.storage.estimate());
+            } catch (e) {
+                // Estimate unavailable - show saved sizes only
+            }
+        }
+
+        return { usage, quota, savedBytes, events };
+    },
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 MB';
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Offline;
+}
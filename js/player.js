@@ -548,49 +548,38 @@ const ImageViewer = {
     },
 
     /**
-     * Prompt for password and delete the current montage
+     * Delete the current montage run (moved to the trash). Needs a coach or
+     * admin Cloudflare Access sign-in; the admin API checks the role.
      */
     async promptDelete() {
         const montage = this.montages[this.currentIndex];
         if (!montage || !this.eventId) return;
 
-        // Get password from session or prompt
-        let password = sessionStorage.getItem('skiframes_delete_pw') || '';
-        if (!password) {
-            password = prompt('Enter delete password:');
-            if (!password) return;
-        }
-
         // Confirm deletion
         const runNum = montage.run_number || '?';
-        if (!confirm(`Delete Run ${runNum}?\nThis removes all photos and videos for this run.`)) {
+        if (!confirm(`Delete Run ${runNum}?\nAll photos and videos for this run go to the trash; they can be restored from the admin panel.`)) {
             return;
         }
 
         try {
-            const response = await fetch('https://skiframes-admin-api.avillach.workers.dev/delete-montage', {
+            const response = await fetch(`${API.ADMIN_API_URL}/delete-montage`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
                 body: JSON.stringify({
                     eventId: this.eventId,
-                    runNumber: montage.run_number,
-                    password: password
+                    runNumber: montage.run_number
                 })
             });
 
-            const result = await response.json();
-
             if (!response.ok) {
-                if (response.status === 403) {
-                    sessionStorage.removeItem('skiframes_delete_pw');
-                }
-                alert('Delete failed: ' + (result.error || response.statusText));
+                const message = response.status === 401 || response.status === 403
+                    ? 'Sign in to the admin panel as a coach of this team (or an admin) to delete runs.'
+                    : (await response.json().catch(() => ({}))).error || response.statusText;
+                alert('Delete failed: ' + message);
                 return;
             }
 
-            // Save valid password for session
-            sessionStorage.setItem('skiframes_delete_pw', password);
-
             // Remove from local state
             const deletedRunNumber = montage.run_number;
 
@@ -616,8 +605,6 @@ const ImageViewer = {
             if (typeof App !== 'undefined' && App.renderEventContent) {
                 App.renderEventContent();
             }
-
-            console.log(`Deleted run ${deletedRunNumber} (${result.deleted} files)`);
         } catch (error) {
             console.error('Delete error:', error);
             alert('Delete error: ' + error.message);
@@ -0,0 +1,424 @@
+/**
+ * Results module - race results engine and table. Combines run 1 and run 2
+ * entries (videos and the stitcher's rankings.by_gender) into final placings
+ * per category/gender, scored by total time or best run.
+ */
+
+const Results = {
+    // Current sort: column key and direction (1 ascending, -1 descending)
+    sort: { key: 'rank', dir: 1 },
+
+    // 'total': sum of all runs, a DNF/DSQ in any run is out
+    // 'best': fastest run counts, out only without a clean run
+    SCORING_MODES: ['total', 'best'],
+
+    // Scoring chosen in the UI; null uses the manifest's scoring (default 'total')
+    scoring: null,
+
+    // Statuses that take an athlete out of the results
+    STATUS_PATTERN: /^(DNF|DSQ|DNS)(\d+)?$/,
+
+    /**
+     * Parse a status like "DNF2" -> { type: 'DNF', run: 2 }. A status without a
+     * run number ("DSQ") applies to every run. Returns null for no status.
+     */
+    parseStatus(status) {
+        const match = String(status || '').trim().toUpperCase().match(this.STATUS_PATTERN);
+        if (!match) return null;
+        return { type: match[1], run: match[2] ? parseInt(match[2]) : null, label: match[0] };
+    },
+
+    /**
+     * Scoring mode for an event: UI choice, then manifest.scoring, then 'total'
+     */
+    getScoring(manifest) {
+        if (this.SCORING_MODES.includes(this.scoring)) return this.scoring;
+        if (this.SCORING_MODES.includes(manifest?.scoring)) return manifest.scoring;
+        return 'total';
+    },
+
+    /**
+     * Build one result row per athlete (bib + gender + category) from a normalized
+     * manifest. Rows: { key, bib, athlete, team, gender, category, ussa_profile_url,
+     * runs: { 1: { time, status, video }, 2: ... }, combined, counted_run, status,
+     * out, rank, gap }. combined is the scored time (total or best run).
+     */
+    build(manifest, { scoring = this.getScoring(manifest) } = {}) {
+        const rows = new Map();
+        const rowFor = (bib, gender, category, fields) => {
+            const key = `${gender || ''}|${category || ''}|${bib}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    key,
+                    bib,
+                    athlete: fields.athlete || `Bib ${bib}`,
+                    team: fields.team || '',
+                    gender: gender || '',
+                    category: category || '',
+                    ussa_profile_url: fields.ussa_profile_url || null,
+                    runs: {},
+                    status: null,
+                    out: false,
+                    rank: null,
+                    combined: null,
+                    counted_run: null,
+                    gap: null
+                });
+            }
+            return rows.get(key);
+        };
+
+        (manifest.content?.videos || [])
+            .filter(v => !v.is_comparison && v.bib !== undefined && v.bib !== null)
+            .forEach(video => {
+                const row = rowFor(video.bib, video.gender, video.category, video);
+                const run = video.run || 1;
+                const status = this.parseStatus(video.status);
+                row.runs[run] = {
+                    time: typeof video.duration === 'number' ? video.duration : null,
+                    status: status && (status.run === null || status.run === run) ? status.label : null,
+                    video: video.video_url ? video : null
+                };
+                if (status && !row.status) row.status = status;
+            });
+
+        // Stitcher rankings: fill in names and statuses, and add racers with no video (e.g. DNS)
+        const category = manifest.categories?.length === 1 ? manifest.categories[0] : '';
+        Object.entries(manifest.rankings?.by_gender || {}).forEach(([gender, racers]) => {
+            (Array.isArray(racers) ? racers : []).forEach(racer => {
+                if (racer.bib === undefined || racer.bib === null) return;
+                const row = rowFor(racer.bib, gender, category, {
+                    athlete: racer.name,
+                    team: racer.team,
+                    ussa_profile_url: racer.ussa_profile_url
+                });
+                if (/^Bib\s*\d+$/i.test(row.athlete) && racer.name) row.athlete = racer.name;
+                if (!row.team && racer.team) row.team = racer.team;
+                const status = this.parseStatus(racer.status);
+                if (status && !row.status) row.status = status;
+            });
+        });
+
+        const list = Array.from(rows.values());
+        const runCount = list.some(r => r.runs[2]) ? 2 : 1;
+
+        list.forEach(row => {
+            // Mark each run with the status that applies to it (a status without a
+            // run number applies to every run)
+            if (row.status) {
+                const affected = row.status.run !== null ? [row.status.run] : Array.from({ length: runCount }, (_, i) => i + 1);
+                affected.forEach(run => {
+                    const r = row.runs[run] || (row.runs[run] = { time: null, status: null, video: null });
+                    r.status = row.status.label;
+                });
+            }
+            this.score(row, runCount, scoring);
+        });
+
+        this.assignRanks(list);
+        return list;
+    },
+
+    /**
+     * Set combined / counted_run / out for a row.
+     * total: every run needs a clean time; any DNF/DSQ/DNS is out.
+     * best: the fastest clean run counts; out only if no run is clean.
+     * A run not yet raced leaves the athlete unplaced but not out.
+     */
+    score(row, runCount, scoring) {
+        const runs = Array.from({ length: runCount }, (_, i) => i + 1);
+        const clean = runs.filter(run => row.runs[run] && !row.runs[run].status && row.runs[run].time !== null);
+        const failed = runs.filter(run => row.runs[run]?.status);
+
+        row.combined = null;
+        row.counted_run = null;
+
+        if (scoring === 'best') {
+            if (clean.length > 0) {
+                const best = clean.reduce((a, b) => (row.runs[b].time < row.runs[a].time ? b : a));
+                row.combined = row.runs[best].time;
+                row.counted_run = best;
+            }
+            row.out = clean.length === 0 && failed.length > 0;
+            return;
+        }
+
+        row.out = failed.length > 0;
+        if (!row.out && clean.length === runCount) {
+            const total = clean.reduce((sum, run) => sum + row.runs[run].time, 0);
+            row.combined = Math.round(total * 100) / 100;
+        }
+    },
+
+    /**
+     * Rank finishers within gender + category (ties share a rank) and set gap to leader
+     */
+    assignRanks(rows) {
+        const groups = {};
+        rows.forEach(row => {
+            const group = `${row.gender}|${row.category}`;
+            (groups[group] = groups[group] || []).push(row);
+        });
+
+        Object.values(groups).forEach(group => {
+            const finishers = group.filter(r => r.combined !== null).sort((a, b) => a.combined - b.combined);
+            const leader = finishers[0]?.combined;
+            finishers.forEach((row, idx) => {
+                const prev = finishers[idx - 1];
+                row.rank = prev && prev.combined === row.combined ? prev.rank : idx + 1;
+                row.gap = Math.round((row.combined - leader) * 100) / 100;
+            });
+        });
+    },
+
+    /**
+     * Sort rows by a column. Athletes without a result always sort last.
+     */
+    sortRows(rows, key = this.sort.key, dir = this.sort.dir) {
+        const value = (row) => {
+            switch (key) {
+                case 'bib': return Number(row.bib) || 0;
+                case 'athlete': return row.athlete.toLowerCase();
+                case 'team': return (row.team || '').toLowerCase();
+                case 'run1': return row.runs[1]?.status ? null : row.runs[1]?.time ?? null;
+                case 'run2': return row.runs[2]?.status ? null : row.runs[2]?.time ?? null;
+                case 'combined':
+                case 'gap':
+                case 'rank':
+                default: return row.combined;
+            }
+        };
+
+        return [...rows].sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            if (va === null && vb === null) return (Number(a.bib) || 0) - (Number(b.bib) || 0);
+            if (va === null) return 1;
+            if (vb === null) return -1;
+            if (va < vb) return -dir;
+            if (va > vb) return dir;
+            return (Number(a.bib) || 0) - (Number(b.bib) || 0);
+        });
+    },
+
+    setSort(key) {
+        if (this.sort.key === key) {
+            this.sort.dir = -this.sort.dir;
+        } else {
+            this.sort = { key, dir: 1 };
+        }
+    },
+
+    // ========================================
+    // Rendering
+    // ========================================
+
+    formatTime(seconds) {
+        if (seconds === null || seconds === undefined) return '-';
+        if (seconds < 60) return seconds.toFixed(2);
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}`;
+    },
+
+    /**
+     * A profile link from the manifest, or null unless it is an http(s) URL.
+     * The parsed href is percent-encoded, so it can't close the attribute.
+     */
+    profileUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Render the results table, grouped by gender/category when sorted by rank
+     */
+    render(container, rows, scoring = 'total') {
+        if (!container) return;
+
+        if (rows.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <h3>No results found</h3>
+                    <p>Try adjusting your filters</p>
+                </div>
+            `;
+            return;
+        }
+
+        const hasRun2 = rows.some(r => r.runs[2]);
+        const columns = [
+            ['rank', 'Rank', 'col-rank'],
+            ['bib', 'Bib', 'col-bib'],
+            ['athlete', 'Athlete', 'col-athlete'],
+            ['team', 'Team', 'col-team'],
+            ['run1', 'Run 1', 'col-time'],
+            ...(hasRun2 ? [['run2', 'Run 2', 'col-time'], ['combined', scoring === 'best' ? 'Best' : 'Total', 'col-time']] : []),
+            ['gap', 'Gap', 'col-time']
+        ];
+
+        const header = columns.map(([key, label, cls]) => {
+            const active = this.sort.key === key;
+            const arrow = active ? (this.sort.dir === 1 ? ' ▲' : ' ▼') : '';
+            return `<th class="${cls} results-sortable ${active ? 'active' : ''}" data-sort="${key}">${label}${arrow}</th>`;
+        }).join('');
+
+        const runCell = (row, run) => {
+            const r = row.runs[run];
+            if (!r) return '<td class="col-time">-</td>';
+            const text = r.status || this.formatTime(r.time);
+            // Best-run scoring: highlight the run that counts
+            const cls = scoring === 'best' && row.counted_run === run && hasRun2 ? 'col-time results-counted' : 'col-time';
+            if (!r.video) return `<td class="${cls}">${text}</td>`;
+            return `<td class="${cls}"><button class="results-play" data-run="${run}" data-row="${App.escapeHtml(row.key)}" title="Play run ${run}">${text} ▶</button></td>`;
+        };
+
+        const buildRow = (row) => {
+            const statusLabel = row.out ? (row.status.run !== null ? row.status.type : row.status.label) : null;
+            const rankDisplay = row.rank ? row.rank : (statusLabel || '-');
+            const gapDisplay = row.gap === null ? '' : row.gap === 0 ? '-' : `+${row.gap.toFixed(2)}`;
+            const ussaUrl = this.profileUrl(row.ussa_profile_url);
+            const ussaLink = ussaUrl
+                ? ` <a href="${App.escapeHtml(ussaUrl)}" target="_blank" rel="noopener" class="ussa-link">USSA</a>`
+                : '';
+            return `
+                <tr class="results-row ${row.out ? 'results-row-out' : ''}" data-row="${App.escapeHtml(row.key)}">
+                    <td class="col-rank">${rankDisplay}</td>
+                    <td class="col-bib">${App.escapeHtml(String(row.bib))}</td>
+                    <td class="col-athlete">${App.escapeHtml(row.athlete)}${ussaLink}</td>
+                    <td class="col-team">${App.escapeHtml(row.team || '-')}</td>
+                    ${runCell(row, 1)}
+                    ${hasRun2 ? runCell(row, 2) : ''}
+                    ${hasRun2 ? `<td class="col-time results-combined">${row.combined !== null ? this.formatTime(row.combined) : (statusLabel || '-')}</td>` : ''}
+                    <td class="col-time results-gap">${gapDisplay}</td>
+                </tr>
+            `;
+        };
+
+        let body = '';
+        if (this.sort.key === 'rank' || this.sort.key === 'gap') {
+            // Rank and gap only make sense within a gender/category
+            const groups = {};
+            rows.forEach(row => {
+                const label = [row.category, row.gender].filter(Boolean).join(' ') || 'Results';
+                (groups[label] = groups[label] || []).push(row);
+            });
+            Object.keys(groups).sort().forEach(label => {
+                body += `<tr class="gender-header"><td colspan="${columns.length}">${App.escapeHtml(label)}</td></tr>`;
+                body += this.sortRows(groups[label]).map(buildRow).join('');
+            });
+        } else {
+            body = this.sortRows(rows).map(buildRow).join('');
+        }
+
+        container.innerHTML = `
+            <table class="video-table results-table">
+                <thead><tr>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    },
+
+    // ========================================
+    // Export
+    // ========================================
+
+    /**
+     * Final placings as an export table ([header, ...rows]) ordered by
+     * category/gender: placed athletes first, then unplaced, then out (DNF/DSQ/DNS)
+     */
+    toTable(rows, scoring = 'total') {
+        const hasRun2 = rows.some(r => r.runs[2]);
+        const header = ['Place', 'Bib', 'Athlete', 'Team', 'Gender', 'Category', 'Run 1',
+            ...(hasRun2 ? ['Run 2', scoring === 'best' ? 'Best' : 'Total'] : []), 'Gap', 'Status'];
+
+        const runValue = (row, run) => {
+            const r = row.runs[run];
+            if (!r) return '';
+            return r.status || (r.time !== null ? r.time : '');
+        };
+
+        // Placed by rank, then unplaced (run still to come), then out
+        const placing = row => (row.rank ? row.rank : row.out ? 2e9 : 1e9);
+        const ordered = [...rows].sort((a, b) =>
+            a.category.localeCompare(b.category) ||
+            a.gender.localeCompare(b.gender) ||
+            placing(a) - placing(b) ||
+            (Number(a.bib) || 0) - (Number(b.bib) || 0)
+        );
+
+        return [header, ...ordered.map(row => [
+            row.rank || '',
+            row.bib,
+            row.athlete,
+            row.team,
+            row.gender,
+            row.category,
+            runValue(row, 1),
+            ...(hasRun2 ? [runValue(row, 2), row.combined !== null ? row.combined : ''] : []),
+            row.gap !== null ? row.gap : '',
+            row.out ? row.status.label : ''
+        ])];
+    },
+
+    /**
+     * Download the given rows as <event_id>_results_<scoring>.csv / .xlsx
+     */
+    async download(rows, manifest, scoring = 'total', format = 'csv') {
+        await Export.download(this.toTable(rows, scoring), `${manifest.event_id}_results_${scoring}`, format, 'Results');
+    },
+
+    /**
+     * Wire header sorting and run playback. onSort re-renders the table.
+     */
+    attachHandlers(container, rows, onSort) {
+        if (!container) return;
+        const byKey = new Map(rows.map(r => [r.key, r]));
+
+        container.querySelectorAll('.results-sortable').forEach(th => {
+            th.addEventListener('click', () => {
+                this.setSort(th.dataset.sort);
+                onSort();
+            });
+        });
+
+        const play = (row, run) => {
+            const r = row.runs[run];
+            if (!r?.video) return;
+            const url = API.getMediaUrl(r.video.video_url, App.state.currentEvent?.event_id);
+            const comparisonUrl = r.video.comparison_url
+                ? API.getMediaUrl(r.video.comparison_url, App.state.currentEvent?.event_id)
+                : null;
+            Player.open(url, row.athlete, `Bib ${row.bib} • ${row.team || ''} • Run ${run}`, url, comparisonUrl);
+        };
+
+        container.querySelectorAll('.results-play').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const row = byKey.get(btn.dataset.row);
+                if (row) play(row, parseInt(btn.dataset.run));
+            });
+        });
+
+        // Clicking the row plays the athlete's fastest run
+        container.querySelectorAll('.results-row').forEach(tr => {
+            tr.addEventListener('click', (e) => {
+                if (e.target.closest('a')) return;
+                const row = byKey.get(tr.dataset.row);
+                if (!row) return;
+                const playable = Object.entries(row.runs)
+                    .filter(([, r]) => r.video)
+                    .sort(([, a], [, b]) => (a.status ? Infinity : a.time ?? Infinity) - (b.status ? Infinity : b.time ?? Infinity));
+                if (playable.length > 0) play(row, parseInt(playable[0][0]));
+            });
+        });
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Results;
+}
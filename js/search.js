@@ -0,0 +1,137 @@
+/**
+ * Athlete search over the prebuilt athletes.json index (generated by the
+ * admin-api worker). Accent-insensitive, typo-tolerant, ranked.
+ */
+
+const AthleteSearch = {
+    // Max results returned by search()
+    MAX_RESULTS: 50,
+
+    /**
+     * Lowercase, strip accents and punctuation ("Zoë  Müller-Ott" -> "zoe muller ott").
+     * Must match normalizeText() in workers/admin-api/src/athlete-index.js
+     */
+    normalize(str) {
+        return String(str || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Athlete identity across events: "ussa:<id>", or "name:<name>|<team>" without one.
+     * Must match athleteKey() in workers/admin-api/src/athlete-index.js
+     */
+    athleteKey({ name, team, ussa_id }) {
+        const ussa = ussa_id ? String(ussa_id).trim().replace(/^[A-Za-z]/, '') : '';
+        if (ussa) return `ussa:${ussa}`;
+        return `name:${this.normalize(name)}|${this.normalize(team)}`;
+    },
+
+    /**
+     * Edit distance (with adjacent transpositions), bailing out once it exceeds max
+     */
+    editDistance(a, b, max = 2) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let prevPrev = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const curr = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+                if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, curr[j]);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = curr;
+        }
+        return prev[b.length];
+    },
+
+    /**
+     * Score one query token against one word: exact > prefix > substring > typo
+     */
+    scoreToken(token, word) {
+        if (word === token) return 10;
+        if (word.startsWith(token)) return 7;
+        if (token.length >= 3 && word.includes(token)) return 4;
+
+        // Allow one typo from 4 letters, two from 7
+        const maxTypos = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+        if (maxTypos > 0) {
+            // Compare against the word's prefix too, so a typo in a partial word still matches
+            const candidate = word.length > token.length ? word.slice(0, token.length) : word;
+            const distance = Math.min(
+                this.editDistance(token, word, maxTypos),
+                this.editDistance(token, candidate, maxTypos)
+            );
+            if (distance <= maxTypos) return 5 - distance * 1.5;
+        }
+        return 0;
+    },
+
+    /**
+     * Search the index. Numeric queries also match bib numbers.
+     * Returns [{ athlete, score }] best first.
+     */
+    search(index, query, { limit = this.MAX_RESULTS } = {}) {
+        const normalizedQuery = this.normalize(query);
+        if (!normalizedQuery || !index?.athletes) return [];
+
+        const tokens = normalizedQuery.split(' ');
+        const bibQuery = /^\d+$/.test(query.trim()) ? query.trim() : null;
+
+        const results = [];
+        index.athletes.forEach(athlete => {
+            const nameWords = this.normalize(athlete.name).split(' ');
+            const teamWords = this.normalize(athlete.team).split(' ').filter(Boolean);
+            let score = 0;
+
+            if (bibQuery && (athlete.events || []).some(e => String(e.bib) === bibQuery)) {
+                score = 20;
+            } else {
+                // Every query token must match a name or team word
+                for (const token of tokens) {
+                    const nameScore = Math.max(0, ...nameWords.map(w => this.scoreToken(token, w)));
+                    const teamScore = teamWords.length
+                        ? Math.max(0, ...teamWords.map(w => this.scoreToken(token, w))) * 0.5
+                        : 0;
+                    const best = Math.max(nameScore, teamScore);
+                    if (best === 0) {
+                        score = 0;
+                        break;
+                    }
+                    score += best;
+                }
+
+                // Prefer names that start with what was typed ("emma s" -> "Emma Smith")
+                if (score > 0 && this.normalize(athlete.name).startsWith(normalizedQuery)) {
+                    score += 5;
+                }
+            }
+
+            if (score > 0) results.push({ athlete, score });
+        });
+
+        results.sort((a, b) =>
+            b.score - a.score ||
+            (b.athlete.events?.length || 0) - (a.athlete.events?.length || 0) ||
+            a.athlete.name.localeCompare(b.athlete.name)
+        );
+
+        return results.slice(0, limit);
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AthleteSearch;
+}
@@ -0,0 +1,367 @@
+/**
+ * Start list importer - turns CSV / race-timing software exports into the
+ * start_list.json shape read by the live page (StartList.load)
+ *
+ * Handles comma, semicolon and tab delimited files, title lines above the
+ * header row (typical of timing software exports), "LAST, First" name columns
+ * and English/French column names (e.g. Vola's Dossard/Nom/Prénom).
+ */
+
+const StartListImport = {
+    // Target fields and the column names that map to them (compared normalized)
+    FIELDS: [
+        { key: 'bib', label: 'Bib', required: true, aliases: ['bib', 'bib no', 'bib number', 'no', 'nr', 'number', 'start no', 'start number', 'dossard', 'dos'] },
+        { key: 'first', label: 'First name', aliases: ['first', 'first name', 'firstname', 'given name', 'prenom'] },
+        { key: 'last', label: 'Last name', aliases: ['last', 'last name', 'lastname', 'surname', 'family name', 'nom'] },
+        { key: 'name', label: 'Full name', aliases: ['name', 'athlete', 'athlete name', 'competitor', 'racer', 'skier', 'nom prenom'] },
+        { key: 'club', label: 'Club / team', aliases: ['club', 'team', 'school', 'affiliation', 'club team', 'equipe'] },
+        { key: 'class', label: 'Class', aliases: ['class', 'category', 'cat', 'division', 'div', 'group', 'age group', 'age class', 'categorie'] },
+        { key: 'gender', label: 'Gender', aliases: ['gender', 'sex', 'g', 'm f', 'sexe'] },
+        { key: 'ussa_id', label: 'USSA #', aliases: ['ussa', 'ussa id', 'ussa no', 'ussa number', 'ussa code', 'member', 'member id', 'member no', 'fis code', 'code', 'licence', 'license'] },
+        { key: 'start_time', label: 'Start time', aliases: ['start time', 'start', 'time', 'heure depart', 'depart'] }
+    ],
+
+    // ========================================
+    // Parsing
+    // ========================================
+
+    normalizeHeader(str) {
+        return String(str || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Pick the delimiter used most consistently in the first lines
+     */
+    detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 10);
+        let best = ',';
+        let bestScore = 0;
+        [',', ';', '\t'].forEach(delimiter => {
+            const counts = lines.map(l => l.split(delimiter).length - 1);
+            const score = counts.filter(c => c > 0 && c === Math.max(...counts)).length;
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Split delimited text into rows of cells (quoted fields may contain the
+     * delimiter, doubled quotes and newlines)
+     */
+    parseDelimited(text, delimiter = this.detectDelimiter(text)) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (ch === delimiter) {
+                row.push(cell.trim());
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell.trim());
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c !== ''));
+    },
+
+    /**
+     * Field key for a column header, or null
+     */
+    fieldForHeader(header) {
+        const normalized = this.normalizeHeader(header);
+        if (!normalized) return null;
+        const field = this.FIELDS.find(f => f.aliases.includes(normalized));
+        return field ? field.key : null;
+    },
+
+    /**
+     * Find the header row: the first row (of the first 15) naming a bib column
+     * and at least one other known field
+     */
+    findHeaderRow(rows) {
+        for (let i = 0; i < Math.min(rows.length, 15); i++) {
+            const fields = rows[i].map(c => this.fieldForHeader(c));
+            if (fields.includes('bib') && fields.filter(Boolean).length >= 2) return i;
+        }
+        return -1;
+    },
+
+    /**
+     * Parse a file's text. Returns { delimiter, header, rows, mapping, format }
+     * where mapping is { field: columnIndex }.
+     */
+    parse(text) {
+        const clean = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = this.detectDelimiter(clean);
+        const allRows = this.parseDelimited(clean, delimiter);
+
+        const headerIdx = this.findHeaderRow(allRows);
+        const header = headerIdx >= 0 ? allRows[headerIdx] : (allRows[0] || []).map((_, i) => `Column ${i + 1}`);
+        const rows = allRows.slice(headerIdx >= 0 ? headerIdx + 1 : 0);
+
+        return {
+            delimiter,
+            header,
+            rows,
+            mapping: headerIdx >= 0 ? this.autoMap(header) : {},
+            format: this.describeFormat(delimiter, headerIdx)
+        };
+    },
+
+    describeFormat(delimiter, headerIdx) {
+        const kind = delimiter === '\t' ? 'Tab-delimited' : delimiter === ';' ? 'Semicolon-delimited' : 'CSV';
+        if (headerIdx < 0) return `${kind} (no header row found - map columns manually)`;
+        return headerIdx > 0 ? `${kind} timing export (header on line ${headerIdx + 1})` : kind;
+    },
+
+    autoMap(header) {
+        const mapping = {};
+        header.forEach((h, idx) => {
+            const field = this.fieldForHeader(h);
+            if (field && mapping[field] === undefined) mapping[field] = idx;
+        });
+        return mapping;
+    },
+
+    // ========================================
+    // Athletes
+    // ========================================
+
+    /**
+     * "Women", "F", "Girls", "U14G" -> "Women"; "Men", "M", "Boys", "U14B" -> "Men"
+     */
+    normalizeGender(value) {
+        const v = this.normalizeHeader(value).replace(/\s+/g, '');
+        if (!v) return '';
+        if (/^(f|w|g|women|woman|female|girls?|ladies|dames|femmes?)$/.test(v) || /\d(g|w|f)$/.test(v) || /(girls?|women)$/.test(v)) return 'Women';
+        if (/^(m|b|h|men|man|male|boys?|hommes?)$/.test(v) || /\d(b|m)$/.test(v) || /(boys?|men)$/.test(v)) return 'Men';
+        return '';
+    },
+
+    /**
+     * Split "LAST, First", "LAST First" or "First Last" into { first, last }
+     */
+    splitName(name) {
+        const str = String(name || '').trim().replace(/\s+/g, ' ');
+        if (str.includes(',')) {
+            const [last, first] = str.split(',').map(s => s.trim());
+            return { first, last: this.titleCase(last) };
+        }
+        const parts = str.split(' ');
+        if (parts.length < 2) return { first: '', last: str };
+
+        // Timing software often writes surnames in capitals first: "SMITH JONES Emma"
+        const upper = parts.filter(p => p.length > 1 && p === p.toUpperCase() && /[A-Z]/.test(p));
+        if (upper.length > 0 && upper.length < parts.length && parts[0] === upper[0]) {
+            return {
+                first: parts.slice(upper.length).join(' '),
+                last: this.titleCase(upper.join(' '))
+            };
+        }
+        return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+    },
+
+    titleCase(str) {
+        if (str !== str.toUpperCase()) return str;
+        return str.toLowerCase().replace(/(^|[\s'-])([a-z])/g, (m, sep, ch) => sep + ch.toUpperCase());
+    },
+
+    /**
+     * Normalize a start time cell to HH:MM:SS (accepts 9:30, 09:30:25, 9:30:25 AM)
+     */
+    normalizeTime(value) {
+        const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(am|pm)?$/i);
+        if (!match) return '';
+        let hours = parseInt(match[1]);
+        const ampm = match[4]?.toLowerCase();
+        if (ampm === 'pm' && hours < 12) hours += 12;
+        if (ampm === 'am' && hours === 12) hours = 0;
+        return `${String(hours).padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+    },
+
+    /**
+     * Apply a column mapping. Returns { athletes, errors, warnings }.
+     * Athletes: { bib, first, last, club, className, gender, category, ussa_id, start_time }
+     */
+    buildAthletes(rows, mapping) {
+        const errors = [];
+        const warnings = [];
+        const athletes = [];
+        const seenBibs = new Map();
+        const cell = (row, field) => (mapping[field] !== undefined && mapping[field] !== '' ? (row[mapping[field]] || '').trim() : '');
+
+        if (mapping.bib === undefined || mapping.bib === '') {
+            errors.push('Choose the column holding bib numbers');
+            return { athletes, errors, warnings };
+        }
+        if (mapping.name === undefined && mapping.last === undefined && mapping.first === undefined) {
+            errors.push('Choose the column(s) holding athlete names');
+            return { athletes, errors, warnings };
+        }
+
+        rows.forEach((row, idx) => {
+            const bibText = cell(row, 'bib');
+            const bib = parseInt(bibText, 10);
+            if (!/^\d+$/.test(bibText)) {
+                // Section titles and footers in timing exports have no bib - skip quietly
+                if (bibText) warnings.push(`Row ${idx + 1}: "${bibText}" is not a bib number, skipped`);
+                return;
+            }
+
+            let first = cell(row, 'first');
+            let last = cell(row, 'last');
+            if (!first && !last) ({ first, last } = this.splitName(cell(row, 'name')));
+            if (!first && !last) {
+                warnings.push(`Bib ${bib}: no name`);
+            }
+
+            const className = cell(row, 'class');
+            const gender = this.normalizeGender(cell(row, 'gender')) || this.normalizeGender(className);
+            const category = className.match(/U\d+(?:\s*-\s*(?:SR|U?\d+))?/i)?.[0].toUpperCase().replace(/\s+/g, '') || '';
+
+            if (seenBibs.has(bib)) {
+                errors.push(`Bib ${bib} appears twice (rows ${seenBibs.get(bib) + 1} and ${idx + 1})`);
+                return;
+            }
+            seenBibs.set(bib, idx);
+
+            athletes.push({
+                bib,
+                first: first || '',
+                last: this.titleCase(last || ''),
+                club: cell(row, 'club'),
+                className,
+                gender,
+                category,
+                ussa_id: cell(row, 'ussa_id').replace(/^[A-Za-z]/, ''),
+                start_time: this.normalizeTime(cell(row, 'start_time'))
+            });
+        });
+
+        if (athletes.length === 0 && errors.length === 0) {
+            errors.push('No athletes found - check the bib column');
+        }
+        return { athletes, errors, warnings };
+    },
+
+    // ========================================
+    // start_list.json
+    // ========================================
+
+    /**
+     * Add seconds to the time of day of an ISO datetime ("2026-03-14T09:30:00-04:00")
+     * and return HH:MM:SS
+     */
+    clockTime(isoStart, offsetSeconds) {
+        const match = String(isoStart || '').match(/T(\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return '';
+        const total = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3] || '0') + offsetSeconds;
+        const h = Math.floor(total / 3600) % 24;
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        return [h, m, s].map(n => String(n).padStart(2, '0')).join(':');
+    },
+
+    /**
+     * Group athletes into classes (in order of first appearance) and build the
+     * start list. meta: { event, date, location, discipline, course, run1_start,
+     * run2_start, interval_seconds, run2_format, run3_start, run3_format }
+     */
+    buildStartList(athletes, meta) {
+        const interval = parseInt(meta.interval_seconds) || 0;
+        const classes = [];
+        const byName = new Map();
+
+        athletes.forEach(a => {
+            const name = a.className || a.gender || 'All';
+            if (!byName.has(name)) {
+                const cls = { name, gender: a.gender || '', category: a.category || '', athletes: [] };
+                byName.set(name, cls);
+                classes.push(cls);
+            }
+            const cls = byName.get(name);
+            if (!cls.gender && a.gender) cls.gender = a.gender;
+            if (!cls.category && a.category) cls.category = a.category;
+
+            const athlete = { bib: a.bib, first: a.first, last: a.last, club: a.club };
+            if (a.ussa_id) athlete.ussa_id = a.ussa_id;
+            athlete.start_time = a.start_time;
+            cls.athletes.push(athlete);
+        });
+
+        // Estimated start times where the file has none (classes run back to back)
+        let offset = 0;
+        classes.forEach(cls => {
+            cls.athletes.forEach(a => {
+                if (!a.start_time) a.start_time = this.clockTime(meta.run1_start, offset);
+                if (!a.start_time) delete a.start_time;
+                offset += interval;
+            });
+            cls.run2_order = StartOrder.apply(cls.athletes.map(a => a.bib), meta.run2_format);
+            if (meta.run3_start) cls.run3_order = StartOrder.apply(cls.run2_order, meta.run3_format);
+        });
+
+        const startList = {
+            event: meta.event || '',
+            date: meta.date || '',
+            location: meta.location || '',
+            discipline: meta.discipline || '',
+            course: meta.course || '',
+            run1_start: meta.run1_start || '',
+            run2_start: meta.run2_start || '',
+            interval_seconds: interval,
+            run2_format: meta.run2_format || StartOrder.DEFAULT_RULE,
+            classes: classes.map(cls => ({
+                name: cls.name,
+                gender: cls.gender,
+                category: cls.category,
+                run2_order: cls.run2_order,
+                ...(cls.run3_order ? { run3_order: cls.run3_order } : {}),
+                athletes: cls.athletes
+            }))
+        };
+        if (meta.run3_start) {
+            startList.run3_start = meta.run3_start;
+            startList.run3_format = meta.run3_format || 'same';
+        }
+        return startList;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StartListImport;
+}
@@ -0,0 +1,116 @@
+/**
+ * Start order rules for later runs (run2_format / run3_format in start_list.json)
+ *
+ *   flipN   - first N reversed, then the rest in order (flip30, flip15)
+ *   reverse - full reverse
+ *   same    - same order as the previous run
+ *   seeded  - previous run's result, fastest first
+ *
+ * With the previous run's results the rules rank by time (flip30: the 30
+ * fastest go in reverse, 30th first). Without them they are applied to the
+ * previous start order as an estimate.
+ */
+
+const StartOrder = {
+    // Rules offered in the admin importer
+    RULES: [
+        { id: 'flip30', label: 'Flip 30' },
+        { id: 'flip15', label: 'Flip 15' },
+        { id: 'reverse', label: 'Full reverse' },
+        { id: 'same', label: 'Same order' },
+        { id: 'seeded', label: 'By previous run result' }
+    ],
+
+    STATUS_PATTERN: /^(DNF|DSQ|DNS)(\d+)?$/i,
+
+    DEFAULT_RULE: 'flip30',
+
+    /**
+     * Parse a rule id: "flip30" -> { type: 'flip', n: 30 }. Unknown ids return null.
+     */
+    parseRule(rule) {
+        const id = String(rule || '').trim().toLowerCase();
+        const flip = id.match(/^flip[-_ ]?(\d+)$/);
+        if (flip) return { type: 'flip', n: parseInt(flip[1]) };
+        if (id === 'reverse' || id === 'full_reverse') return { type: 'reverse' };
+        if (id === 'same') return { type: 'same' };
+        if (id === 'seeded' || id === 'result') return { type: 'seeded' };
+        return null;
+    },
+
+    /**
+     * Apply a rule to an ordered list of bibs (previous run's order, or its
+     * finishers ranked by time)
+     */
+    apply(bibs, rule) {
+        const parsed = this.parseRule(rule) || this.parseRule(this.DEFAULT_RULE);
+        switch (parsed.type) {
+            case 'flip': {
+                const n = Math.min(parsed.n, bibs.length);
+                return [...bibs.slice(0, n).reverse(), ...bibs.slice(n)];
+            }
+            case 'reverse':
+                return [...bibs].reverse();
+            case 'same':
+            case 'seeded':
+            default:
+                return [...bibs];
+        }
+    },
+
+    /**
+     * Next run's order from the previous run's order and, when every athlete
+     * has one, its results ({ bib: seconds | 'DNF' | 'DSQ' | 'DNS' }).
+     * Athletes without a time start after the field, in their previous order.
+     * Returns { order, fromResults }.
+     */
+    generate(previousOrder, rule, results) {
+        const parsed = this.parseRule(rule) || this.parseRule(this.DEFAULT_RULE);
+        const complete = results && previousOrder.length > 0 &&
+            previousOrder.every(bib => results[bib] !== undefined && results[bib] !== null && results[bib] !== '');
+
+        if (!complete || parsed.type === 'same') {
+            return { order: this.apply(previousOrder, rule), fromResults: false };
+        }
+
+        const finishers = [];
+        const others = [];
+        previousOrder.forEach((bib, idx) => {
+            const time = this.resultTime(results[bib]);
+            if (time === null) others.push(bib);
+            else finishers.push({ bib, time, idx });
+        });
+
+        // Ties keep the previous start order
+        const ranked = finishers
+            .sort((a, b) => a.time - b.time || a.idx - b.idx)
+            .map(f => f.bib);
+
+        return { order: [...this.apply(ranked, rule), ...others], fromResults: true };
+    },
+
+    /**
+     * Seconds for a finished run, null for DNF/DSQ/DNS or anything unreadable
+     */
+    resultTime(value) {
+        if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+        const str = String(value ?? '').trim();
+        if (!str || this.STATUS_PATTERN.test(str)) return null;
+        // "45.32" or "1:05.32"
+        const match = str.match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+        if (!match) return null;
+        return (match[1] ? parseInt(match[1]) * 60 : 0) + parseFloat(match[2]);
+    },
+
+    label(rule) {
+        const parsed = this.parseRule(rule);
+        if (!parsed) return String(rule || '');
+        if (parsed.type === 'flip') return `Flip ${parsed.n}`;
+        return this.RULES.find(r => r.id === parsed.type)?.label || parsed.type;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StartOrder;
+}
@@ -0,0 +1,198 @@
+/**
+ * Service worker - precaches the app shell and serves events saved for
+ * offline viewing (media is stored by js/offline.js)
+ */
+
+// Bump when the shell file list changes
+const SHELL_CACHE = 'skiframes-shell-v5';
+
+// Must match Offline.CACHE_NAME in js/offline.js
+const OFFLINE_CACHE = 'skiframes-offline-v1';
+
+// How long to wait for the network before serving the shell from cache
+const NETWORK_TIMEOUT_MS = 3000;
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/event.html',
+    '/athlete.html',
+    '/css/style.css',
+    '/assets/Skiframes_logo.png',
+    '/assets/logo.svg',
+    '/js/cache.js',
+    '/js/api.js',
+    '/js/filters.js',
+    '/js/player.js',
+    '/js/download.js',
+    '/js/clustering.js',
+    '/js/virtual-race.js',
+    '/js/results.js',
+    '/js/export.js',
+    '/js/offline.js',
+    '/js/search.js',
+    '/js/athlete.js',
+    '/js/app.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('skiframes-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // App shell: network first so deploys show up immediately, cache when offline
+    if (isShellRequest(request, url)) {
+        event.respondWith(networkFirstShell(request, url));
+        return;
+    }
+
+    // Manifests and index: the API layer caches these itself, so only fall back
+    // to a saved copy when the network fails
+    if (url.pathname.endsWith('.json')) {
+        event.respondWith(
+            fetch(request).catch(async () => {
+                const saved = await matchSaved(request.url, true);
+                return saved || Response.error();
+            })
+        );
+        return;
+    }
+
+    // Media saved for offline: serve from cache (with Range support for video)
+    event.respondWith(serveSavedMedia(request));
+});
+
+/**
+ * Whether a request is for a page or static file of the site itself
+ */
+function isShellRequest(request, url) {
+    if (request.mode === 'navigate') return true;
+    if (SHELL_FILES.includes(url.href)) return true;
+    if (url.origin !== self.location.origin) return false;
+    return SHELL_FILES.includes(url.pathname) ||
+        url.pathname.startsWith('/js/') ||
+        url.pathname.startsWith('/css/') ||
+        url.pathname.startsWith('/assets/');
+}
+
+/**
+ * Network first with a timeout, falling back to the precached shell.
+ * event.html?event=... matches the cached event.html (query ignored).
+ */
+async function networkFirstShell(request, url) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await withTimeout(fetch(request), NETWORK_TIMEOUT_MS);
+        if (response.ok && (url.origin === self.location.origin || SHELL_FILES.includes(url.href))) {
+            const key = url.origin === self.location.origin ? url.pathname : url.href;
+            cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match(navigationFallback(url)) : null);
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Shell file to serve for an uncached navigation
+ */
+function navigationFallback(url) {
+    if (url.pathname.endsWith('event.html')) return '/event.html';
+    if (url.pathname.endsWith('athlete.html')) return '/athlete.html';
+    return '/index.html';
+}
+
+/**
+ * Look up a URL in the saved-events cache
+ */
+async function matchSaved(url, ignoreSearch = false) {
+    const cache = await caches.open(OFFLINE_CACHE);
+    return cache.match(url, { ignoreSearch });
+}
+
+/**
+ * Serve a saved media file, falling through to the network when not saved
+ */
+async function serveSavedMedia(request) {
+    const saved = await matchSaved(request.url);
+    if (!saved) return fetch(request);
+
+    const range = request.headers.get('Range');
+    return range ? rangeResponse(saved, range) : saved;
+}
+
+/**
+ * Build a 206 response for a byte range of a cached file (video seeking)
+ */
+async function rangeResponse(response, range) {
+    const blob = await response.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return new Response(blob, { status: 200, headers: response.headers });
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: last N bytes
+        start = Math.max(size - Number(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${size}` }
+        });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type || 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1),
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+        promise.then(
+            value => { clearTimeout(timer); resolve(value); },
+            error => { clearTimeout(timer); reject(error); }
+        );
+    });
+}
@@ -0,0 +1,297 @@
+import assert from 'node:assert/strict';
+import { before, test } from 'node:test';
+
+import worker, { DeviceRegistry, LiveState } from '../workers/admin-api/src/index.js';
+import { hmacHex, sha256 } from '../workers/admin-api/src/aws-crypto.js';
+import { DEVICE_HEADERS, canonicalDeviceRequest } from '../workers/admin-api/src/device-registry.js';
+import { createMemoryStorage } from '../workers/admin-api/src/storage-memory.js';
+import { LOCAL_ACCESS_TEAM, createLocalAccess } from '../dev/access.mjs';
+import { createNamespace } from '../dev/durable-objects.mjs';
+
+const ADMIN = 'admin@test';
+
+let access;
+
+before(async () => {
+    access = await createLocalAccess();
+});
+
+/**
+ * The worker with an in-memory bucket, run as ADMIN. request(method, path,
+ * body) returns the Response after any waitUntil work has finished.
+ */
+function createApi(objects = {}, { storage = createMemoryStorage(objects), ...vars } = {}) {
+    const env = {
+        STORAGE: storage,
+        CF_ACCESS_TEAM: LOCAL_ACCESS_TEAM,
+        ADMIN_EMAILS: ADMIN,
+        ALLOWED_ORIGINS: 'http://localhost',
+        TRASH_RETENTION_DAYS: '30',
+        GC_MIN_AGE_HOURS: '0',
+        ...vars
+    };
+    env.LIVE_STATE = createNamespace(LiveState, env);
+    env.DEVICE_REGISTRY = createNamespace(DeviceRegistry, env);
+
+    async function send(request) {
+        const pending = [];
+        const response = await worker.fetch(request, env, { waitUntil: promise => pending.push(promise) });
+        await Promise.all(pending);
+        return response;
+    }
+
+    return {
+        env,
+        storage,
+        async request(method, path, body) {
+            return await send(new Request(`http://localhost${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'CF-Access-JWT-Assertion': await access.assertion(ADMIN)
+                },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            }));
+        },
+        async deviceRequest(deviceId, secret, method, path, body) {
+            const text = JSON.stringify(body);
+            const timestamp = String(Date.now());
+            const nonce = crypto.randomUUID();
+            const canonical = canonicalDeviceRequest(method, path, timestamp, nonce, await sha256(text));
+            return await send(new Request(`http://localhost${path}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    [DEVICE_HEADERS.id]: deviceId,
+                    [DEVICE_HEADERS.timestamp]: timestamp,
+                    [DEVICE_HEADERS.nonce]: nonce,
+                    [DEVICE_HEADERS.signature]: await hmacHex(secret, canonical)
+                },
+                body: text
+            }));
+        },
+        async read(key) {
+            return (await storage.getJSON(key)).data;
+        },
+        async keys(prefix) {
+            return (await storage.list(prefix)).map(obj => obj.Key);
+        }
+    };
+}
+
+function edgeRun(runNumber) {
+    return {
+        run_number: runNumber,
+        elapsed_time: 41.2,
+        variants: { base: { fullres: `runs/${runNumber}_full.jpg`, thumbnail: `runs/${runNumber}_thumb.jpg` } },
+        video_url: `runs/${runNumber}.mp4`
+    };
+}
+
+function edgeEvent(runNumbers) {
+    const objects = {
+        'index.json': {
+            events: [{ event_id: 'edge-1', event_name: 'Edge day', event_date: '2026-01-10', event_type: 'training', montage_count: runNumbers.length }]
+        },
+        'events/edge-1/manifest.json': {
+            event_id: 'edge-1',
+            event_name: 'Edge day',
+            event_date: '2026-01-10',
+            event_type: 'training',
+            runs: runNumbers.map(edgeRun)
+        }
+    };
+    for (const n of runNumbers) {
+        objects[`events/edge-1/runs/${n}_full.jpg`] = 'full';
+        objects[`events/edge-1/runs/${n}_thumb.jpg`] = 'thumb';
+        objects[`events/edge-1/runs/${n}.mp4`] = 'video';
+    }
+    return objects;
+}
+
+test('requests without an Access assertion are rejected', async () => {
+    const api = createApi();
+    const response = await worker.fetch(new Request('http://localhost/me'), api.env, { waitUntil() {} });
+    assert.equal(response.status, 401);
+});
+
+/**
+ * Storage where every conditional write loses the race, as if another
+ * request always got there first
+ */
+function losingRaces(storage) {
+    return {
+        ...storage,
+        put: (key, body, options = {}) => options.ifMatch || options.ifNoneMatch
+            ? Promise.resolve(false)
+            : storage.put(key, body, options)
+    };
+}
+
+test('a shared JSON file that keeps changing underneath answers 409', async () => {
+    const api = createApi({}, { storage: losingRaces(createMemoryStorage(edgeEvent([1]))) });
+
+    const response = await api.request('POST', '/update-event', { eventId: 'edge-1', updates: { event_name: 'Renamed' } });
+    assert.equal(response.status, 409);
+    assert.equal((await api.read('events/edge-1/manifest.json')).event_name, 'Edge day');
+});
+
+test('/ingest/run creates an edge event from a signed device request, and a retry changes nothing', async () => {
+    const api = createApi();
+    const issued = await (await api.request('POST', '/device-credentials/issue', { device_id: 'cam-1', label: 'Top' })).json();
+
+    const body = { eventId: 'edge-2', event: { event_name: 'Morning GS', event_date: '2026-02-01' }, run: edgeRun(1) };
+    const first = await api.deviceRequest('cam-1', issued.secret, 'POST', '/ingest/run', body);
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), { success: true, created: true, runNumber: 1, runs: 1, montageCount: 1 });
+
+    const retry = await api.deviceRequest('cam-1', issued.secret, 'POST', '/ingest/run', body);
+    assert.equal((await retry.json()).created, false);
+
+    const manifest = await api.read('events/edge-2/manifest.json');
+    assert.equal(manifest.event_name, 'Morning GS');
+    assert.deepEqual([manifest.schema_version, manifest.format], [1, 'edge']);
+    assert.deepEqual(manifest.runs.map(r => r.run_number), [1]);
+    const entry = (await api.read('index.json')).events.find(e => e.event_id === 'edge-2');
+    assert.equal(entry.montage_count, 1);
+
+    const forged = await api.deviceRequest('cam-1', 'wrong-secret', 'POST', '/ingest/run', body);
+    assert.equal(forged.status, 401);
+});
+
+test('/ingest/run rejects a run pointing outside the event folder', async () => {
+    const api = createApi();
+    const run = { ...edgeRun(1), video_url: '../other/run.mp4' };
+    const response = await api.request('POST', '/ingest/run', { eventId: 'edge-3', run });
+    assert.equal(response.status, 400);
+    assert.equal(await api.read('events/edge-3/manifest.json'), null);
+});
+
+test('a deleted montage run goes to the trash and comes back on restore', async () => {
+    const api = createApi(edgeEvent([1, 2]));
+
+    const deleted = await api.request('POST', '/delete-montage', { eventId: 'edge-1', runNumber: 2 });
+    assert.equal(deleted.status, 200);
+    const { trashId } = await deleted.json();
+
+    assert.deepEqual((await api.read('events/edge-1/manifest.json')).runs.map(r => r.run_number), [1]);
+    assert.equal((await api.read('index.json')).events[0].montage_count, 1);
+    assert.deepEqual(await api.keys('events/edge-1/runs/2'), []);
+
+    const trash = await (await api.request('GET', '/trash')).json();
+    assert.deepEqual(trash.items.map(item => item.id), [trashId]);
+
+    const restored = await api.request('POST', '/trash/restore', { id: trashId });
+    assert.equal(restored.status, 200);
+    assert.deepEqual((await api.read('events/edge-1/manifest.json')).runs.map(r => r.run_number), [1, 2]);
+    assert.equal((await api.read('index.json')).events[0].montage_count, 2);
+    assert.deepEqual(await api.keys('events/edge-1/runs/2'), [
+        'events/edge-1/runs/2.mp4',
+        'events/edge-1/runs/2_full.jpg',
+        'events/edge-1/runs/2_thumb.jpg'
+    ]);
+    assert.deepEqual((await (await api.request('GET', '/trash')).json()).items, []);
+});
+
+test('/gc lists files no manifest references and deletes only those', async () => {
+    const api = createApi({ ...edgeEvent([1]), 'events/edge-1/runs/9_full.jpg': 'left over' });
+
+    const preview = await (await api.request('GET', '/gc')).json();
+    assert.deepEqual(preview.events.map(e => [e.event_id, e.files.map(f => f.key)]), [
+        ['edge-1', ['events/edge-1/runs/9_full.jpg']]
+    ]);
+
+    const response = await api.request('POST', '/gc', {
+        keys: ['events/edge-1/runs/9_full.jpg', 'events/edge-1/runs/1_full.jpg']
+    });
+    assert.deepEqual(await response.json(), {
+        success: true,
+        deleted: 1,
+        skipped: ['events/edge-1/runs/1_full.jpg'],
+        failed: []
+    });
+    assert.deepEqual(await api.keys('events/edge-1/runs/'), [
+        'events/edge-1/runs/1.mp4',
+        'events/edge-1/runs/1_full.jpg',
+        'events/edge-1/runs/1_thumb.jpg'
+    ]);
+});
+
+test('/gc leaves files younger than GC_MIN_AGE_HOURS', async () => {
+    const api = createApi({ ...edgeEvent([1]), 'events/edge-1/runs/9_full.jpg': 'left over' }, { GC_MIN_AGE_HOURS: '1' });
+    assert.deepEqual((await (await api.request('GET', '/gc')).json()).events, []);
+});
+
+test('a delete that loses the race for the manifest or index leaves everything in place', async () => {
+    const api = createApi({}, { storage: losingRaces(createMemoryStorage(edgeEvent([1, 2]))) });
+    const stored = await api.keys('events/');
+
+    const montage = await api.request('POST', '/delete-montage', { eventId: 'edge-1', runNumber: 2 });
+    assert.equal(montage.status, 409);
+
+    const items = await api.request('POST', '/delete-items', {
+        items: { 'edge-1': [{ id: 'm1', path: 'runs/1_full.jpg' }] }
+    });
+    assert.equal(items.status, 409);
+
+    const event = await api.request('POST', '/delete-event', { eventId: 'edge-1' });
+    assert.equal(event.status, 409);
+
+    assert.deepEqual(await api.keys('events/'), stored);
+    assert.deepEqual(await api.keys('trash/'), []);
+    assert.deepEqual((await api.read('events/edge-1/manifest.json')).runs.map(r => r.run_number), [1, 2]);
+});
+
+test('a delete stops when a file cannot be copied to the trash', async () => {
+    const storage = createMemoryStorage(edgeEvent([1, 2]));
+    const api = createApi({}, {
+        storage: {
+            ...storage,
+            copy: (fromKey, toKey) => fromKey === 'events/edge-1/runs/2.mp4'
+                ? Promise.reject(new Error('copy failed'))
+                : storage.copy(fromKey, toKey)
+        }
+    });
+    const stored = await api.keys('events/');
+
+    const montage = await api.request('POST', '/delete-montage', { eventId: 'edge-1', runNumber: 2 });
+    assert.equal(montage.status, 500);
+    assert.deepEqual((await montage.json()).failed, ['events/edge-1/runs/2.mp4']);
+
+    const event = await api.request('POST', '/delete-event', { eventId: 'edge-1' });
+    assert.equal(event.status, 500);
+    assert.match(await event.text(), /events\/edge-1\/runs\/2\.mp4/);
+
+    assert.deepEqual(await api.keys('events/'), stored);
+    assert.deepEqual(await api.keys('trash/'), []);
+    assert.deepEqual((await api.read('events/edge-1/manifest.json')).runs.map(r => r.run_number), [1, 2]);
+
+    // A file the manifest names but that is already gone doesn't block the delete
+    await storage.delete('events/edge-1/runs/2.mp4');
+    const retry = await api.request('POST', '/delete-montage', { eventId: 'edge-1', runNumber: 2 });
+    assert.equal(retry.status, 200);
+    assert.deepEqual(await api.keys('events/edge-1/runs/2'), []);
+});
+
+test('deletes reject an eventId that is not a single folder name', async () => {
+    const api = createApi({ ...edgeEvent([1]), 'private/roles.json': { users: {} } });
+
+    for (const eventId of ['../private', 'edge-1/runs', '', null]) {
+        assert.equal((await api.request('POST', '/delete-event', { eventId })).status, 400);
+        assert.equal((await api.request('POST', '/delete-montage', { eventId, runNumber: 1 })).status, 400);
+    }
+    assert.deepEqual(await api.keys('trash/'), []);
+    assert.notEqual(await api.read('private/roles.json'), null);
+});
+
+test('routes that write under an event folder reject an invalid eventId', async () => {
+    const api = createApi(edgeEvent([1]));
+    const stored = await api.keys('');
+
+    for (const eventId of ['../private', 'edge-1/runs', '.hidden']) {
+        assert.equal((await api.request('POST', '/save-clusters', { eventId, data: { clusters: [] } })).status, 400);
+        assert.equal((await api.request('POST', '/update-athlete-index', { eventId })).status, 400);
+        assert.equal((await api.request('POST', '/update-event', { eventId, updates: { event_name: 'x' } })).status, 400);
+    }
+    assert.deepEqual((await api.keys('')).filter(key => !key.startsWith('private/audit/')), stored);
+});
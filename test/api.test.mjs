@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { test } from 'node:test';
+
+const API = createRequire(import.meta.url)('../js/api.js');
+
+function codes(report) {
+    return report.errors.map(e => `${e.code} ${e.path}`);
+}
+
+test('validateManifest reports a declared format whose shape is missing', () => {
+    assert.deepEqual(codes(API.validateManifest({ format: 'edge' })), ['invalid_type runs']);
+    assert.deepEqual(codes(API.validateManifest({ format: 'skiframes' })), ['invalid_type content']);
+    assert.deepEqual(codes(API.validateManifest({ format: 'stitcher', videos: {} })), ['invalid_type videos']);
+    assert.deepEqual(codes(API.validateManifest({ format: 'race', categories: 'U12' })), ['invalid_type categories']);
+});
+
+test('validateManifest reports entries that are not objects', () => {
+    assert.deepEqual(codes(API.validateManifest({ format: 'edge', runs: [null, 3] })), [
+        'invalid_entry runs[0]',
+        'invalid_entry runs[1]'
+    ]);
+    assert.deepEqual(codes(API.validateManifest({
+        content: { videos: [null, { athlete: 'A', bib: 1, video_url: 'a.mp4' }], montages: ['m'] }
+    })), ['invalid_entry content.videos[0]', 'invalid_entry content.montages[0]']);
+    assert.deepEqual(codes(API.validateManifest({ categories: [{ id: 'U12_Girls', athletes: [null] }, null] })), [
+        'invalid_entry categories[0].athletes[0]',
+        'invalid_entry categories[1]'
+    ]);
+    assert.deepEqual(codes(API.validateManifest({
+        format: 'stitcher',
+        videos: [null],
+        rankings: { by_gender: { Women: [null], Men: {} } }
+    })), ['invalid_entry videos[0]', 'invalid_entry rankings.by_gender.Women', 'invalid_type rankings.by_gender.Men']);
+    assert.deepEqual(codes(API.validateManifest({ runs: [{ run_number: 1, variants: { base: null } }] })), [
+        'invalid_entry runs[0].variants.base'
+    ]);
+});
+
+test('normalizeManifest drops malformed entries instead of throwing', () => {
+    const edge = API.normalizeManifest({ format: 'edge', runs: [null, { run_number: 2, variants: { base: { thumbnail: 't.jpg', fullres: 'f.jpg' }, bad: null } }] }, '2026-01-05_edge');
+    assert.deepEqual(edge.content.montages.map(m => [m.run_number, m.variant]), [[2, 'base']]);
+
+    const skiframes = API.normalizeManifest({ content: { videos: [null, { athlete: 'A', bib: 1 }] } }, 'day');
+    assert.equal(skiframes.content.videos.length, 1);
+
+    const stitcher = API.normalizeManifest({
+        format: 'stitcher',
+        videos: [null, { path: 'v/Bib7.mp4', name: 'Bib7', bib: 7 }],
+        rankings: { by_gender: { Men: [null, { bib: 7, name: 'A. Racer' }], Women: 'none' } }
+    }, 'race-day');
+    assert.deepEqual(stitcher.content.videos.map(v => v.athlete), ['A. Racer']);
+
+    assert.equal(API.normalizeManifest({ format: 'race', categories: [null, { id: 'U12_Boys', athletes: [null] }] }, 'r').content.videos.length, 0);
+    assert.equal(API.normalizeManifest({ format: 'edge' }, 'e').diagnostics.errors[0].code, 'invalid_type');
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildConsistencyReport, findGarbage, manifestKeys } from '../workers/admin-api/src/consistency.js';
+
+const OLD = '2026-01-01T00:00:00.000Z';
+const NOW = new Date('2026-03-01T00:00:00.000Z');
+
+function objects(eventId, names) {
+    return names.map(name => ({ Key: `events/${eventId}/${name}`, Size: 10, LastModified: OLD }));
+}
+
+const montageManifest = {
+    content: {
+        montages: [{
+            thumb_url: 'montages/1_thumb.jpg',
+            full_url: 'montages/1_full.jpg',
+            video_url: 'montages/1.mp4',
+            trajectory_url: 'montages/1_trajectory.mp4'
+        }]
+    }
+};
+
+test('manifestKeys requires every file a skiframes montage points to', () => {
+    const { required } = manifestKeys('day-1', montageManifest);
+    assert.deepEqual([...required].sort(), [
+        'events/day-1/montages/1.mp4',
+        'events/day-1/montages/1_full.jpg',
+        'events/day-1/montages/1_thumb.jpg',
+        'events/day-1/montages/1_trajectory.mp4'
+    ]);
+});
+
+test('findGarbage keeps montage videos and only collects unreferenced files', () => {
+    const stored = objects('day-1', [
+        'manifest.json', 'montages/1.mp4', 'montages/1_trajectory.mp4',
+        'montages/1_thumb.jpg', 'montages/1_full.jpg', 'montages/2.mp4'
+    ]);
+    const garbage = findGarbage(null, new Map([['day-1', montageManifest]]), new Map([['day-1', stored]]), {
+        minAgeHours: 24,
+        now: NOW
+    });
+    assert.deepEqual(garbage.map(e => e.files.map(f => f.key)), [['events/day-1/montages/2.mp4']]);
+});
+
+test('a folder without a manifest is reported but never collected', () => {
+    const stored = new Map([['lost-1', objects('lost-1', ['montages/1.mp4', 'montages/1_full.jpg'])]]);
+
+    assert.deepEqual(findGarbage(null, new Map(), stored, { minAgeHours: 24, now: NOW }), []);
+
+    const report = buildConsistencyReport(null, new Map(), stored);
+    assert.deepEqual(report.orphaned_files.map(e => [e.event_id, e.total]), [['lost-1', 2]]);
+});
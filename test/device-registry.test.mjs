@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { DeviceRegistry, MAX_SKEW_MS, canonicalDeviceRequest } from '../workers/admin-api/src/device-registry.js';
+
+/**
+ * Durable Object state with the storage calls DeviceRegistry makes
+ */
+function objectState() {
+    const values = new Map();
+    return {
+        storage: {
+            async get(key) {
+                return structuredClone(values.get(key));
+            },
+            async put(key, value) {
+                const entries = typeof key === 'object' ? Object.entries(key) : [[key, value]];
+                for (const [k, v] of entries) values.set(k, structuredClone(v));
+            },
+            async list({ prefix = '' } = {}) {
+                return new Map([...values].filter(([key]) => key.startsWith(prefix)));
+            }
+        }
+    };
+}
+
+function hex(bytes) {
+    return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hmacHex(secret, message) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return hex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+}
+
+async function call(registry, path, body) {
+    const response = await registry.fetch(new Request(`https://device-registry${path}`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+    }));
+    return await response.json();
+}
+
+async function issue(registry, deviceId) {
+    return (await call(registry, '/issue', { device_id: deviceId, label: 'Finish camera', actor: 'admin@test' })).secret;
+}
+
+async function signed(secret, deviceId, { nonce = crypto.randomUUID(), timestamp = Date.now(), body = '{}' } = {}) {
+    const bodyHash = hex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body)));
+    const canonical = canonicalDeviceRequest('POST', '/ingest/run', String(timestamp), nonce, bodyHash);
+    return { device_id: deviceId, timestamp: String(timestamp), nonce, canonical, signature: await hmacHex(secret, canonical) };
+}
+
+test('a request signed with the issued secret verifies once', async () => {
+    const registry = new DeviceRegistry(objectState(), {});
+    const secret = await issue(registry, 'cam-1');
+    const request = await signed(secret, 'cam-1');
+
+    assert.deepEqual(await call(registry, '/verify', request), { valid: true });
+    assert.deepEqual(await call(registry, '/verify', request), { valid: false, error: 'Nonce already used' });
+});
+
+test('a bad signature, an old timestamp or a revoked device is rejected', async () => {
+    const registry = new DeviceRegistry(objectState(), {});
+    const secret = await issue(registry, 'cam-2');
+
+    const tampered = await signed(secret, 'cam-2');
+    tampered.canonical = tampered.canonical.replace('/ingest/run', '/gc');
+    assert.deepEqual(await call(registry, '/verify', tampered), { valid: false, error: 'Bad signature' });
+
+    const wrongSecret = await signed('not-the-secret', 'cam-2');
+    assert.deepEqual(await call(registry, '/verify', wrongSecret), { valid: false, error: 'Bad signature' });
+
+    const stale = await signed(secret, 'cam-2', { timestamp: Date.now() - MAX_SKEW_MS - 1000 });
+    assert.equal((await call(registry, '/verify', stale)).valid, false);
+
+    await call(registry, '/revoke', { device_id: 'cam-2', actor: 'admin@test' });
+    assert.deepEqual(await call(registry, '/verify', await signed(secret, 'cam-2')), {
+        valid: false,
+        error: 'Unknown or revoked device'
+    });
+});
+
+test('issuing again rotates the secret', async () => {
+    const registry = new DeviceRegistry(objectState(), {});
+    const first = await issue(registry, 'cam-3');
+    const second = await issue(registry, 'cam-3');
+
+    assert.notEqual(first, second);
+    assert.equal((await call(registry, '/verify', await signed(first, 'cam-3'))).valid, false);
+    assert.equal((await call(registry, '/verify', await signed(second, 'cam-3'))).valid, true);
+});
@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { test } from 'node:test';
+
+const Export = createRequire(import.meta.url)('../js/export.js');
+
+test('text that starts like a formula is exported as plain text', () => {
+    const table = [['Athlete', 'Team', 'Duration (s)'], ['=HYPERLINK("x")', '@SUM(A1)', -1.5], ['+1', '-team', 40]];
+
+    assert.equal(Export.toCSV(table), 'Athlete,Team,Duration (s)\r\n"\'=HYPERLINK(""x"")",\'@SUM(A1),-1.5\r\n\'+1,\'-team,40\r\n');
+
+    const xml = Export.sheetXml(table);
+    assert.match(xml, /<t xml:space="preserve">'=HYPERLINK\(&quot;x&quot;\)<\/t>/);
+    assert.match(xml, /<t xml:space="preserve">'-team<\/t>/);
+    assert.match(xml, /<c r="C2"><v>-1.5<\/v><\/c>/);
+});
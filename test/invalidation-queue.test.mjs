@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { coalescePaths } from '../workers/admin-api/src/invalidation-queue.js';
+
+test('coalescePaths drops duplicates and anything not starting with /', () => {
+    assert.deepEqual(
+        coalescePaths(['/index.json', '/index.json', 'events/a/manifest.json', null, '/events/a/manifest.json']),
+        ['/events/a/manifest.json', '/index.json']
+    );
+});
+
+test('coalescePaths turns a busy directory into a wildcard', () => {
+    const paths = ['/events/a/1.jpg', '/events/a/2.jpg', '/events/a/3.jpg', '/events/b/manifest.json'];
+    assert.deepEqual(coalescePaths(paths, { wildcardThreshold: 3 }), ['/events/a/*', '/events/b/manifest.json']);
+});
+
+test('coalescePaths never wildcards the root', () => {
+    const paths = ['/a.json', '/b.json', '/c.json'];
+    assert.deepEqual(coalescePaths(paths, { wildcardThreshold: 2 }), paths);
+});
+
+test('coalescePaths lets an existing wildcard cover paths and narrower wildcards under it', () => {
+    assert.deepEqual(
+        coalescePaths(['/events/a/*', '/events/a/manifest.json', '/events/a/thumbs/*', '/events/b/x.jpg']),
+        ['/events/a/*', '/events/b/x.jpg']
+    );
+});
+
+test('coalescePaths collapses to two directory levels when over the batch limit', () => {
+    const paths = ['/events/a/runs/1.jpg', '/events/a/runs/2.jpg', '/events/b/runs/1.jpg', '/index.json'];
+    assert.deepEqual(coalescePaths(paths, { maxPaths: 3 }), ['/events/a/*', '/events/b/*', '/index.json']);
+    assert.deepEqual(coalescePaths(paths, { maxPaths: 2 }), ['/*']);
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { afterEach, test } from 'node:test';
+
+const Offline = createRequire(import.meta.url)('../js/offline.js');
+
+const realFetch = globalThis.fetch;
+globalThis.window = { location: { origin: 'http://localhost:8000' } };
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+function createCache() {
+    const entries = new Map();
+    return {
+        entries,
+        async match(url) {
+            return entries.get(url)?.clone();
+        },
+        async put(url, response) {
+            entries.set(url, response);
+        }
+    };
+}
+
+function serve(bodies) {
+    const fetched = [];
+    globalThis.fetch = async url => {
+        fetched.push(url);
+        return new Response(bodies[url]);
+    };
+    return fetched;
+}
+
+test('saving again fetches index.json and manifests but reuses saved media', async () => {
+    const cache = createCache();
+    const urls = ['/media/index.json', '/media/events/day-1/manifest.json', '/media/events/day-1/run1.mp4'];
+
+    serve({ [urls[0]]: '{"v":1}', [urls[1]]: '{"runs":[]}', [urls[2]]: 'video' });
+    for (const url of urls) await Offline.storeUrl(cache, url);
+
+    const fetched = serve({ [urls[0]]: '{"v":2}', [urls[1]]: '{"runs":[1]}', [urls[2]]: 'new video' });
+    const sizes = [];
+    for (const url of urls) sizes.push(await Offline.storeUrl(cache, url));
+
+    assert.deepEqual(fetched, urls.slice(0, 2));
+    assert.deepEqual(sizes, [7, 12, 5]);
+    assert.equal(await (await cache.match(urls[0])).text(), '{"v":2}');
+    assert.equal(await (await cache.match(urls[1])).text(), '{"runs":[1]}');
+});
+
+test('a race manifest on the site is refreshed too', async () => {
+    const cache = createCache();
+    const url = 'http://localhost:8000/races/2026-02-01/race_manifest.json';
+    serve({ [url]: '{"a":1}' });
+    await Offline.storeUrl(cache, url);
+
+    const fetched = serve({ [url]: '{"a":2}' });
+    await Offline.storeUrl(cache, url);
+    assert.deepEqual(fetched, [url]);
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { test } from 'node:test';
+
+const Results = createRequire(import.meta.url)('../js/results.js');
+
+function video(bib, run, duration, extra = {}) {
+    return { bib, run, duration, gender: 'Women', category: 'U14', video_url: `v/${bib}_${run}.mp4`, ...extra };
+}
+
+const manifest = {
+    content: {
+        videos: [
+            video(1, 1, 40.1), video(1, 2, 41.0),
+            video(2, 1, 39.5), video(2, 2, 42.0),
+            video(3, 1, 38.0), video(3, 2, null, { status: 'DNF2' }),
+            video(4, 1, 40.6), video(4, 2, 40.5),
+            video(5, 1, 45.0, { is_comparison: true })
+        ]
+    }
+};
+
+function byBib(rows) {
+    return Object.fromEntries(rows.map(row => [row.bib, row]));
+}
+
+test('build scores total time, with ties sharing a rank and a DNF out', () => {
+    const rows = byBib(Results.build(manifest, { scoring: 'total' }));
+
+    assert.equal(rows[1].combined, 81.1);
+    assert.equal(rows[1].rank, 1);
+    assert.equal(rows[4].combined, 81.1);
+    assert.equal(rows[4].rank, 1);
+    assert.equal(rows[2].rank, 3);
+    assert.equal(rows[2].gap, 0.4);
+    assert.equal(rows[3].out, true);
+    assert.equal(rows[3].rank, null);
+    assert.equal(rows[3].runs[2].status, 'DNF2');
+    assert.equal(rows[5], undefined);
+});
+
+test('build scores the best run, keeping an athlete with one clean run', () => {
+    const rows = byBib(Results.build(manifest, { scoring: 'best' }));
+
+    assert.equal(rows[3].out, false);
+    assert.equal(rows[3].combined, 38);
+    assert.equal(rows[3].counted_run, 1);
+    assert.equal(rows[3].rank, 1);
+    assert.equal(rows[2].rank, 2);
+    assert.equal(rows[4].counted_run, 2);
+});
+
+test('build uses the manifest scoring and adds ranked racers without a video', () => {
+    const rows = Results.build({
+        scoring: 'best',
+        categories: ['U16'],
+        content: { videos: [{ bib: 7, gender: 'Men', category: 'U16', duration: 50 }] },
+        rankings: { by_gender: { Men: [{ bib: 7, name: 'A. Racer', team: 'MMA' }, { bib: 8, name: 'B. Racer', status: 'DNS' }] } }
+    });
+
+    assert.equal(rows.length, 2);
+    const [racer, dns] = [rows.find(r => r.bib === 7), rows.find(r => r.bib === 8)];
+    assert.equal(racer.athlete, 'A. Racer');
+    assert.equal(racer.team, 'MMA');
+    assert.equal(racer.rank, 1);
+    assert.equal(dns.out, true);
+    assert.equal(dns.runs[1].status, 'DNS');
+});
+
+test('profileUrl keeps http(s) links and drops anything else', () => {
+    assert.equal(Results.profileUrl('https://www.usskiandsnowboard.org/athlete/123'), 'https://www.usskiandsnowboard.org/athlete/123');
+    assert.equal(Results.profileUrl('https://x.org/a" onmouseover="alert(1)'), 'https://x.org/a%22%20onmouseover=%22alert(1)');
+    assert.equal(Results.profileUrl('javascript:alert(1)'), null);
+    assert.equal(Results.profileUrl('/athlete/123'), null);
+    assert.equal(Results.profileUrl(undefined), null);
+});
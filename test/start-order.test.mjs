@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { test } from 'node:test';
+
+const StartOrder = createRequire(import.meta.url)('../js/start-order.js');
+
+test('generate flips the fastest finishers and starts the rest after them', () => {
+    const results = { 1: 30.5, 2: 29.1, 3: 'DNF', 4: '1:01.00', 5: 31.2 };
+    assert.deepEqual(StartOrder.generate([1, 2, 3, 4, 5], 'flip3', results), {
+        order: [5, 1, 2, 4, 3],
+        fromResults: true
+    });
+});
+
+test('generate ranks by result for seeded and reverse', () => {
+    const results = { 10: 42, 11: 40, 12: 41 };
+    assert.deepEqual(StartOrder.generate([10, 11, 12], 'seeded', results).order, [11, 12, 10]);
+    assert.deepEqual(StartOrder.generate([10, 11, 12], 'reverse', results).order, [10, 12, 11]);
+});
+
+test('generate keeps the previous order between tied times', () => {
+    assert.deepEqual(StartOrder.generate([7, 8, 9], 'seeded', { 7: 40, 8: 39, 9: 39 }).order, [8, 9, 7]);
+});
+
+test('generate applies the rule to the previous order without complete results', () => {
+    assert.deepEqual(StartOrder.generate([1, 2, 3, 4], 'flip2', { 1: 30, 2: 31 }), {
+        order: [2, 1, 3, 4],
+        fromResults: false
+    });
+    assert.deepEqual(StartOrder.generate([1, 2, 3], 'reverse', null), { order: [3, 2, 1], fromResults: false });
+});
+
+test('generate keeps the order for "same" and falls back to flip30 for unknown rules', () => {
+    const previous = Array.from({ length: 35 }, (_, i) => i + 1);
+    assert.deepEqual(StartOrder.generate(previous, 'same', Object.fromEntries(previous.map(b => [b, 60 - b]))).order, previous);
+    const order = StartOrder.generate(previous, 'bogus', null).order;
+    assert.deepEqual(order.slice(0, 3), [30, 29, 28]);
+    assert.deepEqual(order.slice(30), [31, 32, 33, 34, 35]);
+});
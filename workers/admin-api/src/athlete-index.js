@@ -0,0 +1,271 @@
+/**
+ * Cross-event athlete search index (athletes.json)
+ *
+ * Maps each athlete (by USSA id, or by name + team when there is none) to the
+ * events, bibs and runs they appear in, so the home page can search without
+ * downloading every event manifest. Montage runs come from named athlete
+ * clusters (clusters.json) and are matched to athletes by name.
+ *
+ * Appearance: { event_id, bib, runs: [race run numbers], montage_runs: [montage run numbers] }
+ */
+
+export const ATHLETE_INDEX_KEY = 'athletes.json';
+export const ATHLETE_INDEX_SCHEMA_VERSION = 1;
+
+/**
+ * An empty index
+ */
+export function emptyAthleteIndex() {
+    return {
+        schema_version: ATHLETE_INDEX_SCHEMA_VERSION,
+        generated_at: new Date().toISOString(),
+        athletes: []
+    };
+}
+
+/**
+ * Lowercase, strip accents and collapse whitespace ("Zoë  Müller" -> "zoe muller")
+ */
+export function normalizeText(str) {
+    return String(str || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * USSA ids appear with and without a leading letter (E6543210 / 6543210)
+ */
+function cleanUssaId(id) {
+    return id ? String(id).trim().replace(/^[A-Za-z]/, '') : '';
+}
+
+/**
+ * Stable identity for an athlete across events
+ */
+export function athleteKey({ name, team, ussa_id }) {
+    const ussa = cleanUssaId(ussa_id);
+    if (ussa) return `ussa:${ussa}`;
+    return `name:${normalizeText(name)}|${normalizeText(team)}`;
+}
+
+/**
+ * Pull athlete appearances out of a raw manifest in any of the supported
+ * formats. Returns [{ name, team, gender, category, ussa_id, bib, run }].
+ * Edge montage manifests have no athlete data and yield nothing.
+ */
+export function extractAthleteEntries(manifest) {
+    if (!manifest || typeof manifest !== 'object') return [];
+    const entries = [];
+
+    // Race manifest (/races/ pages): categories[] -> athletes[]
+    if (Array.isArray(manifest.categories)) {
+        manifest.categories.forEach(category => {
+            let gender = category.id?.match(/(Girls|Boys|Women|Men)$/i)?.[1] || '';
+            if (gender.toLowerCase() === 'girls') gender = 'Women';
+            if (gender.toLowerCase() === 'boys') gender = 'Men';
+            const ageGroup = category.id?.match(/^(U\d+)/i)?.[1] || category.label || '';
+
+            (category.athletes || []).forEach(athlete => {
+                const name = [athlete.first, athlete.last].filter(Boolean).join(' ');
+                [1, 2].forEach(run => {
+                    const time = athlete[`run${run}_time`];
+                    if (time === undefined || time === null) return;
+                    entries.push({
+                        name,
+                        team: athlete.club || '',
+                        gender,
+                        category: ageGroup,
+                        ussa_id: athlete.ussa_id || '',
+                        bib: athlete.bib,
+                        run
+                    });
+                });
+            });
+        });
+    }
+
+    // Stitcher manifest: videos[] with rankings fallback for unmatched "BibXXX" names
+    if (Array.isArray(manifest.videos)) {
+        const race = manifest.race || {};
+        const run = parseInt(String(race.run || '').replace('Run ', ''), 10) || 1;
+        const rankings = {};
+        for (const [gender, racers] of Object.entries(manifest.rankings?.by_gender || {})) {
+            (Array.isArray(racers) ? racers : []).forEach(r => {
+                rankings[r.bib] = { ...r, gender };
+            });
+        }
+
+        manifest.videos.forEach(v => {
+            if (v.is_comparison) return;
+            const fallback = /^Bib\d+$/.test(v.name || '') ? (rankings[v.bib] || {}) : {};
+            entries.push({
+                name: fallback.name || v.name,
+                team: fallback.team || v.team || '',
+                gender: fallback.gender || v.gender || '',
+                category: race.age_group || '',
+                ussa_id: fallback.ussa_id || v.ussa_id || '',
+                bib: v.bib,
+                run
+            });
+        });
+    }
+
+    // skiframes format: content.videos[]
+    if (Array.isArray(manifest.content?.videos)) {
+        manifest.content.videos.forEach(v => {
+            if (v.is_comparison) return;
+            entries.push({
+                name: v.athlete,
+                team: v.team || '',
+                gender: v.gender || '',
+                category: v.category || '',
+                ussa_id: v.ussa_id || '',
+                bib: v.bib,
+                run: v.run || 1
+            });
+        });
+    }
+
+    // Placeholder names carry no identity worth indexing
+    return entries.filter(e => e.name && !/^Bib\s*\d+$/i.test(e.name));
+}
+
+/**
+ * Pull named athletes out of an event's clusters.json. Clusters still carrying
+ * their auto-generated "Athlete N" label haven't been identified and are skipped.
+ * Returns [{ name, run_numbers }].
+ */
+export function extractClusterEntries(clustersData) {
+    const clusters = clustersData?.clusters;
+    if (!clusters || typeof clusters !== 'object') return [];
+
+    return Object.values(clusters)
+        .filter(c => c && c.label && !/^Athlete \d+$/.test(c.label) && Array.isArray(c.run_numbers))
+        .map(c => ({ name: c.label.trim(), run_numbers: c.run_numbers }));
+}
+
+/**
+ * Clear one kind of data from an event's appearances, dropping appearances
+ * (and athletes) left with nothing
+ */
+function pruneEventAppearances(index, eventId, clear) {
+    index.athletes = (index.athletes || [])
+        .map(athlete => ({
+            ...athlete,
+            events: (athlete.events || [])
+                .map(a => (a.event_id === eventId ? clear({ ...a }) : a))
+                .filter(a => (a.runs || []).length > 0 || (a.montage_runs || []).length > 0)
+        }))
+        .filter(athlete => athlete.events.length > 0);
+}
+
+/**
+ * Remove every appearance of an event from the index (mutates and returns it)
+ */
+export function removeEventFromIndex(index, eventId) {
+    index.athletes = (index.athletes || [])
+        .map(athlete => ({
+            ...athlete,
+            events: (athlete.events || []).filter(e => e.event_id !== eventId)
+        }))
+        .filter(athlete => athlete.events.length > 0);
+    return index;
+}
+
+/**
+ * Replace an event's appearances in the index with fresh entries from its
+ * manifest (mutates and returns it)
+ */
+export function mergeEventIntoIndex(index, eventId, entries) {
+    // Montage runs for this event come from clusters.json and are kept
+    pruneEventAppearances(index, eventId, a => ({ ...a, runs: [] }));
+
+    const byKey = new Map(index.athletes.map(a => [a.key, a]));
+
+    entries.forEach(entry => {
+        const key = athleteKey(entry);
+        let athlete = byKey.get(key);
+        if (!athlete) {
+            athlete = {
+                key,
+                name: entry.name,
+                team: entry.team,
+                gender: entry.gender,
+                category: entry.category,
+                ussa_id: cleanUssaId(entry.ussa_id),
+                events: []
+            };
+            byKey.set(key, athlete);
+            index.athletes.push(athlete);
+        }
+
+        // Most recently merged event wins for display fields (athletes change teams and age groups)
+        if (entry.team) athlete.team = entry.team;
+        if (entry.category) athlete.category = entry.category;
+        if (entry.gender) athlete.gender = entry.gender;
+
+        // Reuse a montage-only appearance (no bib yet) for the same event
+        let appearance = athlete.events.find(e => e.event_id === eventId && e.bib === entry.bib) ||
+            athlete.events.find(e => e.event_id === eventId && (e.bib === null || e.bib === undefined));
+        if (!appearance) {
+            appearance = { event_id: eventId, bib: entry.bib, runs: [], montage_runs: [] };
+            athlete.events.push(appearance);
+        }
+        appearance.bib = entry.bib;
+        if (entry.run && !appearance.runs.includes(entry.run)) {
+            appearance.runs.push(entry.run);
+            appearance.runs.sort((a, b) => a - b);
+        }
+    });
+
+    index.athletes.sort((a, b) => a.name.localeCompare(b.name));
+    index.generated_at = new Date().toISOString();
+    index.schema_version = ATHLETE_INDEX_SCHEMA_VERSION;
+    return index;
+}
+
+/**
+ * Replace an event's montage runs with those of its named clusters (mutates and
+ * returns the index). A cluster joins the athlete with the same name - the one
+ * with the most events if several share it - or starts a new name-only athlete.
+ */
+export function mergeClustersIntoIndex(index, eventId, clusterEntries) {
+    pruneEventAppearances(index, eventId, a => ({ ...a, montage_runs: [] }));
+
+    clusterEntries.forEach(({ name, run_numbers }) => {
+        const normalized = normalizeText(name);
+        if (!normalized) return;
+
+        let athlete = index.athletes
+            .filter(a => normalizeText(a.name) === normalized)
+            .sort((a, b) => b.events.length - a.events.length)[0];
+        if (!athlete) {
+            athlete = {
+                key: athleteKey({ name, team: '' }),
+                name,
+                team: '',
+                gender: '',
+                category: '',
+                ussa_id: '',
+                events: []
+            };
+            index.athletes.push(athlete);
+        }
+
+        let appearance = athlete.events.find(e => e.event_id === eventId);
+        if (!appearance) {
+            appearance = { event_id: eventId, bib: null, runs: [], montage_runs: [] };
+            athlete.events.push(appearance);
+        }
+        const runs = new Set([...(appearance.montage_runs || []), ...run_numbers]);
+        appearance.montage_runs = [...runs].sort((a, b) => a - b);
+    });
+
+    index.athletes.sort((a, b) => a.name.localeCompare(b.name));
+    index.generated_at = new Date().toISOString();
+    index.schema_version = ATHLETE_INDEX_SCHEMA_VERSION;
+    return index;
+}
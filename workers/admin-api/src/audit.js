@@ -0,0 +1,211 @@
+/**
+ * Audit log for admin-api mutations
+ *
+ * One object per request under private/audit/<YYYY-MM-DD>/ (append-only,
+ * never rewritten). The key carries the time, route and actor so the log can
+ * be filtered from a listing without fetching every entry:
+ *   private/audit/2026-03-14/20260314T151500123Z_delete-event_alice@example.com_k3j9.json
+ *
+ * Entry: { id, at, actor, route, method, status, origin, request,
+ *   changes: [{ key, op: 'put', diff: [{ path, before, after }] } |
+ *             { key, op: 'delete', before }],
+ *   deleted_media: { count, keys } }
+ */
+
+export const AUDIT_PREFIX = 'private/audit/';
+
+// Every mutating route. /device/heartbeat is left out: it fires every 30s
+// per device and only refreshes config/devices.json.
+export const AUDITED_ROUTES = [
+    '/delete-items',
+    '/delete-event',
+    '/update-event',
+    '/save-clusters',
+    '/delete-montage',
+    '/save-banner-config',
+    '/save-stream-config',
+    '/save-start-list',
+    '/update-athlete-index',
+    '/rebuild-athlete-index',
+    '/rebuild-index',
+    '/gc',
+    '/live/operator',
+    '/live/finish',
+    '/live/reset-results',
+    '/trash/restore',
+    '/trash/purge',
+    '/save-roles',
+    '/ingest/run',
+    '/device-credentials/issue',
+    '/device-credentials/revoke'
+];
+
+// Limits that keep one entry a reasonable size
+const MAX_DIFFS = 200;
+const MAX_VALUE_CHARS = 2000;
+const MAX_REQUEST_CHARS = 4000;
+const MAX_MEDIA_KEYS = 500;
+
+// Request fields never written to the log
+const REDACTED_FIELDS = /password|secret|token/i;
+
+/**
+ * Collects what a request changes. Passed to handlers as env.audit; the storage
+ * helpers report into it.
+ */
+export function createAuditRecorder() {
+    return {
+        changes: [],
+        mediaDeletes: [],
+
+        recordPut(key, before, after) {
+            const diff = diffJSON(before, after);
+            if (diff.length > 0) this.changes.push({ key, op: 'put', diff });
+        },
+
+        recordDelete(key, before) {
+            if (before !== undefined) {
+                this.changes.push({ key, op: 'delete', before: clip(before) });
+            } else {
+                this.mediaDeletes.push(key);
+            }
+        },
+
+        isEmpty() {
+            return this.changes.length === 0 && this.mediaDeletes.length === 0;
+        }
+    };
+}
+
+/**
+ * Differences between two JSON values as [{ path, before, after }].
+ * Arrays of objects with an id (videos, montages, events) are matched by id
+ * so a deletion doesn't show up as every later element changing.
+ */
+export function diffJSON(before, after, path = '', out = []) {
+    if (out.length >= MAX_DIFFS) return out;
+    if (JSON.stringify(before) === JSON.stringify(after)) return out;
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            diffJSON(before[key], after[key], path ? `${path}.${key}` : key, out);
+        }
+        return out;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const idKey = arrayIdKey(before) && arrayIdKey(after) === arrayIdKey(before) ? arrayIdKey(before) : null;
+        if (idKey) {
+            const beforeById = new Map(before.map(item => [item[idKey], item]));
+            const afterById = new Map(after.map(item => [item[idKey], item]));
+            for (const [id, item] of beforeById) {
+                diffJSON(item, afterById.get(id), `${path}[${idKey}=${id}]`, out);
+            }
+            for (const [id, item] of afterById) {
+                if (!beforeById.has(id)) diffJSON(undefined, item, `${path}[${idKey}=${id}]`, out);
+            }
+            return out;
+        }
+        if (before.length === after.length) {
+            before.forEach((item, i) => diffJSON(item, after[i], `${path}[${i}]`, out));
+            return out;
+        }
+    }
+
+    out.push({ path: path || '(root)', before: clip(before), after: clip(after) });
+    return out;
+}
+
+/**
+ * Key field shared by every element of an array of objects ('id',
+ * 'event_id' or 'bib'), or null
+ */
+function arrayIdKey(items) {
+    if (items.length === 0 || !items.every(isPlainObject)) return null;
+    return ['id', 'event_id', 'bib'].find(key => items.every(item => item[key] !== undefined)) || null;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Large values are replaced by a marker with their size
+ */
+function clip(value) {
+    if (value === undefined) return null;
+    const text = JSON.stringify(value);
+    if (text && text.length > MAX_VALUE_CHARS) {
+        return { truncated: true, chars: text.length, preview: text.slice(0, 200) };
+    }
+    return value;
+}
+
+function redact(body) {
+    if (!isPlainObject(body)) return body;
+    const copy = {};
+    for (const [key, value] of Object.entries(body)) {
+        copy[key] = REDACTED_FIELDS.test(key) ? '[redacted]' : value;
+    }
+    return copy;
+}
+
+function routeSlug(route) {
+    return keySafe(route.replace(/^\//, ''));
+}
+
+function keySafe(str) {
+    return String(str || 'unknown').replace(/[^A-Za-z0-9@.-]+/g, '-').slice(0, 80);
+}
+
+/**
+ * Build the entry for one request
+ */
+export function buildAuditEntry({ recorder, actor, route, method, status, origin, requestBody, now = new Date() }) {
+    const at = now.toISOString();
+    const request = redact(requestBody);
+    const requestText = request === undefined ? '' : JSON.stringify(request);
+
+    return {
+        id: `${at.replace(/[-:.]/g, '')}_${routeSlug(route)}_${keySafe(actor)}_${Math.random().toString(36).slice(2, 6)}`,
+        at,
+        actor,
+        route,
+        method,
+        status,
+        origin: origin || null,
+        request: requestText.length > MAX_REQUEST_CHARS
+            ? { truncated: true, chars: requestText.length }
+            : (request ?? null),
+        changes: recorder.changes,
+        deleted_media: {
+            count: recorder.mediaDeletes.length,
+            keys: recorder.mediaDeletes.slice(0, MAX_MEDIA_KEYS)
+        }
+    };
+}
+
+export function auditKey(entry) {
+    return `${AUDIT_PREFIX}${entry.at.slice(0, 10)}/${entry.id}.json`;
+}
+
+/**
+ * { key, stamp, route, actor } from an audit key, for filtering listings
+ */
+export function parseAuditKey(key) {
+    const name = key.slice(key.lastIndexOf('/') + 1).replace(/\.json$/, '');
+    const [stamp, slug, actor] = name.split('_');
+    const route = AUDITED_ROUTES.find(r => routeSlug(r) === slug) || `/${slug}`;
+    return { key, stamp, route, actor };
+}
+
+/**
+ * Whether a parsed key passes the log viewer's filters: exact route, actor
+ * substring (case-insensitive)
+ */
+export function matchesAuditFilter(parsed, { route, actor }) {
+    if (route && parsed.route !== route) return false;
+    if (actor && !parsed.actor.toLowerCase().includes(keySafe(actor).toLowerCase())) return false;
+    return true;
+}
@@ -0,0 +1,30 @@
+/**
+ * Hashing helpers for AWS Signature Version 4 and request signing
+ */
+
+export async function sha256(message) {
+    const msgBuffer = new TextEncoder().encode(message);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function hmac(key, message) {
+    const keyData = typeof key === 'string' ? new TextEncoder().encode(key) : key;
+    const msgData = new TextEncoder().encode(message);
+
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        keyData,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, msgData));
+}
+
+export async function hmacHex(key, message) {
+    const result = await hmac(key, message);
+    return Array.from(result).map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,116 @@
+/**
+ * CloudFront invalidation requests for the media distribution
+ */
+
+import { hmac, hmacHex, sha256 } from './aws-crypto.js';
+
+// CloudFront's limit on paths in one invalidation batch
+export const MAX_INVALIDATION_PATHS = 3000;
+
+function escapeXml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Create one invalidation for these paths. Returns the invalidation id
+ * (null when MEDIA_CLOUDFRONT_ID isn't configured). Throws on failure;
+ * error.status is CloudFront's HTTP status.
+ */
+export async function createInvalidation(env, paths) {
+    const distributionId = env.MEDIA_CLOUDFRONT_ID;
+    if (!distributionId) {
+        console.log('No MEDIA_CLOUDFRONT_ID configured, skipping invalidation');
+        return null;
+    }
+
+    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    const callerReference = `invalidation-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+
+    const itemsXml = paths.map(p => `      <Path>${escapeXml(p)}</Path>`).join('\n');
+    const body = `<?xml version="1.0" encoding="UTF-8"?>
+<InvalidationBatch xmlns="http://cloudfront.amazonaws.com/doc/2020-05-31/">
+  <CallerReference>${callerReference}</CallerReference>
+  <Paths>
+    <Quantity>${paths.length}</Quantity>
+    <Items>
+${itemsXml}
+    </Items>
+  </Paths>
+</InvalidationBatch>`;
+
+    const host = 'cloudfront.amazonaws.com';
+    const url = `https://${host}/2020-05-31/distribution/${distributionId}/invalidation`;
+    const bodyHash = await sha256(body);
+
+    const headers = {
+        'Host': host,
+        'x-amz-date': datetime,
+        'x-amz-content-sha256': bodyHash,
+        'Content-Type': 'application/xml'
+    };
+
+    const signedHeaders = await signCloudFrontRequest('POST', url, headers, body, env);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: signedHeaders,
+        body: body
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+        const error = new Error(`CloudFront invalidation failed: ${response.status} - ${text}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return text.match(/<Id>([^<]+)<\/Id>/)?.[1] || null;
+}
+
+async function signCloudFrontRequest(method, url, headers, body, env) {
+    const urlObj = new URL(url);
+    const datetime = headers['x-amz-date'];
+    const date = datetime.slice(0, 8);
+
+    const service = 'cloudfront';
+    const region = 'us-east-1'; // CloudFront is always us-east-1
+
+    const signedHeaderNames = Object.keys(headers).sort().join(';').toLowerCase();
+    const canonicalHeaders = Object.keys(headers)
+        .sort()
+        .map(k => `${k.toLowerCase()}:${headers[k]}`)
+        .join('\n') + '\n';
+
+    const payloadHash = headers['x-amz-content-sha256'];
+
+    const canonicalRequest = [
+        method,
+        urlObj.pathname,
+        '',
+        canonicalHeaders,
+        signedHeaderNames,
+        payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        datetime,
+        scope,
+        await sha256(canonicalRequest)
+    ].join('\n');
+
+    const kDate = await hmac('AWS4' + env.AWS_SECRET_ACCESS_KEY, date);
+    const kRegion = await hmac(kDate, region);
+    const kService = await hmac(kRegion, service);
+    const kSigning = await hmac(kService, 'aws4_request');
+    const signature = await hmacHex(kSigning, stringToSign);
+
+    headers['Authorization'] = [
+        `AWS4-HMAC-SHA256 Credential=${env.AWS_ACCESS_KEY_ID}/${scope}`,
+        `SignedHeaders=${signedHeaderNames}`,
+        `Signature=${signature}`
+    ].join(', ');
+
+    return headers;
+}
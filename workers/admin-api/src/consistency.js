@@ -0,0 +1,270 @@
+/**
+ * index.json rebuild and media consistency checks
+ *
+ * index.json's per-event counts, teams and categories are derived from the
+ * event manifests (events/<id>/manifest.json, any of the skiframes,
+ * stitcher or edge formats). Race events (/races/ pages) keep their
+ * manifest on the website and are left as they are.
+ *
+ * Report: { generated_at, events_checked,
+ *   not_in_index: [event_id],            manifest but no index.json entry
+ *   index_without_manifest: [event_id],  index.json entry but no manifest
+ *   missing_files: [{ event_id, keys }], referenced by a manifest, not in S3
+ *   orphaned_files: [{ event_id, keys }] in S3, not referenced by any manifest }
+ *
+ * Garbage collection deletes orphaned files, but only in folders with a
+ * manifest that could be read (a folder without one is only reported),
+ * never in race event folders, and only once a file is older than the
+ * minimum age - edge devices upload files before posting the run that
+ * references them.
+ */
+
+import { countMontages } from './trash.js';
+
+const DEFAULT_LOCATION = 'Ragged Mountain, NH';
+
+// Keys kept per event in the report, so it stays readable
+const MAX_REPORTED_KEYS = 200;
+
+const DEFAULT_GC_MIN_AGE_HOURS = 24;
+
+export function isRaceEvent(entry) {
+    return !!entry?.url?.startsWith('/races/');
+}
+
+/**
+ * Event id of a key under events/, or null
+ */
+export function eventIdFromKey(key) {
+    return key.match(/^events\/([^/]+)\//)?.[1] || null;
+}
+
+/**
+ * Bucket key for a manifest path: relative to the event folder, or a
+ * media URL. null for anything outside the bucket.
+ */
+function mediaKey(eventId, path) {
+    if (typeof path !== 'string' || path === '') return null;
+    if (/^https?:\/\//.test(path)) {
+        const key = path.match(/^https?:\/\/[^/]+\/(events\/.+)$/)?.[1];
+        return key ? decodeURI(key.split('?')[0]) : null;
+    }
+    if (path.startsWith('logos/')) return path;
+    return `events/${eventId}/${path.replace(/^\.?\//, '')}`;
+}
+
+/**
+ * Files a manifest points to. required: must exist; optional: derived
+ * names (stitcher thumbnails) that are fine either way.
+ */
+export function manifestKeys(eventId, manifest) {
+    const required = new Set();
+    const optional = new Set();
+    const add = (set, path) => {
+        const key = mediaKey(eventId, path);
+        if (key) set.add(key);
+    };
+
+    // skiframes format
+    for (const video of manifest.content?.videos || []) {
+        add(required, video.video_url);
+        add(required, video.thumb_url);
+        add(required, video.comparison_url);
+    }
+    for (const montage of manifest.content?.montages || []) {
+        add(required, montage.thumb_url);
+        add(required, montage.full_url);
+        add(required, montage.video_url);
+        add(required, montage.trajectory_url);
+    }
+
+    // Stitcher format: thumbnails are named after the video
+    for (const video of Array.isArray(manifest.videos) ? manifest.videos : []) {
+        if (typeof video.path !== 'string') continue;
+        add(required, video.path);
+        add(optional, video.path.replace('.mp4', '_thumb.jpg'));
+    }
+
+    // Edge format
+    for (const run of Array.isArray(manifest.runs) ? manifest.runs : []) {
+        for (const variant of Object.values(run.variants || {})) {
+            add(required, variant?.fullres);
+            add(required, variant?.thumbnail);
+        }
+        add(required, run.video_url);
+        add(required, run.trajectory_url);
+    }
+
+    add(required, manifest.logo_url);
+    return { required, optional };
+}
+
+/**
+ * The index.json fields a manifest determines
+ */
+export function summarizeManifest(manifest) {
+    const videos = manifest.content?.videos || (Array.isArray(manifest.videos) ? manifest.videos : []);
+    const countable = videos.filter(v => !v.is_comparison && (v.video_url || v.path));
+
+    const montageCount = (manifest.content?.montages || []).length +
+        (Array.isArray(manifest.runs) ? countMontages(manifest) : 0);
+
+    const categories = new Set();
+    if (manifest.race?.age_group) categories.add(manifest.race.age_group);
+    if (manifest.group) categories.add(manifest.group);
+    for (const category of Array.isArray(manifest.categories) ? manifest.categories : []) {
+        if (typeof category === 'string') categories.add(category);
+    }
+
+    return {
+        video_count: countable.length,
+        montage_count: montageCount,
+        teams: [...new Set(videos.map(v => v.team).filter(Boolean))],
+        categories: [...categories]
+    };
+}
+
+/**
+ * index.json entry for an event from its manifest. Fields an admin may have
+ * edited (name, date, type, location...) are kept from the existing entry;
+ * counts are replaced; teams are added to, never removed, because coach
+ * access depends on them.
+ */
+export function rebuildIndexEntry(eventId, manifest, existing = null) {
+    const summary = summarizeManifest(manifest);
+    const race = manifest.race || {};
+    const raceName = [race.event, race.age_group, race.discipline, race.run].filter(Boolean).join(' - ');
+
+    const entry = existing ? { ...existing } : {
+        event_id: eventId,
+        event_name: manifest.event_name || raceName || eventId,
+        event_date: manifest.event_date || race.date || eventId.match(/^(\d{4}-\d{2}-\d{2})/)?.[1] || '',
+        event_type: manifest.event_type || (manifest.race ? 'race' : 'training'),
+        location: manifest.location || DEFAULT_LOCATION
+    };
+
+    entry.video_count = summary.video_count;
+    entry.montage_count = summary.montage_count;
+    entry.teams = [...new Set([...(existing?.teams || []), ...summary.teams])];
+    if (summary.categories.length > 0) entry.categories = summary.categories;
+    return entry;
+}
+
+/**
+ * New index.json from the current one and every event manifest
+ * (manifests: Map of event id -> manifest). Race entries, and those whose
+ * manifest couldn't be read (unreadable: event ids), are kept as they are;
+ * other entries without a manifest are dropped.
+ */
+export function rebuildIndex(index, manifests, unreadable = []) {
+    const current = new Map((index?.events || []).map(e => [e.event_id, e]));
+    const events = [];
+    const added = [];
+    const removed = [];
+
+    for (const [eventId, manifest] of manifests) {
+        if (isRaceEvent(current.get(eventId))) continue;
+        if (!current.has(eventId)) added.push(eventId);
+        events.push(rebuildIndexEntry(eventId, manifest, current.get(eventId)));
+    }
+    for (const entry of current.values()) {
+        if (isRaceEvent(entry) || unreadable.includes(entry.event_id)) events.push(entry);
+        else if (!manifests.has(entry.event_id)) removed.push(entry.event_id);
+    }
+
+    events.sort((a, b) => (b.event_date || '').localeCompare(a.event_date || ''));
+    return {
+        index: { ...index, events, last_updated: new Date().toISOString() },
+        added,
+        removed
+    };
+}
+
+/**
+ * Objects in an event folder that its manifest (null if none) doesn't
+ * reference. JSON files at the event root (manifest, clusters...) aren't media.
+ */
+export function orphanedObjects(eventId, objects, manifest) {
+    const { required, optional } = manifest ? manifestKeys(eventId, manifest) : { required: new Set(), optional: new Set() };
+    return objects.filter(obj =>
+        !required.has(obj.Key) && !optional.has(obj.Key) &&
+        !/^events\/[^/]+\/[^/]+\.json$/.test(obj.Key));
+}
+
+/**
+ * Compare manifests, index.json and the objects under events/
+ * (objects: Map of event id -> [{ Key, Size, LastModified }]). Folders whose
+ * manifest couldn't be read (unreadable) aren't checked for orphans.
+ */
+export function buildConsistencyReport(index, manifests, objects, unreadable = []) {
+    const entries = new Map((index?.events || []).map(e => [e.event_id, e]));
+    const report = {
+        generated_at: new Date().toISOString(),
+        events_checked: new Set([...manifests.keys(), ...objects.keys()]).size,
+        not_in_index: [],
+        index_without_manifest: [],
+        missing_files: [],
+        orphaned_files: []
+    };
+    const listed = (eventId, keys) => ({
+        event_id: eventId,
+        total: keys.length,
+        keys: keys.sort().slice(0, MAX_REPORTED_KEYS)
+    });
+
+    for (const [eventId, manifest] of manifests) {
+        if (!entries.has(eventId)) report.not_in_index.push(eventId);
+
+        const { required } = manifestKeys(eventId, manifest);
+        const stored = new Set((objects.get(eventId) || []).map(obj => obj.Key));
+        const missing = [...required].filter(key => key.startsWith('events/') && !stored.has(key));
+        if (missing.length > 0) report.missing_files.push(listed(eventId, missing));
+    }
+
+    for (const entry of entries.values()) {
+        if (!isRaceEvent(entry) && !manifests.has(entry.event_id)) {
+            report.index_without_manifest.push(entry.event_id);
+        }
+    }
+
+    for (const [eventId, stored] of objects) {
+        if (unreadable.includes(eventId) || isRaceEvent(entries.get(eventId))) continue;
+        const orphaned = orphanedObjects(eventId, stored, manifests.get(eventId) || null);
+        if (orphaned.length > 0) report.orphaned_files.push(listed(eventId, orphaned.map(obj => obj.Key)));
+    }
+
+    return report;
+}
+
+/**
+ * Hours a file must exist before it can be collected (GC_MIN_AGE_HOURS, default 24)
+ */
+export function gcMinAgeHours(env) {
+    const hours = parseFloat(env.GC_MIN_AGE_HOURS);
+    return hours >= 0 ? hours : DEFAULT_GC_MIN_AGE_HOURS;
+}
+
+/**
+ * Orphaned files that are safe to delete, per event:
+ * [{ event_id, files: [{ key, size, last_modified }], bytes }]
+ * Folders missing from manifests (no manifest, or one that couldn't be
+ * read) are skipped: every file in them would look orphaned.
+ */
+export function findGarbage(index, manifests, objects, { minAgeHours, now = new Date() }) {
+    const entries = new Map((index?.events || []).map(e => [e.event_id, e]));
+    const cutoff = now.getTime() - minAgeHours * 3600000;
+    const events = [];
+
+    for (const [eventId, stored] of objects) {
+        if (!manifests.has(eventId) || isRaceEvent(entries.get(eventId))) continue;
+
+        const files = orphanedObjects(eventId, stored, manifests.get(eventId))
+            .filter(obj => obj.LastModified && new Date(obj.LastModified).getTime() <= cutoff)
+            .map(obj => ({ key: obj.Key, size: obj.Size, last_modified: obj.LastModified }))
+            .sort((a, b) => a.key.localeCompare(b.key));
+        if (files.length > 0) {
+            events.push({ event_id: eventId, files, bytes: files.reduce((sum, f) => sum + f.size, 0) });
+        }
+    }
+    return events;
+}
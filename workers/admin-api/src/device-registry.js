@@ -0,0 +1,168 @@
+/**
+ * DeviceRegistry Durable Object - per-device secrets for edge devices, and
+ * verification of their signed requests
+ *
+ * Devices sign each request with their secret:
+ *   X-Device-Id:        j40
+ *   X-Device-Timestamp: 1767225600000        (ms since epoch)
+ *   X-Device-Nonce:     random string, new for every request
+ *   X-Device-Signature: hex HMAC-SHA256(secret, canonical string)
+ * where the canonical string is
+ *   METHOD \n /path \n timestamp \n nonce \n hex SHA-256(body)
+ *
+ * A request is accepted if the signature matches an unrevoked secret, the
+ * timestamp is within MAX_SKEW_MS of now and the nonce hasn't been seen
+ * within that window. Secrets never leave the object except once, when issued.
+ */
+
+export const DEVICE_HEADERS = {
+    id: 'X-Device-Id',
+    timestamp: 'X-Device-Timestamp',
+    nonce: 'X-Device-Nonce',
+    signature: 'X-Device-Signature'
+};
+
+// Accepted clock difference between device and worker (and nonce memory)
+export const MAX_SKEW_MS = 5 * 60 * 1000;
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function canonicalDeviceRequest(method, path, timestamp, nonce, bodyHash) {
+    return [method, path, timestamp, nonce, bodyHash].join('\n');
+}
+
+export function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+async function hmacSha256Hex(secret, message) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message)));
+    return Array.from(signature).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Constant-time comparison of two hex strings
+ */
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+function newSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Credential as shown in the admin panel (no secret)
+ */
+function publicCredential(credential) {
+    const { secret, ...rest } = credential;
+    return rest;
+}
+
+export class DeviceRegistry {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+
+        if (url.pathname === '/list') {
+            const entries = await this.state.storage.list({ prefix: 'device:' });
+            return Response.json({ devices: [...entries.values()].map(publicCredential) });
+        }
+
+        if (request.method !== 'POST') {
+            return new Response('Not Found', { status: 404 });
+        }
+
+        const body = await request.json();
+
+        // Issue (or rotate) a device's secret - returned only in this response
+        if (url.pathname === '/issue') {
+            if (!isValidDeviceId(body.device_id)) {
+                return Response.json({ error: 'device_id must be 1-64 letters, digits, - or _' }, { status: 400 });
+            }
+            const credential = {
+                device_id: body.device_id,
+                label: String(body.label || '').slice(0, 100),
+                secret: newSecret(),
+                issued_at: new Date().toISOString(),
+                issued_by: body.actor || 'unknown',
+                revoked_at: null,
+                last_used_at: null
+            };
+            await this.state.storage.put(`device:${body.device_id}`, credential);
+            return Response.json({ device: publicCredential(credential), secret: credential.secret });
+        }
+
+        if (url.pathname === '/revoke') {
+            const credential = await this.state.storage.get(`device:${body.device_id}`);
+            if (!credential) {
+                return Response.json({ error: 'Unknown device' }, { status: 404 });
+            }
+            credential.revoked_at = new Date().toISOString();
+            credential.revoked_by = body.actor || 'unknown';
+            await this.state.storage.put(`device:${body.device_id}`, credential);
+            return Response.json({ device: publicCredential(credential) });
+        }
+
+        if (url.pathname === '/verify') {
+            return Response.json(await this.verify(body));
+        }
+
+        return new Response('Not Found', { status: 404 });
+    }
+
+    /**
+     * { valid: true } or { valid: false, error }.
+     * Body: { device_id, timestamp, nonce, signature, canonical }
+     */
+    async verify({ device_id, timestamp, nonce, signature, canonical }) {
+        const credential = isValidDeviceId(device_id) ? await this.state.storage.get(`device:${device_id}`) : null;
+        if (!credential || credential.revoked_at) {
+            return { valid: false, error: 'Unknown or revoked device' };
+        }
+
+        const now = Date.now();
+        if (!(Math.abs(now - Number(timestamp)) <= MAX_SKEW_MS)) {
+            return { valid: false, error: 'Timestamp outside the allowed window' };
+        }
+
+        if (!safeEqual(await hmacSha256Hex(credential.secret, canonical), signature)) {
+            return { valid: false, error: 'Bad signature' };
+        }
+
+        // Replay protection: each nonce once per window
+        const nonceKey = `nonces:${device_id}`;
+        const nonces = (await this.state.storage.get(nonceKey)) || {};
+        if (typeof nonce !== 'string' || !nonce || nonce.length > 64) {
+            return { valid: false, error: 'Missing or oversized nonce' };
+        }
+        if (nonces[nonce]) {
+            return { valid: false, error: 'Nonce already used' };
+        }
+        for (const [seen, expires] of Object.entries(nonces)) {
+            if (expires < now) delete nonces[seen];
+        }
+        nonces[nonce] = now + 2 * MAX_SKEW_MS;
+        credential.last_used_at = new Date(now).toISOString();
+        await this.state.storage.put({ [nonceKey]: nonces, [`device:${device_id}`]: credential });
+
+        return { valid: true };
+    }
+}
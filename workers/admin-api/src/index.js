@@ -5,6 +5,61 @@
  * Protected by Cloudflare Access.
  */
 
+import {
+    ATHLETE_INDEX_KEY,
+    emptyAthleteIndex,
+    extractAthleteEntries,
+    extractClusterEntries,
+    mergeClustersIntoIndex,
+    mergeEventIntoIndex,
+    removeEventFromIndex
+} from './athlete-index.js';
+import { START_LIST_KEY, validateStartList } from './start-list.js';
+import { LIVE_RESULTS_KEY, emptyLiveResults, parseFinish, applyFinish } from './live-results.js';
+
+import { STATE_ACTIONS } from './live-state.js';
+import { buildConsistencyReport, eventIdFromKey, findGarbage, gcMinAgeHours, rebuildIndex } from './consistency.js';
+import { isEventPath, isValidEventId, mergeRunIntoManifest, newEdgeManifest, newIndexEntry, validateIngestedRun } from './ingest.js';
+import { DEVICE_HEADERS, canonicalDeviceRequest } from './device-registry.js';
+import { coalescePaths } from './invalidation-queue.js';
+import { createInvalidation } from './cloudfront.js';
+import { sha256 } from './aws-crypto.js';
+import { createStorage } from './storage.js';
+import {
+    AUDIT_PREFIX,
+    AUDITED_ROUTES,
+    auditKey,
+    buildAuditEntry,
+    createAuditRecorder,
+    matchesAuditFilter,
+    parseAuditKey
+} from './audit.js';
+import {
+    TRASH_RECORDS_PREFIX,
+    countMontages,
+    createTrashRecord,
+    isExpired,
+    retentionDays,
+    trashFileKey,
+    trashRecordKey
+} from './trash.js';
+import {
+    DEVICE_ROUTES,
+    PUBLIC_ROUTES,
+    ROLES,
+    ROLES_KEY,
+    canManageEvent,
+    eventIdsFromBody,
+    resolveUser,
+    routePermission,
+    validateRoles
+} from './roles.js';
+
+// Durable Object classes must be exported from the main module
+export { LiveState } from './live-state.js';
+export { DeviceRegistry } from './device-registry.js';
+export { InvalidationQueue } from './invalidation-queue.js';
+
 export default {
     async fetch(request, env, ctx) {
         // Handle CORS preflight
@@ -13,86 +68,324 @@ export default {
         }
 
         const url = new URL(request.url);
-        const origin = request.headers.get('Origin') || '';
-        const isAllowedOrigin = origin.includes('avillachlab-net-dev') || origin.includes('skiframes.com');
-
-        // Skip auth for requests from allowed origins (dev and prod sites)
-        // Also skip auth for device endpoints (edge devices aren't browsers)
-        // TODO: Re-enable Cloudflare Access auth once admin.skiframes.com is set up
-        const isDeviceEndpoint = url.pathname.startsWith('/device/') || url.pathname === '/devices';
-        const skipAuth = isAllowedOrigin || isDeviceEndpoint;
-
-        // Verify Cloudflare Access JWT
-        if (!skipAuth) {
-            const authResult = await verifyAccess(request, env);
-            if (!authResult.valid) {
-                return new Response('Unauthorized: ' + authResult.error, {
-                    status: 401,
-                    headers: corsHeaders(env, request)
-                });
-            }
+
+        // Edge devices sign their requests with a per-device secret; the public
+        // live page reads results anonymously; everything else needs a
+        // Cloudflare Access identity with a role allowed on the route
+        const route = `${request.method} ${url.pathname}`;
+        let user = null;
+        let device = null;
+
+        if (DEVICE_ROUTES.includes(route) && request.headers.has(DEVICE_HEADERS.id)) {
+            const auth = await verifyDeviceRequest(request, env, url);
+            if (auth.error) return auth.error;
+            device = auth.device;
+        } else if (!PUBLIC_ROUTES.includes(route)) {
+            const auth = await authorize(request, env, url);
+            if (auth.error) return auth.error;
+            user = auth.user;
         }
 
+        // Mutations run with an audit recorder on env: the storage helpers report
+        // every write and delete into it, and one log entry is written per request
+        const recorder = request.method === 'POST' && AUDITED_ROUTES.includes(url.pathname)
+            ? createAuditRecorder()
+            : null;
+        const requestBody = recorder ? await request.clone().json().catch(() => undefined) : undefined;
+        const handlerEnv = recorder || user || device ? { ...env, audit: recorder, user, device } : env;
+
         try {
-            if (url.pathname === '/delete-items' && request.method === 'POST') {
-                return await handleDeleteItems(request, env);
+            const response = await routeRequest(request, handlerEnv, url);
+            if (recorder) {
+                ctx.waitUntil(writeAuditEntry(request, handlerEnv, recorder, url.pathname, response.status, requestBody));
             }
-
-            if (url.pathname === '/delete-event' && request.method === 'POST') {
-                return await handleDeleteEvent(request, env);
+            return response;
+        } catch (error) {
+            // Another request kept winning the race for a shared JSON file
+            const conflict = error instanceof WriteConflictError;
+            if (!conflict) console.error('Error:', error);
+            if (recorder) {
+                ctx.waitUntil(writeAuditEntry(request, handlerEnv, recorder, url.pathname, conflict ? 409 : 500, requestBody));
             }
+            return new Response(conflict ? 'Conflict: ' + error.message : 'Internal Error: ' + error.message, {
+                status: conflict ? 409 : 500,
+                headers: corsHeaders(env, request)
+            });
+        }
+    },
 
-            if (url.pathname === '/save-banner-config' && request.method === 'POST') {
-                return await handleSaveBannerConfig(request, env);
-            }
+    // Cron trigger (wrangler.toml): purge trash past its retention period
+    async scheduled(event, env, ctx) {
+        ctx.waitUntil(purgeExpiredTrash(env));
+    }
+};
 
-            if (url.pathname === '/update-event' && request.method === 'POST') {
-                return await handleUpdateEvent(request, env);
-            }
+/**
+ * Dispatch to the route handler
+ */
+async function routeRequest(request, env, url) {
+    if (url.pathname === '/delete-items' && request.method === 'POST') {
+        return await handleDeleteItems(request, env);
+    }
 
-            if (url.pathname === '/save-bib-state' && request.method === 'POST') {
-                return await handleSaveBibState(request, env);
-            }
+    if (url.pathname === '/delete-event' && request.method === 'POST') {
+        return await handleDeleteEvent(request, env);
+    }
 
-            if (url.pathname === '/device/heartbeat' && request.method === 'POST') {
-                return await handleDeviceHeartbeat(request, env);
-            }
+    if (url.pathname === '/save-banner-config' && request.method === 'POST') {
+        return await handleSaveBannerConfig(request, env);
+    }
 
-            if (url.pathname === '/devices' && request.method === 'GET') {
-                return await handleGetDevices(request, env);
-            }
+    if (url.pathname === '/update-event' && request.method === 'POST') {
+        return await handleUpdateEvent(request, env);
+    }
 
-            if (url.pathname === '/save-clusters' && request.method === 'POST') {
-                return await handleSaveClusters(request, env);
-            }
+    if (url.pathname === '/live/operator' && request.method === 'POST') {
+        return await handleOperatorAction(request, env);
+    }
 
-            if (url.pathname === '/save-stream-config' && request.method === 'POST') {
-                return await handleSaveStreamConfig(request, env);
-            }
+    if (url.pathname === '/live/operator' && request.method === 'GET') {
+        return await handleGetOperatorState(request, env);
+    }
 
-            if (url.pathname === '/delete-montage' && request.method === 'POST') {
-                return await handleDeleteMontage(request, env);
-            }
+    if (url.pathname === '/live/ws' && request.method === 'GET') {
+        return await handleLiveSocket(request, env);
+    }
 
-            return new Response('Not Found', {
-                status: 404,
-                headers: corsHeaders(env, request)
-            });
-        } catch (error) {
-            console.error('Error:', error);
-            return new Response('Internal Error: ' + error.message, {
-                status: 500,
+    if (url.pathname === '/device/heartbeat' && request.method === 'POST') {
+        return await handleDeviceHeartbeat(request, env);
+    }
+
+    if (url.pathname === '/devices' && request.method === 'GET') {
+        return await handleGetDevices(request, env);
+    }
+
+    if (url.pathname === '/save-clusters' && request.method === 'POST') {
+        return await handleSaveClusters(request, env);
+    }
+
+    if (url.pathname === '/save-stream-config' && request.method === 'POST') {
+        return await handleSaveStreamConfig(request, env);
+    }
+
+    if (url.pathname === '/delete-montage' && request.method === 'POST') {
+        return await handleDeleteMontage(request, env);
+    }
+
+    if (url.pathname === '/update-athlete-index' && request.method === 'POST') {
+        return await handleUpdateAthleteIndex(request, env);
+    }
+
+    if (url.pathname === '/rebuild-athlete-index' && request.method === 'POST') {
+        return await handleRebuildAthleteIndex(request, env);
+    }
+
+    if (url.pathname === '/save-start-list' && request.method === 'POST') {
+        return await handleSaveStartList(request, env);
+    }
+
+    if (url.pathname === '/live/finish' && request.method === 'POST') {
+        return await handleLiveFinish(request, env);
+    }
+
+    if (url.pathname === '/live/results' && request.method === 'GET') {
+        return await handleGetLiveResults(request, env);
+    }
+
+    if (url.pathname === '/live/reset-results' && request.method === 'POST') {
+        return await handleResetLiveResults(request, env);
+    }
+
+    if (url.pathname === '/trash' && request.method === 'GET') {
+        return await handleGetTrash(request, env);
+    }
+
+    if (url.pathname === '/trash/restore' && request.method === 'POST') {
+        return await handleRestoreTrash(request, env);
+    }
+
+    if (url.pathname === '/trash/purge' && request.method === 'POST') {
+        return await handlePurgeTrash(request, env);
+    }
+
+    if (url.pathname === '/audit-log' && request.method === 'GET') {
+        return await handleGetAuditLog(request, env);
+    }
+
+    if (url.pathname === '/me' && request.method === 'GET') {
+        return await handleGetMe(request, env);
+    }
+
+    if (url.pathname === '/roles' && request.method === 'GET') {
+        return await handleGetRoles(request, env);
+    }
+
+    if (url.pathname === '/save-roles' && request.method === 'POST') {
+        return await handleSaveRoles(request, env);
+    }
+
+    if (url.pathname === '/rebuild-index' && request.method === 'POST') {
+        return await handleRebuildIndex(request, env);
+    }
+
+    if (url.pathname === '/consistency-report' && request.method === 'GET') {
+        return await handleConsistencyReport(request, env);
+    }
+
+    if (url.pathname === '/gc' && request.method === 'GET') {
+        return await handleGetGarbage(request, env);
+    }
+
+    if (url.pathname === '/gc' && request.method === 'POST') {
+        return await handleCollectGarbage(request, env);
+    }
+
+    if (url.pathname === '/invalidations' && request.method === 'GET') {
+        return await handleGetInvalidations(request, env);
+    }
+
+    if (url.pathname === '/invalidations/flush' && request.method === 'POST') {
+        return await handleFlushInvalidations(request, env);
+    }
+
+    if (url.pathname === '/ingest/run' && request.method === 'POST') {
+        return await handleIngestRun(request, env);
+    }
+
+    if (url.pathname === '/device-credentials' && request.method === 'GET') {
+        return await handleGetDeviceCredentials(request, env);
+    }
+
+    if (url.pathname === '/device-credentials/issue' && request.method === 'POST') {
+        return await handleIssueDeviceCredential(request, env);
+    }
+
+    if (url.pathname === '/device-credentials/revoke' && request.method === 'POST') {
+        return await handleRevokeDeviceCredential(request, env);
+    }
+
+    return new Response('Not Found', {
+        status: 404,
+        headers: corsHeaders(env, request)
+    });
+}
+
+/**
+ * Check the caller's Access identity and role against the route. Returns
+ * { user } or { error: Response }.
+ */
+async function authorize(request, env, url) {
+    const authResult = await verifyAccess(request, env);
+    if (!authResult.valid) {
+        return {
+            error: new Response('Unauthorized: ' + authResult.error, {
+                status: 401,
                 headers: corsHeaders(env, request)
-            });
+            })
+        };
+    }
+
+    const user = resolveUser(authResult.email, await loadRolesConfig(env), env);
+    const permission = routePermission(request.method, url.pathname);
+    const forbidden = message => ({
+        error: new Response('Forbidden: ' + message, {
+            status: 403,
+            headers: corsHeaders(env, request)
+        })
+    });
+
+    if (!permission.roles.includes(user.role)) {
+        return forbidden(`${url.pathname} needs one of: ${permission.roles.join(', ')} (you are ${user.role})`);
+    }
+
+    if (permission.scope === 'event' && user.role !== 'admin') {
+        const body = await request.clone().json().catch(() => ({}));
+        for (const eventId of eventIdsFromBody(url.pathname, body)) {
+            if (!(await userCanManageEvent(env, user, eventId))) {
+                return forbidden(`${eventId} is not one of your teams' events`);
+            }
         }
     }
-};
+
+    return { user };
+}
+
+// roles.json, cached per isolate so every request doesn't re-read it
+const ROLES_CACHE_MS = 60000;
+let rolesCache = { config: null, loadedAt: 0 };
+
+async function loadRolesConfig(env) {
+    if (Date.now() - rolesCache.loadedAt > ROLES_CACHE_MS) {
+        let config = null;
+        try {
+            config = await getJSON(env, ROLES_KEY);
+        } catch (e) {
+            console.error('Failed to load roles:', e);
+        }
+        rolesCache = { config, loadedAt: Date.now() };
+    }
+    return rolesCache.config;
+}
+
+/**
+ * Whether the user may manage an event, from its teams in index.json
+ * (or the given index entry, for events that are in the trash)
+ */
+async function userCanManageEvent(env, user, eventId, indexEntry = null) {
+    if (user.role === 'admin') return true;
+    let entry = indexEntry;
+    if (!entry) {
+        const index = await getJSON(env, 'index.json');
+        entry = index?.events?.find(e => e.event_id === eventId);
+    }
+    return canManageEvent(user, entry?.teams);
+}
+
+/**
+ * Check an edge device's signed request (see device-registry.js). Returns
+ * { device } or { error: Response }.
+ */
+async function verifyDeviceRequest(request, env, url) {
+    const unauthorized = message => ({
+        error: new Response('Unauthorized: ' + message, {
+            status: 401,
+            headers: corsHeaders(env, request)
+        })
+    });
+    if (!env.DEVICE_REGISTRY) return unauthorized('device registry not configured');
+
+    const deviceId = request.headers.get(DEVICE_HEADERS.id);
+    const timestamp = request.headers.get(DEVICE_HEADERS.timestamp) || '';
+    const nonce = request.headers.get(DEVICE_HEADERS.nonce) || '';
+    const bodyHash = await sha256(await request.clone().text());
+
+    const response = await deviceRegistryStub(env).fetch('https://device-registry/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            device_id: deviceId,
+            timestamp,
+            nonce,
+            signature: request.headers.get(DEVICE_HEADERS.signature),
+            canonical: canonicalDeviceRequest(request.method, url.pathname, timestamp, nonce, bodyHash)
+        })
+    });
+    const result = await response.json();
+    if (!result.valid) return unauthorized(result.error);
+
+    return { device: { device_id: deviceId } };
+}
+
+function deviceRegistryStub(env) {
+    return env.DEVICE_REGISTRY.get(env.DEVICE_REGISTRY.idFromName('devices'));
+}
 
 /**
  * Verify Cloudflare Access JWT
  */
 async function verifyAccess(request, env) {
-    const jwt = request.headers.get('CF-Access-JWT-Assertion');
+    // Header when the worker is behind Access; the cookie when called from the admin pages
+    const jwt = request.headers.get('CF-Access-JWT-Assertion') || getCookie(request, 'CF_Authorization');
 
     if (!jwt) {
         return { valid: false, error: 'No access token' };
@@ -155,7 +448,8 @@ async function verifyAccess(request, env) {
             return { valid: false, error: 'Invalid audience' };
         }
 
-        return { valid: true, email: payload.email };
+        // Service tokens (edge software) carry a common_name instead of an email
+        return { valid: true, email: payload.email || payload.common_name };
     } catch (error) {
         console.error('Auth error:', error);
         return { valid: false, error: error.message };
@@ -175,16 +469,33 @@ async function handleDeleteItems(request, env) {
         });
     }
 
+    // Role checks only scope the event ids, so every path must stay inside its event folder
+    for (const [eventId, itemList] of Object.entries(items)) {
+        const invalid = !isValidEventId(eventId) || !Array.isArray(itemList) ||
+            itemList.some(item => !isEventPath(item?.path) || !itemKey(eventId, item.path));
+        if (invalid) {
+            return new Response(`Invalid items for ${eventId}: paths must be inside the event folder`, {
+                status: 400,
+                headers: corsHeaders(env, request)
+            });
+        }
+    }
+
     const results = [];
 
     const invalidationPaths = [];
 
     for (const [eventId, itemList] of Object.entries(items)) {
+        // Update the manifest to remove the items before deleting their files,
+        // so a write conflict (409) leaves this event as it was
+        const manifest = await updateManifest(env, eventId, itemList.map(i => i.id), itemList.map(i => i.path));
+        invalidationPaths.push(`/events/${eventId}/manifest.json`);
+
         for (const item of itemList) {
             try {
                 // Delete the file from S3
-                const fullKey = `events/${eventId}/${item.path}`;
-                await deleteFromS3(env, fullKey);
+                const fullKey = itemKey(eventId, item.path);
+                await deleteObject(env, fullKey);
                 invalidationPaths.push(`/${fullKey}`);
 
                 // Also delete thumbnail if it exists
@@ -200,7 +511,7 @@ async function handleDeleteItems(request, env) {
                 }
                 try {
                     const thumbKey = `events/${eventId}/${thumbPath}`;
-                    await deleteFromS3(env, thumbKey);
+                    await deleteObject(env, thumbKey);
                     invalidationPaths.push(`/${thumbKey}`);
                 } catch (e) {
                     // Thumbnail might not exist, that's OK
@@ -212,9 +523,12 @@ async function handleDeleteItems(request, env) {
             }
         }
 
-        // Update the manifest to remove deleted items
-        await updateManifest(env, eventId, itemList.map(i => i.id), itemList.map(i => i.path));
-        invalidationPaths.push(`/events/${eventId}/manifest.json`);
+        // Keep the athlete search index in step with the manifest
+        if (manifest && await updateAthleteIndexForEvent(env, eventId, manifest)) {
+            if (!invalidationPaths.includes(`/${ATHLETE_INDEX_KEY}`)) {
+                invalidationPaths.push(`/${ATHLETE_INDEX_KEY}`);
+            }
+        }
     }
 
     // Invalidate CloudFront cache for deleted items
@@ -235,6 +549,21 @@ async function handleDeleteItems(request, env) {
     });
 }
 
+/**
+ * Bucket key of a file in an event folder, or null if the path resolves
+ * outside events/<eventId>/
+ */
+function itemKey(eventId, path) {
+    const prefix = `events/${eventId}/`;
+    const parts = [];
+    for (const part of (prefix + path).split('/')) {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    }
+    const key = parts.join('/');
+    return key.startsWith(prefix) && key.length > prefix.length ? key : null;
+}
+
 /**
  * Handle saving live banner config
  */
@@ -259,9 +588,7 @@ async function handleSaveBannerConfig(request, env) {
     };
 
     // Save to S3 with no-cache headers to prevent CloudFront caching
-    await putToS3(env, 'config/live-banner.json', JSON.stringify(bannerConfig, null, 2), {
-        'Cache-Control': 'no-cache, no-store, must-revalidate'
-    });
+    await putObject(env, 'config/live-banner.json', JSON.stringify(bannerConfig, null, 2), NO_CACHE);
 
     // Invalidate CloudFront cache for the config file
     try {
@@ -280,39 +607,153 @@ async function handleSaveBannerConfig(request, env) {
     });
 }
 
+// Operator actions that record a result rather than change the schedule
+const FINISH_ACTIONS = {
+    mark_finish: null,
+    mark_dnf: 'DNF',
+    mark_dns: 'DNS',
+    mark_dsq: 'DSQ'
+};
+
 /**
- * Handle saving shared bib state (crowdsourced from live viewers)
+ * Who is acting: the signed-in user or the signed edge device
  */
-async function handleSaveBibState(request, env) {
-    const data = await request.json();
+function getActor(env) {
+    if (env.user) return env.user.email;
+    if (env.device) return `device:${env.device.device_id}`;
+    return 'unknown';
+}
 
-    const bibState = {
-        bib: data.bib || null,
-        run: data.run || 1,
-        timeOffsetMs: data.timeOffsetMs != null ? data.timeOffsetMs : undefined,
-        timestamp: new Date().toISOString()
-    };
+function liveStateStub(env) {
+    return env.LIVE_STATE.get(env.LIVE_STATE.idFromName('live'));
+}
+
+/**
+ * Handle POST /live/operator - race-day timing control from the operator
+ * console. Body: { action, ...fields }. Schedule actions go to the
+ * LIVE_STATE Durable Object (pushed to viewers); finish actions are written
+ * to the live results. Every action is logged with who did it and when.
+ */
+async function handleOperatorAction(request, env) {
+    if (!env.LIVE_STATE) {
+        return new Response('Live state not configured', {
+            status: 501,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    const { action, ...data } = await request.json();
+    const actor = getActor(env);
+    const stub = liveStateStub(env);
+    let body;
+
+    if (action in FINISH_ACTIONS) {
+        const status = FINISH_ACTIONS[action];
+        const { finish, error } = parseFinish({
+            bib: data.bib,
+            run: data.run,
+            ...(status ? { status } : { time: data.time }),
+            source: 'operator'
+        });
+        if (error) {
+            return new Response(error, {
+                status: 400,
+                headers: corsHeaders(env, request)
+            });
+        }
+
+        await recordFinish(env, finish);
+
+        const logResponse = await stub.fetch('https://live-state/log', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ actor, action, details: finish })
+        });
+        body = { success: true, finish, entry: (await logResponse.json()).entry };
+    } else if (STATE_ACTIONS.includes(action)) {
+        const response = await stub.fetch('https://live-state/action', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...data, action, actor })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            return new Response(result.error, {
+                status: 400,
+                headers: corsHeaders(env, request)
+            });
+        }
 
-    await putToS3(env, 'config/bib-state.json', JSON.stringify(bibState), {
-        'Cache-Control': 'no-cache, no-store, must-revalidate'
+        // Polling fallback copy for viewers without the WebSocket
+        await putObject(env, 'config/bib-state.json', JSON.stringify(result.state), NO_CACHE);
+        if (result.invalidate) {
+            try {
+                await invalidateCloudFront(env, '/config/bib-state.json');
+            } catch (e) {
+                console.error('CloudFront invalidation failed:', e);
+            }
+        }
+        body = { success: true, state: result.state, entry: result.entry };
+    } else {
+        return new Response(`Unknown action: ${action}`, {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
     });
+}
 
-    // Invalidate CloudFront cache so all viewers get the update fast
-    try {
-        await invalidateCloudFront(env, '/config/bib-state.json');
-    } catch (e) {
-        console.error('CloudFront invalidation failed:', e);
+/**
+ * Handle GET /live/operator - current bib state and the operator action log
+ */
+async function handleGetOperatorState(request, env) {
+    if (!env.LIVE_STATE) {
+        return new Response('Live state not configured', {
+            status: 501,
+            headers: corsHeaders(env, request)
+        });
     }
 
-    return new Response(JSON.stringify({ success: true }), {
+    const response = await liveStateStub(env).fetch('https://live-state/state');
+
+    return new Response(await response.text(), {
         status: 200,
         headers: {
             'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
             ...corsHeaders(env, request)
         }
     });
 }
 
+/**
+ * Handle GET /live/ws - WebSocket for bib state pushes, served by the
+ * LIVE_STATE Durable Object
+ */
+async function handleLiveSocket(request, env) {
+    if (!env.LIVE_STATE) {
+        return new Response('Live push not configured', {
+            status: 501,
+            headers: corsHeaders(env, request)
+        });
+    }
+    if (request.headers.get('Upgrade') !== 'websocket') {
+        return new Response('Expected WebSocket upgrade', {
+            status: 426,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    return liveStateStub(env).fetch('https://live-state/connect', request);
+}
+
 /**
  * Handle device heartbeat - edge devices POST their state every 30s
  * Stores device info in config/devices.json on S3
@@ -320,37 +761,27 @@ async function handleSaveBibState(request, env) {
 async function handleDeviceHeartbeat(request, env) {
     const data = await request.json();
 
-    if (!data.device_id) {
-        return new Response('Missing device_id', {
-            status: 400,
+    // A device can only report for itself
+    if (data.device_id && data.device_id !== env.device.device_id) {
+        return new Response('device_id does not match the signing device', {
+            status: 403,
             headers: corsHeaders(env, request)
         });
     }
-
-    // Get current devices registry
-    let devices = {};
-    try {
-        const existing = await getFromS3(env, 'config/devices.json');
-        if (existing && typeof existing === 'object') {
-            devices = existing;
-        }
-    } catch (e) {
-        // File doesn't exist yet, start fresh
-    }
-
-    // Update this device's entry
-    devices[data.device_id] = {
-        device_id: data.device_id,
-        cameras: data.cameras || [],
-        active_sessions: data.active_sessions || [],
-        hostname: data.hostname || '',
-        last_heartbeat: new Date().toISOString()
-    };
-
-    // Save back to S3
-    await putToS3(env, 'config/devices.json', JSON.stringify(devices, null, 2), {
-        'Cache-Control': 'no-cache, no-store, must-revalidate'
-    });
+    data.device_id = env.device.device_id;
+
+    // Update this device's entry, keeping other devices' concurrent heartbeats
+    await updateJSON(env, 'config/devices.json', existing => {
+        const devices = existing && typeof existing === 'object' ? existing : {};
+        devices[data.device_id] = {
+            device_id: data.device_id,
+            cameras: data.cameras || [],
+            active_sessions: data.active_sessions || [],
+            hostname: data.hostname || '',
+            last_heartbeat: new Date().toISOString()
+        };
+        return devices;
+    }, NO_CACHE);
 
     return new Response(JSON.stringify({ success: true }), {
         status: 200,
@@ -368,7 +799,7 @@ async function handleDeviceHeartbeat(request, env) {
 async function handleGetDevices(request, env) {
     let devices = {};
     try {
-        const existing = await getFromS3(env, 'config/devices.json');
+        const existing = await getJSON(env, 'config/devices.json');
         if (existing && typeof existing === 'object') {
             devices = existing;
         }
@@ -399,54 +830,107 @@ async function handleGetDevices(request, env) {
 }
 
 /**
- * Handle saving athlete cluster assignments for an event.
- * Stores clusters.json alongside event data on S3.
+ * Handle GET /device-credentials - issued device credentials (no secrets)
  */
-async function handleSaveClusters(request, env) {
-    const { eventId, data } = await request.json();
+async function handleGetDeviceCredentials(request, env) {
+    const response = await deviceRegistryStub(env).fetch('https://device-registry/list');
 
-    if (!eventId || !data) {
-        return new Response('Missing eventId or data', {
-            status: 400,
+    return new Response(await response.text(), {
+        status: response.status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle POST /device-credentials/issue - create or rotate a device's
+ * secret. Body: { device_id, label }. The secret is only ever in this response.
+ */
+async function handleIssueDeviceCredential(request, env) {
+    return await forwardToDeviceRegistry(request, env, 'issue');
+}
+
+/**
+ * Handle POST /device-credentials/revoke - stop accepting a device's
+ * requests. Body: { device_id }
+ */
+async function handleRevokeDeviceCredential(request, env) {
+    return await forwardToDeviceRegistry(request, env, 'revoke');
+}
+
+async function forwardToDeviceRegistry(request, env, action) {
+    const { device_id, label } = await request.json();
+    const response = await deviceRegistryStub(env).fetch(`https://device-registry/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ device_id, label, actor: getActor(env) })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        return new Response(result.error, {
+            status: response.status,
             headers: corsHeaders(env, request)
         });
     }
 
-    const key = `events/${eventId}/clusters.json`;
-    await putToS3(env, key, JSON.stringify(data, null, 2), {
-        'Cache-Control': 'no-cache, no-store, must-revalidate'
-    });
-
-    return new Response(JSON.stringify({ success: true }), {
+    return new Response(JSON.stringify({ success: true, ...result }), {
         status: 200,
         headers: {
             'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
             ...corsHeaders(env, request)
         }
     });
 }
 
 /**
- * Handle deletion of a single montage run (all FPS variants + video)
- * Password protected - requires "skiframes2026"
+ * Handle saving athlete cluster assignments for an event.
+ * Stores clusters.json alongside event data on S3.
  */
-async function handleDeleteMontage(request, env) {
-    const { eventId, runNumber, password } = await request.json();
+async function handleSaveClusters(request, env) {
+    const { eventId, data } = await request.json();
 
-    // Verify password
-    const DELETE_PASSWORD = env.DELETE_PASSWORD || 'skiframes2026';
-    if (password !== DELETE_PASSWORD) {
-        return new Response(JSON.stringify({ error: 'Invalid password' }), {
-            status: 403,
-            headers: {
-                'Content-Type': 'application/json',
-                ...corsHeaders(env, request)
-            }
+    if (!isValidEventId(eventId) || !data) {
+        return new Response('Missing or invalid eventId, or missing data', {
+            status: 400,
+            headers: corsHeaders(env, request)
         });
     }
 
-    if (!eventId || runNumber === undefined) {
-        return new Response(JSON.stringify({ error: 'Missing eventId or runNumber' }), {
+    const key = `events/${eventId}/clusters.json`;
+    await putObject(env, key, JSON.stringify(data, null, 2), NO_CACHE);
+
+    // Named clusters attach montages to athlete profiles
+    if (await updateAthleteIndexForClusters(env, eventId, data)) {
+        try {
+            await invalidateCloudFront(env, `/${ATHLETE_INDEX_KEY}`);
+        } catch (e) {
+            console.error('CloudFront invalidation failed (non-fatal):', e);
+        }
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle deletion of a single montage run (all FPS variants + video),
+ * moved to the trash
+ */
+async function handleDeleteMontage(request, env) {
+    const { eventId, runNumber } = await request.json();
+
+    if (!isValidEventId(eventId) || runNumber === undefined) {
+        return new Response(JSON.stringify({ error: 'Missing or invalid eventId or runNumber' }), {
             status: 400,
             headers: {
                 'Content-Type': 'application/json',
@@ -458,7 +942,7 @@ async function handleDeleteMontage(request, env) {
     try {
         // Get current manifest to find all files for this run
         const manifestKey = `events/${eventId}/manifest.json`;
-        const manifest = await getFromS3(env, manifestKey);
+        const manifest = await getJSON(env, manifestKey);
 
         if (!manifest) {
             return new Response(JSON.stringify({ error: 'Event not found' }), {
@@ -482,7 +966,7 @@ async function handleDeleteMontage(request, env) {
             });
         }
 
-        // Collect all file paths to delete
+        // Collect all file paths to move to the trash
         const filesToDelete = [];
         const invalidationPaths = [];
 
@@ -512,40 +996,51 @@ async function handleDeleteMontage(request, env) {
             invalidationPaths.push(`/events/${eventId}/${run.trajectory_url}`);
         }
 
-        // Delete files from S3
-        for (const key of filesToDelete) {
-            try {
-                await deleteFromS3(env, key);
-            } catch (e) {
-                console.error(`Failed to delete ${key}:`, e);
-            }
+        // Move the files to the trash, keeping the manifest entry for a restore
+        const record = createTrashRecord(env, {
+            type: 'montage_run',
+            eventId,
+            runNumber,
+            label: `${manifest.event_name || eventId} - Run ${runNumber}`,
+            keys: filesToDelete,
+            deletedBy: getActor(env)
+        });
+        record.run = run;
+        await putObject(env, trashRecordKey(record.id), JSON.stringify(record, null, 2));
+        const failed = await copyToTrash(env, record.id, filesToDelete);
+        if (failed.length > 0) {
+            await discardTrashItem(env, record);
+            return new Response(JSON.stringify({
+                error: `Could not move ${failed.length} files to the trash; nothing was deleted`,
+                failed
+            }), {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders(env, request)
+                }
+            });
         }
 
-        // Remove run from manifest
-        manifest.runs = manifest.runs.filter(r => r.run_number !== runNumber);
-
-        // Save updated manifest
-        await putToS3(env, manifestKey, JSON.stringify(manifest, null, 2));
+        // Remove run from the manifest as it is now, not as first read. The files
+        // are only deleted once that's written, so a conflict leaves the run intact
+        let updated;
+        try {
+            updated = await updateJSON(env, manifestKey, current => {
+                if (!current) return undefined;
+                current.runs = (current.runs || []).filter(r => r.run_number !== runNumber);
+                return current;
+            });
+        } catch (error) {
+            await discardTrashItem(env, record);
+            throw error;
+        }
+        await deleteTrashedOriginals(env, filesToDelete);
         invalidationPaths.push(`/events/${eventId}/manifest.json`);
 
         // Update root index.json with new montage count
-        try {
-            const index = await getFromS3(env, 'index.json');
-            if (index && index.events) {
-                const eventIndex = index.events.findIndex(e => e.event_id === eventId);
-                if (eventIndex !== -1) {
-                    // Count remaining montages (runs * variants)
-                    let montageCount = 0;
-                    for (const r of manifest.runs || []) {
-                        montageCount += Object.keys(r.variants || {}).length;
-                    }
-                    index.events[eventIndex].montage_count = montageCount;
-                    await putToS3(env, 'index.json', JSON.stringify(index, null, 2));
-                    invalidationPaths.push('/index.json');
-                }
-            }
-        } catch (e) {
-            console.error('Failed to update index:', e);
+        if (updated && await updateMontageCount(env, eventId, updated)) {
+            invalidationPaths.push('/index.json');
         }
 
         // Invalidate CloudFront cache
@@ -560,7 +1055,9 @@ async function handleDeleteMontage(request, env) {
         return new Response(JSON.stringify({
             success: true,
             deleted: filesToDelete.length,
-            runNumber: runNumber
+            runNumber: runNumber,
+            trashId: record.id,
+            purgeAfter: record.purge_after
         }), {
             status: 200,
             headers: {
@@ -571,7 +1068,7 @@ async function handleDeleteMontage(request, env) {
     } catch (error) {
         console.error('Delete montage error:', error);
         return new Response(JSON.stringify({ error: error.message }), {
-            status: 500,
+            status: error instanceof WriteConflictError ? 409 : 500,
             headers: {
                 'Content-Type': 'application/json',
                 ...corsHeaders(env, request)
@@ -602,9 +1099,7 @@ async function handleSaveStreamConfig(request, env) {
         updatedAt: new Date().toISOString()
     };
 
-    await putToS3(env, 'config/stream-config.json', JSON.stringify(streamConfig, null, 2), {
-        'Cache-Control': 'no-cache, no-store, must-revalidate'
-    });
+    await putObject(env, 'config/stream-config.json', JSON.stringify(streamConfig, null, 2), NO_CACHE);
 
     try {
         await invalidateCloudFront(env, '/config/stream-config.json');
@@ -627,17 +1122,29 @@ async function handleSaveStreamConfig(request, env) {
 async function handleUpdateEvent(request, env) {
     const { eventId, updates } = await request.json();
 
-    if (!eventId || !updates) {
-        return new Response('Missing eventId or updates', {
+    if (!isValidEventId(eventId) || !updates) {
+        return new Response('Missing or invalid eventId, or missing updates', {
             status: 400,
             headers: corsHeaders(env, request)
         });
     }
 
+    const applyUpdates = target => {
+        if (updates.event_name !== undefined) target.event_name = updates.event_name;
+        if (updates.event_date !== undefined) target.event_date = updates.event_date;
+        if (updates.event_type !== undefined) target.event_type = updates.event_type;
+        if (updates.location !== undefined) target.location = updates.location;
+        if (updates.discipline !== undefined) target.discipline = updates.discipline;
+    };
+
     try {
-        // Get current manifest
+        // Update manifest fields
         const manifestKey = `events/${eventId}/manifest.json`;
-        const manifest = await getFromS3(env, manifestKey);
+        const manifest = await updateJSON(env, manifestKey, current => {
+            if (!current) return undefined;
+            applyUpdates(current);
+            return current;
+        });
 
         if (!manifest) {
             return new Response('Event not found', {
@@ -646,30 +1153,13 @@ async function handleUpdateEvent(request, env) {
             });
         }
 
-        // Update manifest fields
-        if (updates.event_name !== undefined) manifest.event_name = updates.event_name;
-        if (updates.event_date !== undefined) manifest.event_date = updates.event_date;
-        if (updates.event_type !== undefined) manifest.event_type = updates.event_type;
-        if (updates.location !== undefined) manifest.location = updates.location;
-        if (updates.discipline !== undefined) manifest.discipline = updates.discipline;
-
-        // Save updated manifest
-        await putToS3(env, manifestKey, JSON.stringify(manifest, null, 2));
-
         // Also update the root index.json
-        const index = await getFromS3(env, 'index.json');
-        if (index && index.events) {
-            const eventIndex = index.events.findIndex(e => e.event_id === eventId);
-            if (eventIndex !== -1) {
-                if (updates.event_name !== undefined) index.events[eventIndex].event_name = updates.event_name;
-                if (updates.event_date !== undefined) index.events[eventIndex].event_date = updates.event_date;
-                if (updates.event_type !== undefined) index.events[eventIndex].event_type = updates.event_type;
-                if (updates.location !== undefined) index.events[eventIndex].location = updates.location;
-                if (updates.discipline !== undefined) index.events[eventIndex].discipline = updates.discipline;
-
-                await putToS3(env, 'index.json', JSON.stringify(index, null, 2));
-            }
-        }
+        await updateJSON(env, 'index.json', index => {
+            const entry = index?.events?.find(e => e.event_id === eventId);
+            if (!entry) return undefined;
+            applyUpdates(entry);
+            return index;
+        });
 
         // Invalidate CloudFront cache
         try {
@@ -691,38 +1181,75 @@ async function handleUpdateEvent(request, env) {
     } catch (error) {
         console.error('Update event error:', error);
         return new Response('Failed to update event: ' + error.message, {
-            status: 500,
+            status: error instanceof WriteConflictError ? 409 : 500,
             headers: corsHeaders(env, request)
         });
     }
 }
 
 /**
- * Handle deletion of entire event
+ * Handle deletion of entire event - its files go to the trash
  */
 async function handleDeleteEvent(request, env) {
     const { eventId } = await request.json();
 
-    if (!eventId) {
-        return new Response('Missing eventId', {
+    // The id becomes the folder listed and moved, so it must be a single path segment
+    if (!isValidEventId(eventId)) {
+        return new Response('Missing or invalid eventId', {
             status: 400,
             headers: corsHeaders(env, request)
         });
     }
 
     // List all objects in the event folder
-    const objects = await listS3Objects(env, `events/${eventId}/`);
+    const objects = await listObjects(env, `events/${eventId}/`);
+    const index = await getJSON(env, 'index.json');
+    const indexEntry = index?.events?.find(e => e.event_id === eventId) || null;
+
+    // Move everything to the trash; the record goes first so a half-finished
+    // move can still be restored or purged
+    const record = createTrashRecord(env, {
+        type: 'event',
+        eventId,
+        label: indexEntry?.event_name || eventId,
+        keys: objects.map(obj => obj.Key),
+        deletedBy: getActor(env)
+    });
+    record.index_entry = indexEntry;
+    await putObject(env, trashRecordKey(record.id), JSON.stringify(record, null, 2));
+    const failed = await copyToTrash(env, record.id, record.keys);
+    if (failed.length > 0) {
+        await discardTrashItem(env, record);
+        return new Response(`Could not move ${failed.length} files to the trash; nothing was deleted: ${failed.join(', ')}`, {
+            status: 500,
+            headers: corsHeaders(env, request)
+        });
+    }
 
-    // Delete all objects using batch delete (up to 1000 at a time)
-    if (objects.length > 0) {
-        const keys = objects.map(obj => obj.Key);
-        await batchDeleteFromS3(env, keys);
+    // Update the root index to remove this event, then delete the originals
+    try {
+        await updateRootIndex(env, eventId);
+    } catch (error) {
+        await discardTrashItem(env, record);
+        throw error;
     }
+    await deleteTrashedOriginals(env, record.keys);
 
-    // Update the root index to remove this event
-    await updateRootIndex(env, eventId);
+    // Drop the event from the athlete search index
+    if (await updateAthleteIndexForEvent(env, eventId, null)) {
+        try {
+            await invalidateCloudFront(env, `/${ATHLETE_INDEX_KEY}`);
+        } catch (e) {
+            console.error('CloudFront invalidation failed (non-fatal):', e);
+        }
+    }
 
-    return new Response(JSON.stringify({ success: true, deleted: objects.length }), {
+    return new Response(JSON.stringify({
+        success: true,
+        deleted: objects.length,
+        trashId: record.id,
+        purgeAfter: record.purge_after
+    }), {
         status: 200,
         headers: {
             'Content-Type': 'application/json',
@@ -732,513 +1259,1275 @@ async function handleDeleteEvent(request, env) {
 }
 
 /**
- * Delete an object from S3
+ * Invalidate CloudFront cache for a path
  */
-async function deleteFromS3(env, key) {
-    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-
-    const host = `${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
-    const url = `https://${host}/${key}`;
-
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855' // empty body hash
-    };
-
-    // Sign the request
-    const signedHeaders = await signRequest('DELETE', url, headers, '', env);
-
-    const response = await fetch(url, {
-        method: 'DELETE',
-        headers: signedHeaders
-    });
-
-    if (!response.ok && response.status !== 404) {
-        throw new Error(`S3 delete failed: ${response.status}`);
-    }
-
-    return true;
+async function invalidateCloudFront(env, path) {
+    return await invalidateCloudFrontPaths(env, [path]);
 }
 
 /**
- * Batch delete objects from S3 (up to 1000 at a time)
+ * Invalidate CloudFront cache for multiple paths. They're queued in the
+ * InvalidationQueue and sent with everything else queued in the next few
+ * seconds; without the binding they're sent right away.
  */
-async function batchDeleteFromS3(env, keys) {
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-
-    const host = `${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
-    const url = `https://${host}/?delete`;
-
-    // Build XML body for DeleteObjects
-    const objectsXml = keys.map(key => `<Object><Key>${escapeXml(key)}</Key></Object>`).join('');
-    const body = `<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>${objectsXml}</Delete>`;
-
-    const bodyHash = await sha256(body);
-
-    // Calculate SHA256 checksum for x-amz-checksum-sha256 (base64 encoded)
-    const checksumBase64 = await sha256Base64(body);
-
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': bodyHash,
-        'x-amz-checksum-sha256': checksumBase64,
-        'Content-Type': 'application/xml'
-    };
-
-    const signedHeaders = await signRequest('POST', url, headers, body, env);
+async function invalidateCloudFrontPaths(env, paths) {
+    if (!env.INVALIDATION_QUEUE) {
+        return await createInvalidation(env, coalescePaths(paths));
+    }
 
-    const response = await fetch(url, {
+    const response = await invalidationQueueStub(env).fetch('https://invalidation-queue/enqueue', {
         method: 'POST',
-        headers: signedHeaders,
-        body: body
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paths })
     });
-
     if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`S3 batch delete failed: ${response.status} - ${text}`);
+        throw new Error(`Could not queue CloudFront invalidation: ${response.status}`);
     }
-
-    return true;
+    return await response.json();
 }
 
-async function sha256Base64(message) {
-    const msgBuffer = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-    const hashArray = new Uint8Array(hashBuffer);
-    return btoa(String.fromCharCode(...hashArray));
+function invalidationQueueStub(env) {
+    return env.INVALIDATION_QUEUE.get(env.INVALIDATION_QUEUE.idFromName('invalidations'));
 }
 
-function escapeXml(str) {
-    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-}
+// ========================================
+// index.json rebuild, consistency and garbage collection
+// ========================================
 
 /**
- * Invalidate CloudFront cache for a path
+ * Handle POST /rebuild-index - recompute every event's index.json counts,
+ * teams and categories from its manifest, add events missing from the
+ * index and drop entries whose manifest is gone
  */
-async function invalidateCloudFront(env, path) {
-    const distributionId = env.MEDIA_CLOUDFRONT_ID;
-    if (!distributionId) {
-        console.log('No MEDIA_CLOUDFRONT_ID configured, skipping invalidation');
-        return;
-    }
-
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-    const date = datetime.slice(0, 8);
-    const callerReference = `invalidation-${Date.now()}`;
-
-    const body = `<?xml version="1.0" encoding="UTF-8"?>
-<InvalidationBatch xmlns="http://cloudfront.amazonaws.com/doc/2020-05-31/">
-  <CallerReference>${callerReference}</CallerReference>
-  <Paths>
-    <Quantity>1</Quantity>
-    <Items>
-      <Path>${path}</Path>
-    </Items>
-  </Paths>
-</InvalidationBatch>`;
-
-    const host = 'cloudfront.amazonaws.com';
-    const url = `https://${host}/2020-05-31/distribution/${distributionId}/invalidation`;
-    const bodyHash = await sha256(body);
-
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': bodyHash,
-        'Content-Type': 'application/xml'
-    };
+async function handleRebuildIndex(request, env) {
+    const { manifests, failed } = await loadEventManifests(env);
 
-    const signedHeaders = await signCloudFrontRequest('POST', url, headers, body, env);
-
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: signedHeaders,
-        body: body
+    let result = null;
+    await updateJSON(env, 'index.json', index => {
+        result = rebuildIndex(index || { events: [] }, manifests, failed);
+        return result.index;
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`CloudFront invalidation failed: ${response.status} - ${text}`);
+    try {
+        await invalidateCloudFront(env, '/index.json');
+    } catch (e) {
+        console.error('CloudFront invalidation failed (non-fatal):', e);
     }
 
-    return true;
+    return new Response(JSON.stringify({
+        success: true,
+        events: result.index.events.length,
+        added: result.added,
+        removed: result.removed,
+        failed
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
 }
 
 /**
- * Invalidate CloudFront cache for multiple paths
+ * Handle GET /consistency-report - orphaned and missing media, and events
+ * out of step with index.json
  */
-async function invalidateCloudFrontPaths(env, paths) {
-    const distributionId = env.MEDIA_CLOUDFRONT_ID;
-    if (!distributionId) {
-        console.log('No MEDIA_CLOUDFRONT_ID configured, skipping invalidation');
-        return;
-    }
-
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-    const callerReference = `invalidation-${Date.now()}`;
-
-    const itemsXml = paths.map(p => `      <Path>${escapeXml(p)}</Path>`).join('\n');
-    const body = `<?xml version="1.0" encoding="UTF-8"?>
-<InvalidationBatch xmlns="http://cloudfront.amazonaws.com/doc/2020-05-31/">
-  <CallerReference>${callerReference}</CallerReference>
-  <Paths>
-    <Quantity>${paths.length}</Quantity>
-    <Items>
-${itemsXml}
-    </Items>
-  </Paths>
-</InvalidationBatch>`;
-
-    const host = 'cloudfront.amazonaws.com';
-    const url = `https://${host}/2020-05-31/distribution/${distributionId}/invalidation`;
-    const bodyHash = await sha256(body);
-
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': bodyHash,
-        'Content-Type': 'application/xml'
-    };
+async function handleConsistencyReport(request, env) {
+    const { manifests, objects, failed } = await loadEventManifests(env);
+    const index = await getJSON(env, 'index.json');
 
-    const signedHeaders = await signCloudFrontRequest('POST', url, headers, body, env);
+    const report = buildConsistencyReport(index, manifests, objects, failed);
+    report.unreadable_manifests = failed;
 
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: signedHeaders,
-        body: body
+    return new Response(JSON.stringify(report), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
     });
-
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`CloudFront invalidation failed: ${response.status} - ${text}`);
-    }
-
-    return true;
 }
 
-async function signCloudFrontRequest(method, url, headers, body, env) {
-    const urlObj = new URL(url);
-    const datetime = headers['x-amz-date'];
-    const date = datetime.slice(0, 8);
-
-    const service = 'cloudfront';
-    const region = 'us-east-1'; // CloudFront is always us-east-1
+// Keys per POST /gc, so one request stays well inside the worker's limits
+const GC_MAX_KEYS = 10000;
 
-    const signedHeaderNames = Object.keys(headers).sort().join(';').toLowerCase();
-    const canonicalHeaders = Object.keys(headers)
-        .sort()
-        .map(k => `${k.toLowerCase()}:${headers[k]}`)
-        .join('\n') + '\n';
-
-    const payloadHash = headers['x-amz-content-sha256'];
+/**
+ * Handle GET /gc - dry run: orphaned media files that /gc would delete,
+ * with sizes
+ */
+async function handleGetGarbage(request, env) {
+    const events = await collectableGarbage(env);
+
+    return new Response(JSON.stringify({
+        generated_at: new Date().toISOString(),
+        min_age_hours: gcMinAgeHours(env),
+        total_files: events.reduce((sum, e) => sum + e.files.length, 0),
+        total_bytes: events.reduce((sum, e) => sum + e.bytes, 0),
+        events
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
+}
 
-    const canonicalRequest = [
-        method,
-        urlObj.pathname,
-        '',
-        canonicalHeaders,
-        signedHeaderNames,
-        payloadHash
-    ].join('\n');
+/**
+ * Handle POST /gc - delete orphaned files from a preview. Body: { keys }.
+ * Keys are checked again, so anything a manifest references by now (or
+ * that isn't garbage for any other reason) is skipped.
+ */
+async function handleCollectGarbage(request, env) {
+    const { keys } = await request.json();
 
-    const scope = `${date}/${region}/${service}/aws4_request`;
-    const stringToSign = [
-        'AWS4-HMAC-SHA256',
-        datetime,
-        scope,
-        await sha256(canonicalRequest)
-    ].join('\n');
+    if (!Array.isArray(keys) || keys.length === 0 || keys.length > GC_MAX_KEYS) {
+        return new Response(`keys must be a list of 1-${GC_MAX_KEYS} keys from GET /gc`, {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
 
-    const kDate = await hmac('AWS4' + env.AWS_SECRET_ACCESS_KEY, date);
-    const kRegion = await hmac(kDate, region);
-    const kService = await hmac(kRegion, service);
-    const kSigning = await hmac(kService, 'aws4_request');
-    const signature = await hmacHex(kSigning, stringToSign);
+    const garbage = new Set((await collectableGarbage(env)).flatMap(e => e.files.map(f => f.key)));
+    const toDelete = keys.filter(key => garbage.has(key));
+    const failed = await deleteObjects(env, toDelete);
 
-    headers['Authorization'] = [
-        `AWS4-HMAC-SHA256 Credential=${env.AWS_ACCESS_KEY_ID}/${scope}`,
-        `SignedHeaders=${signedHeaderNames}`,
-        `Signature=${signature}`
-    ].join(', ');
+    return new Response(JSON.stringify({
+        success: failed.length === 0,
+        deleted: toDelete.length - failed.length,
+        skipped: keys.filter(key => !garbage.has(key)),
+        failed
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
 
-    return headers;
+async function collectableGarbage(env) {
+    const { manifests, objects } = await loadEventManifests(env);
+    const index = await getJSON(env, 'index.json');
+    return findGarbage(index, manifests, objects, { minAgeHours: gcMinAgeHours(env) });
 }
 
 /**
- * List objects in S3 bucket with prefix
+ * Every event folder's objects and manifest. objects: event id -> listed
+ * objects; manifests: event id -> manifest (folders without one are left
+ * out); failed: ids whose manifest.json exists but couldn't be read or parsed.
  */
-async function listS3Objects(env, prefix) {
-    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-
-    const host = `${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
-    const url = `https://${host}/?list-type=2&prefix=${encodeURIComponent(prefix)}`;
+async function loadEventManifests(env) {
+    const objects = new Map();
+    for (const obj of await listObjects(env, 'events/')) {
+        const eventId = eventIdFromKey(obj.Key);
+        if (!eventId) continue;
+        if (!objects.has(eventId)) objects.set(eventId, []);
+        objects.get(eventId).push(obj);
+    }
 
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
-    };
+    const manifests = new Map();
+    const failed = [];
+    for (const [eventId, stored] of objects) {
+        const key = `events/${eventId}/manifest.json`;
+        if (!stored.some(obj => obj.Key === key)) continue;
+        try {
+            const manifest = await getJSON(env, key);
+            if (manifest) manifests.set(eventId, manifest);
+        } catch (e) {
+            console.error(`Failed to read ${key}:`, e);
+            failed.push(eventId);
+        }
+    }
 
-    const signedHeaders = await signRequest('GET', url, headers, '', env);
+    return { manifests, objects, failed };
+}
 
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: signedHeaders
-    });
+// ========================================
+// CloudFront invalidation queue
+// ========================================
 
-    if (!response.ok) {
-        throw new Error(`S3 list failed: ${response.status}`);
-    }
+/**
+ * Handle GET /invalidations - queued paths, next send, retries and recent batches
+ */
+async function handleGetInvalidations(request, env) {
+    return await forwardToInvalidationQueue(request, env, 'status');
+}
 
-    const xml = await response.text();
+/**
+ * Handle POST /invalidations/flush - send the queued paths now instead of
+ * waiting for the window or a retry
+ */
+async function handleFlushInvalidations(request, env) {
+    return await forwardToInvalidationQueue(request, env, 'flush');
+}
 
-    // Parse XML response (simple regex for Contents/Key)
-    const objects = [];
-    const keyRegex = /<Key>([^<]+)<\/Key>/g;
-    let match;
-    while ((match = keyRegex.exec(xml)) !== null) {
-        objects.push({ Key: match[1] });
+async function forwardToInvalidationQueue(request, env, action) {
+    if (!env.INVALIDATION_QUEUE) {
+        return new Response('Invalidation queue not configured (INVALIDATION_QUEUE binding)', {
+            status: 501,
+            headers: corsHeaders(env, request)
+        });
     }
 
-    return objects;
+    const response = await invalidationQueueStub(env).fetch(`https://invalidation-queue/${action}`, {
+        method: request.method
+    });
+
+    return new Response(await response.text(), {
+        status: response.status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
 }
 
+// ========================================
+// Edge ingestion
+// ========================================
+
 /**
- * Update manifest to remove deleted items
+ * Handle POST /ingest/run - add (or complete) one montage run in an edge
+ * event's manifest after its files were uploaded, then bring the event's
+ * index.json entry up to date. Body: { eventId, event: { event_name, ... }
+ * (used only when the manifest is created), run }. Safe to retry: posting
+ * the same run again leaves the manifest as it is.
  */
-async function updateManifest(env, eventId, deletedIds, deletedPaths) {
-    try {
-        // Get current manifest
-        const manifestKey = `events/${eventId}/manifest.json`;
-        const manifest = await getFromS3(env, manifestKey);
+async function handleIngestRun(request, env) {
+    const { eventId, event, run } = await request.json();
 
-        if (!manifest) return;
-
-        // Remove deleted items from skiframes-web format
-        if (manifest.content?.videos) {
-            manifest.content.videos = manifest.content.videos.filter(
-                v => !deletedIds.includes(v.id)
-            );
-        }
+    if (!isValidEventId(eventId)) {
+        return new Response('Missing or invalid eventId', {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+    const errors = validateIngestedRun(run);
+    if (errors.length > 0) {
+        return new Response('Invalid run: ' + errors.join('; '), {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
 
-        if (manifest.content?.montages) {
-            manifest.content.montages = manifest.content.montages.filter(
-                m => !deletedIds.includes(m.id)
-            );
+    const manifestKey = `events/${eventId}/manifest.json`;
+    let created = false;
+    const manifest = await updateJSON(env, manifestKey, current => {
+        created = !current;
+        if (current && !Array.isArray(current.runs) && (current.videos || current.content)) {
+            return undefined;
         }
+        return mergeRunIntoManifest(current || newEdgeManifest(eventId, event), run);
+    });
 
-        // For photo-montages stitcher format
-        if (manifest.videos) {
-            manifest.videos = manifest.videos.filter(
-                v => !deletedIds.includes(v.id)
-            );
-        }
+    if (!Array.isArray(manifest.runs)) {
+        return new Response(`${eventId} is not an edge montage event`, {
+            status: 409,
+            headers: corsHeaders(env, request)
+        });
+    }
 
-        // For photo-montages edge format (runs[] with variants)
-        if (manifest.runs && Array.isArray(manifest.runs) && deletedPaths) {
-            const pathSet = new Set(deletedPaths);
-            manifest.runs = manifest.runs.filter(run => {
-                if (!run.variants) return true;
-                // Remove variants whose fullres path was deleted
-                for (const [variantName, variant] of Object.entries(run.variants)) {
-                    if (pathSet.has(variant.fullres)) {
-                        delete run.variants[variantName];
-                    }
-                }
-                // Keep run only if it still has variants
-                return Object.keys(run.variants).length > 0;
-            });
+    // Montage count (and the entry itself for a new event)
+    await updateJSON(env, 'index.json', current => {
+        const index = current || { events: [] };
+        index.events = index.events || [];
+        let entry = index.events.find(e => e.event_id === eventId);
+        if (!entry) {
+            entry = newIndexEntry(eventId, manifest);
+            index.events.push(entry);
+            index.events.sort((a, b) => (b.event_date || '').localeCompare(a.event_date || ''));
         }
+        const count = countMontages(manifest);
+        if (entry.montage_count === count && current) return undefined;
+        entry.montage_count = count;
+        index.last_updated = new Date().toISOString();
+        return index;
+    });
 
-        // Save updated manifest
-        await putToS3(env, manifestKey, JSON.stringify(manifest, null, 2));
-    } catch (error) {
-        console.error('Error updating manifest:', error);
+    try {
+        await invalidateCloudFrontPaths(env, [`/${manifestKey}`, '/index.json']);
+    } catch (e) {
+        console.error('CloudFront invalidation failed (non-fatal):', e);
     }
+
+    return new Response(JSON.stringify({
+        success: true,
+        created,
+        runNumber: run.run_number,
+        runs: manifest.runs.length,
+        montageCount: countMontages(manifest)
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
 }
 
+// ========================================
+// Trash
+// ========================================
+
 /**
- * Update root index to remove an event
+ * Copy objects to a trash item's folder, leaving the originals in place
+ * until the manifest or index change is written. Returns the keys that
+ * couldn't be copied; the caller must then delete nothing, or those files
+ * would be lost without a trash copy. A key that doesn't exist (a manifest
+ * pointing at a file already gone) has nothing to lose and isn't a failure.
  */
-async function updateRootIndex(env, eventId) {
-    try {
-        const index = await getFromS3(env, 'index.json');
-
-        if (!index) return;
-
-        if (index.events) {
-            index.events = index.events.filter(e => e.event_id !== eventId);
+async function copyToTrash(env, trashId, keys) {
+    const failed = [];
+    for (const key of keys) {
+        try {
+            await copyObject(env, key, trashFileKey(trashId, key));
+        } catch (e) {
+            if (!(await listObjects(env, key)).some(obj => obj.Key === key)) continue;
+            console.error(`Failed to move ${key} to trash:`, e);
+            failed.push(key);
         }
-
-        await putToS3(env, 'index.json', JSON.stringify(index, null, 2));
-    } catch (error) {
-        console.error('Error updating index:', error);
     }
+    return failed;
 }
 
 /**
- * Get an object from S3
+ * Delete the originals of objects copied to the trash
  */
-async function getFromS3(env, key) {
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-
-    const host = `${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
-    const url = `https://${host}/${key}`;
-
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
-    };
-
-    const signedHeaders = await signRequest('GET', url, headers, '', env);
-
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: signedHeaders
-    });
-
-    if (!response.ok) {
-        if (response.status === 404) return null;
-        throw new Error(`S3 get failed: ${response.status}`);
+async function deleteTrashedOriginals(env, keys) {
+    const notDeleted = await deleteObjects(env, keys);
+    if (notDeleted.length > 0) {
+        console.error(`Copied to trash but not deleted (left for /gc): ${notDeleted.join(', ')}`);
     }
-
-    return await response.json();
 }
 
 /**
- * Put an object to S3
+ * Undo a delete whose manifest or index change failed: the originals are
+ * still in place, so the trash copies and record go
  */
-async function putToS3(env, key, body, extraHeaders = {}) {
-    const datetime = new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-    const bodyHash = await sha256(body);
-
-    const host = `${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
-    const url = `https://${host}/${key}`;
-
-    const headers = {
-        'Host': host,
-        'x-amz-date': datetime,
-        'x-amz-content-sha256': bodyHash,
-        'Content-Type': 'application/json',
-        ...extraHeaders
-    };
+async function discardTrashItem(env, record) {
+    try {
+        await purgeTrashItem(env, record);
+    } catch (e) {
+        console.error(`Failed to discard trash item ${record.id}:`, e);
+    }
+}
 
-    const signedHeaders = await signRequest('PUT', url, headers, body, env);
+/**
+ * Handle GET /trash - deleted events and montage runs, newest first
+ */
+async function handleGetTrash(request, env) {
+    let records = await loadTrashRecords(env);
+
+    // Coaches only see their teams' events
+    if (env.user.role !== 'admin') {
+        const index = await getJSON(env, 'index.json');
+        const teamsFor = record => record.index_entry?.teams ||
+            index?.events?.find(e => e.event_id === record.event_id)?.teams;
+        records = records.filter(record => canManageEvent(env.user, teamsFor(record)));
+    }
 
-    const response = await fetch(url, {
-        method: 'PUT',
-        headers: signedHeaders,
-        body: body
+    return new Response(JSON.stringify({
+        retentionDays: retentionDays(env),
+        items: records.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at))
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
     });
+}
 
-    if (!response.ok) {
-        throw new Error(`S3 put failed: ${response.status}`);
-    }
-
-    return true;
+async function loadTrashRecords(env) {
+    const objects = await listObjects(env, TRASH_RECORDS_PREFIX);
+    const records = await Promise.all(objects.map(obj => getJSON(env, obj.Key)));
+    return records.filter(Boolean);
 }
 
 /**
- * AWS Signature Version 4 signing
+ * Trash record named in a restore / purge body, or an error response
  */
-async function signRequest(method, url, headers, body, env) {
-    const urlObj = new URL(url);
-    const datetime = headers['x-amz-date'];
-    const date = datetime.slice(0, 8);
+async function loadTrashRecordFromRequest(request, env) {
+    const { id } = await request.json();
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(id)) {
+        return {
+            error: new Response('Invalid trash id', {
+                status: 400,
+                headers: corsHeaders(env, request)
+            })
+        };
+    }
+
+    const record = await getJSON(env, trashRecordKey(id));
+    if (!record) {
+        return {
+            error: new Response('Trash item not found', {
+                status: 404,
+                headers: corsHeaders(env, request)
+            })
+        };
+    }
+    return { record };
+}
+
+/**
+ * Handle POST /trash/restore - put a deleted event or montage run back:
+ * files to their original keys, then its index.json entry or manifest run
+ */
+async function handleRestoreTrash(request, env) {
+    const { record, error } = await loadTrashRecordFromRequest(request, env);
+    if (error) return error;
+
+    if (!(await userCanManageEvent(env, env.user, record.event_id, record.index_entry))) {
+        return new Response(`Forbidden: ${record.event_id} is not one of your teams' events`, {
+            status: 403,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    const eventId = record.event_id;
+    const manifestKey = `events/${eventId}/manifest.json`;
+    let manifest = null;
+
+    // Refuse to overwrite anything uploaded since the delete
+    if (record.type === 'event') {
+        const index = await getJSON(env, 'index.json');
+        if (index?.events?.some(e => e.event_id === eventId)) {
+            return new Response(`Event ${eventId} exists again; delete or rename it first`, {
+                status: 409,
+                headers: corsHeaders(env, request)
+            });
+        }
+    } else {
+        manifest = await getJSON(env, manifestKey);
+        if (!manifest) {
+            return new Response(`Event ${eventId} no longer exists; restore the event first`, {
+                status: 409,
+                headers: corsHeaders(env, request)
+            });
+        }
+        if (manifest.runs?.some(r => r.run_number === record.run_number)) {
+            return new Response(`Run ${record.run_number} already exists in ${eventId}`, {
+                status: 409,
+                headers: corsHeaders(env, request)
+            });
+        }
+    }
+
+    // Copy the files back
+    const restored = [];
+    const missing = [];
+    for (const key of record.keys) {
+        try {
+            await copyObject(env, trashFileKey(record.id, key), key);
+            restored.push(key);
+        } catch (e) {
+            console.error(`Failed to restore ${key}:`, e);
+            missing.push(key);
+        }
+    }
+
+    const invalidationPaths = restored.map(key => `/${key}`);
+
+    if (record.type === 'event') {
+        if (record.index_entry) {
+            await updateJSON(env, 'index.json', current => {
+                const index = current || { events: [] };
+                index.events = index.events || [];
+                if (index.events.some(e => e.event_id === eventId)) return undefined;
+                index.events.push(record.index_entry);
+                index.events.sort((a, b) => (b.event_date || '').localeCompare(a.event_date || ''));
+                return index;
+            });
+            invalidationPaths.push('/index.json');
+        }
+
+        const restoredManifest = await loadManifestForIndexing(env, record.index_entry || { event_id: eventId });
+        if (restoredManifest && await updateAthleteIndexForEvent(env, eventId, restoredManifest)) {
+            const clusters = await loadClustersForIndexing(env, eventId);
+            if (clusters) await updateAthleteIndexForClusters(env, eventId, clusters);
+            invalidationPaths.push(`/${ATHLETE_INDEX_KEY}`);
+        }
+    } else {
+        manifest = await updateJSON(env, manifestKey, current => {
+            if (!current || current.runs?.some(r => r.run_number === record.run_number)) return undefined;
+            current.runs = current.runs || [];
+            current.runs.push(record.run);
+            current.runs.sort((a, b) => a.run_number - b.run_number);
+            return current;
+        }) || manifest;
+        invalidationPaths.push(`/${manifestKey}`);
+
+        if (await updateMontageCount(env, eventId, manifest)) {
+            invalidationPaths.push('/index.json');
+        }
+    }
+
+    try {
+        await purgeTrashItem(env, record);
+    } catch (e) {
+        console.error('Trash cleanup after restore failed:', e);
+    }
+
+    try {
+        await invalidateCloudFrontPaths(env, invalidationPaths);
+    } catch (e) {
+        console.error('CloudFront invalidation failed (non-fatal):', e);
+    }
+
+    return new Response(JSON.stringify({ success: true, restored: restored.length, missing }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle POST /trash/purge - permanently delete one trash item
+ */
+async function handlePurgeTrash(request, env) {
+    const { record, error } = await loadTrashRecordFromRequest(request, env);
+    if (error) return error;
+
+    await purgeTrashItem(env, record);
+
+    return new Response(JSON.stringify({ success: true, purged: record.keys.length }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+async function purgeTrashItem(env, record) {
+    // Keep the record while any file is left, so the purge can be retried
+    const failed = await deleteObjects(env, record.keys.map(key => trashFileKey(record.id, key)));
+    if (failed.length > 0) {
+        throw new Error(`Could not purge ${failed.length} files of ${record.id}`);
+    }
+    await deleteObject(env, trashRecordKey(record.id));
+}
+
+/**
+ * Purge every trash item past its retention period (scheduled). The purge
+ * is audited like a request, with "scheduled" as the actor.
+ */
+async function purgeExpiredTrash(env) {
+    const recorder = createAuditRecorder();
+    const auditEnv = { ...env, audit: recorder };
+    const purged = [];
+
+    try {
+        for (const record of await loadTrashRecords(env)) {
+            if (!isExpired(record)) continue;
+            try {
+                await purgeTrashItem(auditEnv, record);
+                purged.push(record.id);
+            } catch (e) {
+                console.error(`Trash purge of ${record.id} failed:`, e);
+            }
+        }
+    } catch (e) {
+        console.error('Trash purge failed:', e);
+    }
+
+    if (purged.length === 0) return;
+    try {
+        await saveAuditEntry(env, buildAuditEntry({
+            recorder,
+            actor: 'scheduled',
+            route: '/trash/purge',
+            method: 'SCHEDULED',
+            status: 200,
+            requestBody: { purged }
+        }));
+    } catch (e) {
+        console.error('Audit log write failed:', e);
+    }
+}
+
+/**
+ * Set an event's montage_count in index.json from its manifest. Returns true
+ * if index.json was written.
+ */
+async function updateMontageCount(env, eventId, manifest) {
+    let written = false;
+    try {
+        await updateJSON(env, 'index.json', index => {
+            const entry = index?.events?.find(e => e.event_id === eventId);
+            written = !!entry;
+            if (!entry) return undefined;
+            entry.montage_count = countMontages(manifest);
+            return index;
+        });
+        return written;
+    } catch (e) {
+        if (e instanceof WriteConflictError) throw e;
+        console.error('Failed to update index:', e);
+        return false;
+    }
+}
+
+// ========================================
+// Audit log
+// ========================================
+
+/**
+ * Write the audit entry for one mutating request. Entries are never
+ * overwritten (If-None-Match); a failed write is logged but doesn't fail
+ * the request.
+ */
+async function writeAuditEntry(request, env, recorder, route, status, requestBody) {
+    try {
+        const actor = getActor(env);
+        const entry = buildAuditEntry({
+            recorder,
+            actor,
+            route,
+            method: request.method,
+            status,
+            origin: request.headers.get('Origin'),
+            requestBody
+        });
+        await saveAuditEntry(env, entry);
+    } catch (e) {
+        console.error('Audit log write failed:', e);
+    }
+}
+
+async function saveAuditEntry(env, entry) {
+    const key = auditKey(entry);
+    if (!(await putObject(env, key, JSON.stringify(entry), { ifNoneMatch: '*' }))) {
+        throw new Error(`Audit entry ${key} already exists`);
+    }
+}
+
+/**
+ * Handle GET /audit-log?date=YYYY-MM-DD&route=&actor=&limit= - one day's
+ * entries, newest first. Route and actor are matched on the object keys, so
+ * only the returned entries are fetched.
+ */
+async function handleGetAuditLog(request, env) {
+    const params = new URL(request.url).searchParams;
+    const date = params.get('date') || new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return new Response('date must be YYYY-MM-DD', {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+    const limit = Math.min(Math.max(parseInt(params.get('limit'), 10) || 50, 1), 200);
+    const filter = { route: params.get('route') || '', actor: params.get('actor') || '' };
+
+    const matches = (await listObjects(env, `${AUDIT_PREFIX}${date}/`))
+        .map(obj => parseAuditKey(obj.Key))
+        .filter(parsed => matchesAuditFilter(parsed, filter))
+        .sort((a, b) => b.stamp.localeCompare(a.stamp));
+
+    const entries = await Promise.all(matches.slice(0, limit).map(m => getJSON(env, m.key)));
+
+    return new Response(JSON.stringify({
+        date,
+        total: matches.length,
+        routes: AUDITED_ROUTES,
+        entries: entries.filter(Boolean)
+    }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+// ========================================
+// Users and roles
+// ========================================
+
+/**
+ * Handle GET /me - the signed-in user's email, role and teams
+ */
+async function handleGetMe(request, env) {
+    return new Response(JSON.stringify(env.user), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle GET /roles - role assignments (private/roles.json)
+ */
+async function handleGetRoles(request, env) {
+    const config = (await getJSON(env, ROLES_KEY)) || { users: {} };
+
+    return new Response(JSON.stringify({ ...config, roles: ROLES }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle POST /save-roles - replace the role assignments. Body: { users }
+ */
+async function handleSaveRoles(request, env) {
+    const { users } = await request.json();
+    const config = { users };
+
+    const errors = validateRoles(config);
+    if (errors.length > 0) {
+        return new Response('Invalid roles: ' + errors.join('; '), {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    config.updated_at = new Date().toISOString();
+    config.updated_by = env.user.email;
+    await putObject(env, ROLES_KEY, JSON.stringify(config, null, 2), NO_CACHE);
+
+    // Other isolates pick the change up when their cache expires
+    rolesCache = { config, loadedAt: Date.now() };
+
+    return new Response(JSON.stringify({ success: true }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+// ========================================
+// Athlete search index
+// ========================================
+
+/**
+ * Handle POST /update-athlete-index - re-index one event after its manifest
+ * was uploaded outside the worker (sync-media.sh, edge devices)
+ */
+async function handleUpdateAthleteIndex(request, env) {
+    const { eventId } = await request.json();
+
+    // Also open to operators and signed devices, and the id becomes a storage key
+    if (!isValidEventId(eventId)) {
+        return new Response('Missing or invalid eventId', {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    const index = await getJSON(env, 'index.json');
+    const event = (index?.events || []).find(e => e.event_id === eventId) || { event_id: eventId };
+    const manifest = await loadManifestForIndexing(env, event);
+
+    await updateAthleteIndexForEvent(env, eventId, manifest);
+    try {
+        await invalidateCloudFront(env, `/${ATHLETE_INDEX_KEY}`);
+    } catch (e) {
+        console.error('CloudFront invalidation failed (non-fatal):', e);
+    }
+
+    return new Response(JSON.stringify({ success: true, indexed: !!manifest }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle POST /save-start-list - publish start_list.json (from the admin
+ * importer) for the live page
+ */
+async function handleSaveStartList(request, env) {
+    const { startList } = await request.json();
+
+    const errors = validateStartList(startList);
+    if (errors.length > 0) {
+        return new Response('Invalid start list: ' + errors.join('; '), {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    const published = {
+        ...startList,
+        updated_at: new Date().toISOString()
+    };
+
+    await putObject(env, START_LIST_KEY, JSON.stringify(published, null, 2), NO_CACHE);
+
+    try {
+        await invalidateCloudFront(env, `/${START_LIST_KEY}`);
+    } catch (e) {
+        console.error('CloudFront invalidation failed (non-fatal):', e);
+    }
+
+    return new Response(JSON.stringify({ success: true }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle POST /live/finish - record a finish time (or DNF/DSQ/DNS) from an
+ * edge device or timer operator
+ */
+async function handleLiveFinish(request, env) {
+    // Finishes from a device are attributed to it, whatever the body says
+    const body = await request.json();
+    const { finish, error } = parseFinish(env.device ? { ...body, source: env.device.device_id } : body);
+    if (error) {
+        return new Response(error, {
+            status: 400,
+            headers: corsHeaders(env, request)
+        });
+    }
+
+    await recordFinish(env, finish);
+
+    return new Response(JSON.stringify({ success: true, finish }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle GET /live/results - current live results (uncached)
+ */
+async function handleGetLiveResults(request, env) {
+    const results = (await getJSON(env, LIVE_RESULTS_KEY)) || emptyLiveResults();
+
+    return new Response(JSON.stringify(results), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+/**
+ * Handle POST /live/reset-results - clear all runs before a new race
+ */
+async function handleResetLiveResults(request, env) {
+    const results = emptyLiveResults();
+    results.updated_at = new Date().toISOString();
+
+    await saveLiveResults(env, results);
+
+    return new Response(JSON.stringify({ success: true }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
+
+
+/**
+ * Apply one finish to live/results.json. Finishes arrive from several devices
+ * and operators at once, so this is a conditional update, not a rewrite.
+ */
+async function recordFinish(env, finish) {
+    await updateJSON(env, LIVE_RESULTS_KEY, results => applyFinish(results || emptyLiveResults(), finish), {
+        ...NO_CACHE,
+        indent: 0
+    });
+    await invalidateLiveResults(env);
+}
+
+async function saveLiveResults(env, results) {
+    await putObject(env, LIVE_RESULTS_KEY, JSON.stringify(results), NO_CACHE);
+    await invalidateLiveResults(env);
+}
+
+async function invalidateLiveResults(env) {
+    // Viewers poll this file, so get the new copy out quickly
+    try {
+        await invalidateCloudFront(env, `/${LIVE_RESULTS_KEY}`);
+    } catch (e) {
+        console.error('CloudFront invalidation failed:', e);
+    }
+}
+
+/**
+ * Handle POST /rebuild-athlete-index - regenerate athletes.json from every
+ * event in index.json
+ */
+async function handleRebuildAthleteIndex(request, env) {
+    const result = await rebuildAthleteIndex(env);
 
-    const service = 's3';
-    const region = env.S3_REGION;
+    try {
+        await invalidateCloudFront(env, `/${ATHLETE_INDEX_KEY}`);
+    } catch (e) {
+        console.error('CloudFront invalidation failed (non-fatal):', e);
+    }
 
-    // Create canonical request
-    const signedHeaderNames = Object.keys(headers).sort().join(';').toLowerCase();
-    const canonicalHeaders = Object.keys(headers)
-        .sort()
-        .map(k => `${k.toLowerCase()}:${headers[k]}`)
-        .join('\n') + '\n';
+    return new Response(JSON.stringify({ success: true, ...result }), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders(env, request)
+        }
+    });
+}
 
-    const payloadHash = headers['x-amz-content-sha256'];
+/**
+ * Build athletes.json from scratch
+ */
+async function rebuildAthleteIndex(env) {
+    const rootIndex = await getJSON(env, 'index.json');
+    // Oldest first, so display fields end up reflecting each athlete's latest event
+    const events = [...(rootIndex?.events || [])]
+        .sort((a, b) => (a.event_date || '').localeCompare(b.event_date || ''));
+
+    const athleteIndex = emptyAthleteIndex();
+    const failed = [];
+
+    for (const event of events) {
+        try {
+            const manifest = await loadManifestForIndexing(env, event);
+            if (manifest) {
+                mergeEventIntoIndex(athleteIndex, event.event_id, extractAthleteEntries(manifest));
+            }
+            if (event.montage_count > 0) {
+                const clusters = await loadClustersForIndexing(env, event.event_id);
+                if (clusters) {
+                    mergeClustersIntoIndex(athleteIndex, event.event_id, extractClusterEntries(clusters));
+                }
+            }
+        } catch (e) {
+            console.error(`Failed to index ${event.event_id}:`, e);
+            failed.push(event.event_id);
+        }
+    }
+
+    await putAthleteIndex(env, athleteIndex);
+    return { events: events.length, athletes: athleteIndex.athletes.length, failed };
+}
+
+/**
+ * Re-index one event (manifest = null removes it). Builds the whole index if
+ * athletes.json doesn't exist yet. Returns true if athletes.json was written.
+ * Failures are logged, not thrown - the search index must never block an edit.
+ */
+async function updateAthleteIndexForEvent(env, eventId, manifest) {
+    try {
+        const updated = await updateAthleteIndex(env, athleteIndex => {
+            if (manifest) {
+                mergeEventIntoIndex(athleteIndex, eventId, extractAthleteEntries(manifest));
+            } else {
+                removeEventFromIndex(athleteIndex, eventId);
+                athleteIndex.generated_at = new Date().toISOString();
+            }
+        });
+        if (!updated) await rebuildAthleteIndex(env);
+        return true;
+    } catch (error) {
+        console.error('Error updating athlete index:', error);
+        return false;
+    }
+}
 
-    // Build canonical query string - handle params without values (like ?delete)
-    let canonicalQueryString = '';
-    if (urlObj.search) {
-        const params = [];
-        urlObj.searchParams.forEach((value, key) => {
-            params.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+/**
+ * Re-attach an event's named montage clusters. Returns true if athletes.json was written.
+ */
+async function updateAthleteIndexForClusters(env, eventId, clustersData) {
+    try {
+        const updated = await updateAthleteIndex(env, athleteIndex => {
+            mergeClustersIntoIndex(athleteIndex, eventId, extractClusterEntries(clustersData));
         });
-        // Handle case where search is just "?delete" (no value)
-        if (params.length === 0 && urlObj.search.length > 1) {
-            const key = urlObj.search.slice(1).split('=')[0];
-            params.push(`${encodeURIComponent(key)}=`);
-        }
-        params.sort();
-        canonicalQueryString = params.join('&');
-    }
-
-    const canonicalRequest = [
-        method,
-        urlObj.pathname,
-        canonicalQueryString,
-        canonicalHeaders,
-        signedHeaderNames,
-        payloadHash
-    ].join('\n');
-
-    // Create string to sign
-    const scope = `${date}/${region}/${service}/aws4_request`;
-    const stringToSign = [
-        'AWS4-HMAC-SHA256',
-        datetime,
-        scope,
-        await sha256(canonicalRequest)
-    ].join('\n');
-
-    // Calculate signature
-    const kDate = await hmac('AWS4' + env.AWS_SECRET_ACCESS_KEY, date);
-    const kRegion = await hmac(kDate, region);
-    const kService = await hmac(kRegion, service);
-    const kSigning = await hmac(kService, 'aws4_request');
-    const signature = await hmacHex(kSigning, stringToSign);
-
-    // Add authorization header
-    headers['Authorization'] = [
-        `AWS4-HMAC-SHA256 Credential=${env.AWS_ACCESS_KEY_ID}/${scope}`,
-        `SignedHeaders=${signedHeaderNames}`,
-        `Signature=${signature}`
-    ].join(', ');
-
-    return headers;
-}
-
-async function sha256(message) {
-    const msgBuffer = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
-
-async function hmac(key, message) {
-    const keyData = typeof key === 'string' ? new TextEncoder().encode(key) : key;
-    const msgData = new TextEncoder().encode(message);
-
-    const cryptoKey = await crypto.subtle.importKey(
-        'raw',
-        keyData,
-        { name: 'HMAC', hash: 'SHA-256' },
-        false,
-        ['sign']
-    );
-
-    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, msgData));
-}
-
-async function hmacHex(key, message) {
-    const result = await hmac(key, message);
-    return Array.from(result).map(b => b.toString(16).padStart(2, '0')).join('');
+        if (!updated) await rebuildAthleteIndex(env);
+        return true;
+    } catch (error) {
+        console.error('Error updating athlete index:', error);
+        return false;
+    }
+}
+
+/**
+ * clusters.json for an event, or null if none has been saved
+ * (S3 answers 403 rather than 404 for missing keys without ListBucket)
+ */
+async function loadClustersForIndexing(env, eventId) {
+    try {
+        return await getJSON(env, `events/${eventId}/clusters.json`);
+    } catch (e) {
+        return null;
+    }
+}
+
+const ATHLETE_INDEX_CACHE = { cacheControl: 'max-age=60' };
+
+async function putAthleteIndex(env, athleteIndex) {
+    await putObject(env, ATHLETE_INDEX_KEY, JSON.stringify(athleteIndex), ATHLETE_INDEX_CACHE);
+}
+
+/**
+ * Conditionally apply change(athleteIndex) to athletes.json. Returns false,
+ * without writing, if the index doesn't exist yet.
+ */
+async function updateAthleteIndex(env, change) {
+    const updated = await updateJSON(env, ATHLETE_INDEX_KEY, athleteIndex => {
+        if (!athleteIndex) return undefined;
+        change(athleteIndex);
+        return athleteIndex;
+    }, { ...ATHLETE_INDEX_CACHE, indent: 0 });
+    return !!updated;
+}
+
+/**
+ * Load the raw manifest for an index.json event. Race events (/races/ pages)
+ * keep their manifest on the website, everything else is in the media bucket.
+ */
+async function loadManifestForIndexing(env, event) {
+    if (event.url && event.url.startsWith('/races/')) {
+        const siteOrigin = env.SITE_ORIGIN || 'https://skiframes.com';
+        const response = await fetch(`${siteOrigin}${event.url}race_manifest.json`);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Race manifest fetch failed: ${response.status}`);
+        return await response.json();
+    }
+    return await getJSON(env, `events/${event.event_id}/manifest.json`);
+}
+
+/**
+ * Update manifest to remove deleted items
+ */
+async function updateManifest(env, eventId, deletedIds, deletedPaths) {
+    try {
+        const manifestKey = `events/${eventId}/manifest.json`;
+        return await updateJSON(env, manifestKey, manifest => {
+            if (!manifest) return undefined;
+            removeFromManifest(manifest, deletedIds, deletedPaths);
+            return manifest;
+        });
+    } catch (error) {
+        if (error instanceof WriteConflictError) throw error;
+        console.error('Error updating manifest:', error);
+        return null;
+    }
+}
+
+function removeFromManifest(manifest, deletedIds, deletedPaths) {
+    // Remove deleted items from skiframes-web format
+    if (manifest.content?.videos) {
+        manifest.content.videos = manifest.content.videos.filter(
+            v => !deletedIds.includes(v.id)
+        );
+    }
+
+    if (manifest.content?.montages) {
+        manifest.content.montages = manifest.content.montages.filter(
+            m => !deletedIds.includes(m.id)
+        );
+    }
+
+    // For photo-montages stitcher format
+    if (manifest.videos) {
+        manifest.videos = manifest.videos.filter(
+            v => !deletedIds.includes(v.id)
+        );
+    }
+
+    // For photo-montages edge format (runs[] with variants)
+    if (manifest.runs && Array.isArray(manifest.runs) && deletedPaths) {
+        const pathSet = new Set(deletedPaths);
+        manifest.runs = manifest.runs.filter(run => {
+            if (!run.variants) return true;
+            // Remove variants whose fullres path was deleted
+            for (const [variantName, variant] of Object.entries(run.variants)) {
+                if (pathSet.has(variant.fullres)) {
+                    delete run.variants[variantName];
+                }
+            }
+            // Keep run only if it still has variants
+            return Object.keys(run.variants).length > 0;
+        });
+    }
+}
+
+/**
+ * Update root index to remove an event
+ */
+async function updateRootIndex(env, eventId) {
+    try {
+        await updateJSON(env, 'index.json', index => {
+            if (!index?.events?.some(e => e.event_id === eventId)) return undefined;
+            index.events = index.events.filter(e => e.event_id !== eventId);
+            return index;
+        });
+    } catch (error) {
+        if (error instanceof WriteConflictError) throw error;
+        console.error('Error updating index:', error);
+    }
+}
+
+// ========================================
+// Conditional JSON updates
+// ========================================
+
+/**
+ * A shared JSON file kept changing under a read-modify-write; the caller
+ * gets a 409 and can try again
+ */
+class WriteConflictError extends Error {
+    constructor(key) {
+        super(`${key} was changed by another request, please try again`);
+        this.name = 'WriteConflictError';
+        this.key = key;
+    }
+}
+
+const UPDATE_ATTEMPTS = 5;
+
+/**
+ * Read-modify-write a JSON object in storage without losing concurrent changes.
+ *
+ * update(current) gets the stored object (null if missing) and returns the
+ * new one, or undefined to leave it alone. The write is conditional on the
+ * ETag that was read (If-None-Match: * when creating); if another request
+ * wrote in between, update runs again on the fresh copy, so it must only
+ * depend on its argument. Throws WriteConflictError after UPDATE_ATTEMPTS.
+ * Returns what was written, or the unchanged current object.
+ */
+async function updateJSON(env, key, update, { indent = 2, ...options } = {}) {
+    for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+        const { data, etag } = await getJSONWithETag(env, key);
+        const next = await update(data);
+        if (next === undefined) return data;
+
+        const condition = etag ? { ifMatch: etag } : { ifNoneMatch: '*' };
+        if (await putObject(env, key, JSON.stringify(next, null, indent), { ...options, ...condition })) {
+            return next;
+        }
+
+        // Back off with jitter so racing writers don't collide again
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt + Math.random() * 50));
+    }
+    throw new WriteConflictError(key);
+}
+
+// ========================================
+// Storage
+// ========================================
+
+// Put options for files the site polls (live state, config)
+const NO_CACHE = { cacheControl: 'no-cache, no-store, must-revalidate' };
+
+/**
+ * Get a JSON object from storage (null if it doesn't exist)
+ */
+async function getJSON(env, key) {
+    return (await getJSONWithETag(env, key)).data;
+}
+
+/**
+ * Get a JSON object with its ETag, for a conditional write.
+ * { data: null, etag: null } if it doesn't exist.
+ */
+async function getJSONWithETag(env, key) {
+    return await createStorage(env).getJSON(key);
+}
+
+/**
+ * Write an object ({ cacheControl, contentType, ifMatch, ifNoneMatch }).
+ * With ifMatch / ifNoneMatch, returns false if the condition failed (the
+ * object changed or already exists).
+ */
+async function putObject(env, key, body, options = {}) {
+    // Audited requests record what each JSON write changed
+    const audited = env.audit && key.endsWith('.json') && !key.startsWith(AUDIT_PREFIX);
+    const before = audited ? await getJSON(env, key).catch(() => null) : undefined;
+
+    if (!(await createStorage(env).put(key, body, options))) return false;
+
+    if (audited) env.audit.recordPut(key, before, JSON.parse(body));
+
+    return true;
+}
+
+/**
+ * Delete an object
+ */
+async function deleteObject(env, key) {
+    // Audited requests keep the content of deleted JSON documents
+    const before = env.audit && key.endsWith('.json') ? await getJSON(env, key).catch(() => null) : undefined;
+
+    await createStorage(env).delete(key);
+
+    if (env.audit) env.audit.recordDelete(key, before);
+
+    return true;
+}
+
+/**
+ * Delete any number of objects. Returns the keys that couldn't be deleted.
+ */
+async function deleteObjects(env, keys) {
+    const before = {};
+    if (env.audit) {
+        for (const key of keys.filter(k => k.endsWith('.json'))) {
+            before[key] = await getJSON(env, key).catch(() => null);
+        }
+    }
+
+    const failed = await createStorage(env).deleteMany(keys);
+
+    if (env.audit) {
+        keys.filter(key => !failed.includes(key)).forEach(key => env.audit.recordDelete(key, before[key]));
+    }
+
+    return failed;
+}
+
+/**
+ * Copy an object within the bucket (keeps its content type and cache headers)
+ */
+async function copyObject(env, fromKey, toKey) {
+    await createStorage(env).copy(fromKey, toKey);
+    return true;
+}
+
+/**
+ * List every object under a prefix as { Key, Size, LastModified }
+ */
+async function listObjects(env, prefix) {
+    return await createStorage(env).list(prefix);
+}
+
+function getCookie(request, name) {
+    const cookies = request.headers.get('Cookie') || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+    return match ? match[1] : null;
 }
 
 function corsHeaders(env, request) {
@@ -0,0 +1,134 @@
+/**
+ * Incremental run ingestion for edge montage manifests (runs[] format)
+ *
+ * Edge devices upload a run's files to events/<event_id>/ and then post the
+ * run instead of a whole manifest.json, so admin edits to the manifest
+ * (event name, date, type) survive the next upload.
+ *
+ * Run: { run_number, timestamp, elapsed_time, embedding: [number],
+ *   video_url, trajectory_url,
+ *   variants: { "<fps>fps": { fullres, thumbnail, frame_count } } }
+ * Paths are relative to the event folder.
+ */
+
+const EVENT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/;
+
+// Manifest schema version the site reads (MANIFEST_SCHEMA_VERSION in js/api.js)
+export const MANIFEST_SCHEMA_VERSION = 1;
+
+// Manifest fields a device may set when it creates the manifest; later
+// posts never change them, so admin edits stick
+const EVENT_FIELDS = ['event_name', 'event_date', 'event_type', 'discipline', 'group',
+    'camera_id', 'device_id', 'montage_fps_list', 'min_run_duration_seconds'];
+
+const RUN_FIELDS = ['run_number', 'timestamp', 'elapsed_time', 'embedding', 'video_url', 'trajectory_url'];
+
+export function isValidEventId(eventId) {
+    return typeof eventId === 'string' && EVENT_ID_PATTERN.test(eventId) && !eventId.startsWith('.');
+}
+
+/**
+ * A path inside the event folder (no scheme, no leading slash, no ..)
+ */
+export function isEventPath(path) {
+    return typeof path === 'string' && path.length > 0 && !path.startsWith('/') &&
+        !path.includes('://') && !path.split('/').includes('..');
+}
+
+/**
+ * Check a posted run. Returns a list of problems (empty when valid).
+ */
+export function validateIngestedRun(run) {
+    const errors = [];
+    if (!run || typeof run !== 'object' || Array.isArray(run)) {
+        return ['run must be an object'];
+    }
+
+    if (!Number.isInteger(run.run_number) || run.run_number < 1) {
+        errors.push('run_number must be a positive integer');
+    }
+    if (run.elapsed_time != null && !Number.isFinite(run.elapsed_time)) {
+        errors.push('elapsed_time must be a number of seconds');
+    }
+    if (run.embedding != null && !(Array.isArray(run.embedding) && run.embedding.every(Number.isFinite))) {
+        errors.push('embedding must be an array of numbers');
+    }
+    for (const key of ['video_url', 'trajectory_url']) {
+        if (run[key] != null && !isEventPath(run[key])) {
+            errors.push(`${key} must be a path inside the event folder`);
+        }
+    }
+
+    if (!run.variants || typeof run.variants !== 'object' || Array.isArray(run.variants) ||
+        Object.keys(run.variants).length === 0) {
+        errors.push('variants must be a non-empty object');
+        return errors;
+    }
+    for (const [name, variant] of Object.entries(run.variants)) {
+        if (!isEventPath(variant?.fullres)) {
+            errors.push(`variants.${name}.fullres must be a path inside the event folder`);
+        }
+        if (variant?.thumbnail != null && !isEventPath(variant.thumbnail)) {
+            errors.push(`variants.${name}.thumbnail must be a path inside the event folder`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Empty edge manifest for a new event, from the fields a device sent
+ */
+export function newEdgeManifest(eventId, event = {}) {
+    const manifest = { schema_version: MANIFEST_SCHEMA_VERSION, format: 'edge', event_id: eventId };
+    for (const field of EVENT_FIELDS) {
+        if (event[field] !== undefined) manifest[field] = event[field];
+    }
+    manifest.runs = [];
+    return manifest;
+}
+
+/**
+ * Add a run to a manifest, or merge it into the run with the same number
+ * (variants from earlier posts are kept, so each FPS can be posted on its
+ * own and a retried post changes nothing). Returns the manifest.
+ */
+export function mergeRunIntoManifest(manifest, run) {
+    const incoming = {};
+    for (const field of RUN_FIELDS) {
+        if (run[field] !== undefined) incoming[field] = run[field];
+    }
+    incoming.variants = {};
+    for (const [name, variant] of Object.entries(run.variants)) {
+        incoming.variants[name] = {
+            fullres: variant.fullres,
+            ...(variant.thumbnail ? { thumbnail: variant.thumbnail } : {}),
+            ...(variant.frame_count !== undefined ? { frame_count: variant.frame_count } : {})
+        };
+    }
+
+    manifest.runs = Array.isArray(manifest.runs) ? manifest.runs : [];
+    const existing = manifest.runs.find(r => r.run_number === run.run_number);
+    if (existing) {
+        Object.assign(existing, { ...incoming, variants: { ...existing.variants, ...incoming.variants } });
+    } else {
+        manifest.runs.push(incoming);
+        manifest.runs.sort((a, b) => a.run_number - b.run_number);
+    }
+    return manifest;
+}
+
+/**
+ * index.json entry for an event first seen through ingestion
+ */
+export function newIndexEntry(eventId, manifest) {
+    return {
+        event_id: eventId,
+        event_name: manifest.event_name || eventId,
+        event_date: manifest.event_date || eventId.match(/^(\d{4}-\d{2}-\d{2})/)?.[1] || '',
+        event_type: manifest.event_type || 'training',
+        location: 'Ragged Mountain, NH',
+        teams: [],
+        montage_count: 0
+    };
+}
@@ -0,0 +1,181 @@
+/**
+ * InvalidationQueue Durable Object - batches CloudFront invalidations
+ *
+ * The worker queues paths here (POST /enqueue) instead of invalidating on
+ * every write. The first path starts a short window (INVALIDATION_WINDOW_SECONDS,
+ * default 5); when it closes the alarm sends everything queued as one
+ * invalidation, deduplicated, with a directory wildcard wherever several
+ * paths share a directory. A failed batch (rate limit, too many
+ * invalidations in progress) goes back in the queue and is retried with
+ * backoff. GET /status is shown in the admin panel.
+ */
+
+import { MAX_INVALIDATION_PATHS, createInvalidation } from './cloudfront.js';
+
+const DEFAULT_WINDOW_SECONDS = 5;
+
+// Paths in one directory that are sent as "<dir>/*" instead
+const WILDCARD_THRESHOLD = 5;
+
+// Retries of a failed batch before its paths are dropped
+const MAX_ATTEMPTS = 8;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Batches kept for the status view
+const HISTORY_LIMIT = 20;
+
+function windowMs(env) {
+    const seconds = parseFloat(env.INVALIDATION_WINDOW_SECONDS);
+    return (seconds >= 0 ? seconds : DEFAULT_WINDOW_SECONDS) * 1000;
+}
+
+/**
+ * Deduplicated paths for one invalidation: an existing wildcard covers
+ * everything under it, and WILDCARD_THRESHOLD or more paths in one directory
+ * (below the root) become "<dir>/*". If that is still more than CloudFront
+ * takes in one batch, paths are collapsed to their top two directories.
+ */
+export function coalescePaths(paths, { wildcardThreshold = WILDCARD_THRESHOLD, maxPaths = MAX_INVALIDATION_PATHS } = {}) {
+    const unique = [...new Set(paths.filter(p => typeof p === 'string' && p.startsWith('/')))];
+
+    const byDir = new Map();
+    for (const path of unique.filter(p => !p.endsWith('*'))) {
+        const dir = path.slice(0, path.lastIndexOf('/') + 1);
+        if (dir === '/') continue;
+        byDir.set(dir, (byDir.get(dir) || 0) + 1);
+    }
+
+    let wildcards = unique.filter(p => p.endsWith('*')).map(p => p.slice(0, -1));
+    for (const [dir, count] of byDir) {
+        if (count >= wildcardThreshold) wildcards.push(dir);
+    }
+    wildcards = [...new Set(wildcards)];
+    wildcards = wildcards.filter(prefix => !wildcards.some(other => other !== prefix && prefix.startsWith(other)));
+
+    const result = [
+        ...wildcards.map(prefix => prefix + '*'),
+        ...unique.filter(p => !p.endsWith('*') && !wildcards.some(prefix => p.startsWith(prefix)))
+    ];
+    if (result.length <= maxPaths) return result.sort();
+
+    const collapsed = [...new Set(result.map(path => {
+        const parts = path.split('/');
+        return parts.length > 3 ? parts.slice(0, 3).join('/') + '/*' : path;
+    }))];
+    return collapsed.length <= maxPaths ? collapsed.sort() : ['/*'];
+}
+
+export class InvalidationQueue {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+
+        if (url.pathname === '/enqueue' && request.method === 'POST') {
+            const { paths } = await request.json();
+            return Response.json(await this.enqueue(paths || []));
+        }
+
+        if (url.pathname === '/status') {
+            return Response.json(await this.status());
+        }
+
+        // Send whatever is queued now, skipping the window and any backoff
+        if (url.pathname === '/flush' && request.method === 'POST') {
+            await this.flush();
+            return Response.json(await this.status());
+        }
+
+        return new Response('Not Found', { status: 404 });
+    }
+
+    async enqueue(paths) {
+        const pending = new Set((await this.state.storage.get('pending')) || []);
+        for (const path of paths) {
+            if (typeof path === 'string' && path.startsWith('/')) pending.add(path);
+        }
+
+        const stats = await this.stats();
+        stats.requested += paths.length;
+        await this.state.storage.put({ pending: [...pending], stats });
+
+        if ((await this.state.storage.getAlarm()) === null) {
+            await this.state.storage.setAlarm(Date.now() + windowMs(this.env));
+        }
+        return { queued: pending.size };
+    }
+
+    async alarm() {
+        await this.flush();
+    }
+
+    async flush() {
+        const pending = (await this.state.storage.get('pending')) || [];
+        if (pending.length === 0) return;
+
+        // Paths queued while the request is in flight go in the next batch
+        await this.state.storage.put('pending', []);
+        await this.state.storage.deleteAlarm();
+
+        const paths = coalescePaths(pending);
+        const batch = { at: new Date().toISOString(), requested: pending.length, paths: paths.slice(0, 50), path_count: paths.length };
+        const attempts = ((await this.state.storage.get('attempts')) || 0) + 1;
+        const stats = await this.stats();
+
+        try {
+            batch.id = await createInvalidation(this.env, paths);
+            stats.batches++;
+            stats.sent += paths.length;
+            await this.state.storage.put({ attempts: 0, lastError: null, stats });
+        } catch (e) {
+            console.error('CloudFront invalidation failed:', e);
+            batch.error = e.message.slice(0, 300);
+
+            if (attempts >= MAX_ATTEMPTS) {
+                // Give up on these paths; they expire from the cache on their own
+                batch.dropped = true;
+                stats.dropped += pending.length;
+                await this.state.storage.put({ attempts: 0, lastError: batch.error, stats });
+            } else {
+                const queued = (await this.state.storage.get('pending')) || [];
+                await this.state.storage.put({
+                    pending: [...new Set([...pending, ...queued])],
+                    attempts,
+                    lastError: batch.error
+                });
+                const backoff = Math.min(MAX_BACKOFF_MS, windowMs(this.env) * 2 ** attempts);
+                await this.state.storage.setAlarm(Date.now() + backoff);
+            }
+        }
+
+        const history = (await this.state.storage.get('history')) || [];
+        history.unshift(batch);
+        await this.state.storage.put('history', history.slice(0, HISTORY_LIMIT));
+
+        // Anything queued during the send
+        const queued = (await this.state.storage.get('pending')) || [];
+        if (queued.length > 0 && (await this.state.storage.getAlarm()) === null) {
+            await this.state.storage.setAlarm(Date.now() + windowMs(this.env));
+        }
+    }
+
+    async stats() {
+        return (await this.state.storage.get('stats')) || { requested: 0, sent: 0, batches: 0, dropped: 0 };
+    }
+
+    async status() {
+        const alarm = await this.state.storage.getAlarm();
+        return {
+            pending: (await this.state.storage.get('pending')) || [],
+            next_flush_at: alarm ? new Date(alarm).toISOString() : null,
+            attempts: (await this.state.storage.get('attempts')) || 0,
+            last_error: (await this.state.storage.get('lastError')) || null,
+            window_seconds: windowMs(this.env) / 1000,
+            stats: await this.stats(),
+            history: (await this.state.storage.get('history')) || []
+        };
+    }
+}
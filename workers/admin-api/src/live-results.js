@@ -0,0 +1,91 @@
+/**
+ * Live results (live/results.json) - finish times posted during a race by
+ * edge devices or a timer operator, read by the live page
+ *
+ * Shape: { updated_at, runs: { "1": { "<bib>": { time, status, finished_at, source } } } }
+ */
+
+export const LIVE_RESULTS_KEY = 'live/results.json';
+
+const STATUSES = ['DNF', 'DSQ', 'DNS'];
+const MAX_RUN = 3;
+
+export function emptyLiveResults() {
+    return {
+        updated_at: null,
+        runs: {}
+    };
+}
+
+/**
+ * Seconds from 45.32, "45.32" or "1:05.32"; null if unreadable
+ */
+export function parseRunTime(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+    const match = String(value ?? '').trim().match(/^(?:(\d+):)?(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const seconds = (match[1] ? parseInt(match[1]) * 60 : 0) + parseFloat(match[2]);
+    return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Validate a POST /live/finish body. Returns { finish } or { error }.
+ * Body: { bib, run, time } or { bib, run, status: 'DNF' | 'DSQ' | 'DNS' },
+ * or { bib, run, clear: true } to remove a wrong entry.
+ */
+export function parseFinish(body) {
+    if (!body || typeof body !== 'object') return { error: 'Body must be a JSON object' };
+
+    const bib = typeof body.bib === 'string' ? parseInt(body.bib, 10) : body.bib;
+    if (!Number.isInteger(bib) || bib <= 0) return { error: 'bib must be a positive integer' };
+
+    const run = body.run === undefined ? 1 : parseInt(body.run, 10);
+    if (!(run >= 1 && run <= MAX_RUN)) return { error: `run must be between 1 and ${MAX_RUN}` };
+
+    const source = typeof body.source === 'string' ? body.source.slice(0, 64) : 'manual';
+
+    if (body.clear === true) {
+        return { finish: { bib, run, clear: true, source } };
+    }
+
+    const status = body.status ? String(body.status).toUpperCase() : null;
+    if (status && !STATUSES.includes(status)) {
+        return { error: `status must be one of ${STATUSES.join(', ')}` };
+    }
+
+    const time = status ? null : parseRunTime(body.time);
+    if (!status && time === null) return { error: 'time (seconds or m:ss.xx) or status is required' };
+
+    return {
+        finish: {
+            bib,
+            run,
+            time: time === null ? null : Math.round(time * 100) / 100,
+            status,
+            source
+        }
+    };
+}
+
+/**
+ * Record (or clear) one finish. Mutates and returns the results object.
+ */
+export function applyFinish(results, finish, now = new Date().toISOString()) {
+    const runKey = String(finish.run);
+    results.runs = results.runs || {};
+    results.runs[runKey] = results.runs[runKey] || {};
+
+    if (finish.clear) {
+        delete results.runs[runKey][finish.bib];
+    } else {
+        results.runs[runKey][finish.bib] = {
+            time: finish.time,
+            status: finish.status,
+            finished_at: now,
+            source: finish.source
+        };
+    }
+
+    results.updated_at = now;
+    return results;
+}
@@ -0,0 +1,198 @@
+/**
+ * LiveState Durable Object - one shared holder for the live page's bib state
+ * (run, athlete on course, timing offset, course hold, interval change),
+ * pushed to viewers over WebSocket, plus the operator action log
+ *
+ * The worker forwards operator actions here (POST /action) and viewers
+ * connect to GET /live/ws. Actions are applied one at a time, so concurrent
+ * operators can't clobber each other's fields.
+ */
+
+// Minimum time between CloudFront invalidations of the polling fallback file
+const MIRROR_INVALIDATE_MS = 15000;
+
+// Operator log entries kept
+const LOG_LIMIT = 500;
+
+export const STATE_ACTIONS = ['set_run', 'set_offset', 'mark_start', 'hold', 'resume'];
+
+export function initialBibState() {
+    return {
+        bib: null,
+        run: 1,
+        timeOffsetMs: 0,
+        hold: null,              // { since } while the course is held
+        interval: null,          // { seconds, fromBib } after a resume with a new interval
+        timestamp: null
+    };
+}
+
+/**
+ * Apply one operator action to the state. Returns { state, details } or { error }.
+ *
+ *   set_run    { run }                    - switch run (resets offset, hold, interval)
+ *   set_offset { timeOffsetMs }           - adjust / sync the schedule
+ *   mark_start { bib, timeOffsetMs }      - bib left the start; offset re-synced to it
+ *   hold       {}                         - course held: the schedule stops advancing
+ *   resume     { intervalSeconds, fromBib } - release the hold, optionally with a new interval
+ */
+export function applyAction(current, action, data, now = Date.now()) {
+    const state = { ...current };
+
+    switch (action) {
+        case 'set_run': {
+            const run = parseInt(data.run, 10);
+            if (!(run >= 1 && run <= 3)) return { error: 'run must be 1, 2 or 3' };
+            Object.assign(state, initialBibState(), { run });
+            return { state: stamp(state, now), details: { run } };
+        }
+
+        case 'set_offset':
+        case 'mark_start': {
+            if (!Number.isFinite(data.timeOffsetMs)) return { error: 'timeOffsetMs must be a number' };
+            state.timeOffsetMs = Math.round(data.timeOffsetMs);
+            const details = { timeOffsetMs: state.timeOffsetMs };
+            if (action === 'mark_start') {
+                const bib = parseInt(data.bib, 10);
+                if (!Number.isInteger(bib)) return { error: 'bib must be an integer' };
+                state.bib = bib;
+                details.bib = bib;
+                // Starting an athlete ends a hold; the offset already reflects it
+                state.hold = null;
+            }
+            return { state: stamp(state, now), details };
+        }
+
+        case 'hold':
+            if (state.hold) return { error: 'Course is already on hold' };
+            state.hold = { since: new Date(now).toISOString() };
+            return { state: stamp(state, now), details: {} };
+
+        case 'resume': {
+            if (!state.hold) return { error: 'Course is not on hold' };
+            const heldMs = now - new Date(state.hold.since).getTime();
+            state.timeOffsetMs += heldMs;
+            state.hold = null;
+
+            const details = { heldMs };
+            if (data.intervalSeconds != null) {
+                const seconds = Number(data.intervalSeconds);
+                const fromBib = parseInt(data.fromBib, 10);
+                if (!(seconds > 0)) return { error: 'intervalSeconds must be positive' };
+                if (!Number.isInteger(fromBib)) return { error: 'fromBib is required with a new interval' };
+                state.interval = { seconds, fromBib };
+                Object.assign(details, state.interval);
+            }
+            return { state: stamp(state, now), details };
+        }
+
+        default:
+            return { error: `Unknown action: ${action}` };
+    }
+}
+
+function stamp(state, now) {
+    state.timestamp = new Date(now).toISOString();
+    return state;
+}
+
+export class LiveState {
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+
+        if (url.pathname === '/connect') {
+            if (request.headers.get('Upgrade') !== 'websocket') {
+                return new Response('Expected WebSocket upgrade', { status: 426 });
+            }
+            const pair = new WebSocketPair();
+            const [client, server] = Object.values(pair);
+
+            // Hibernation API: the object can sleep between updates without dropping sockets
+            this.state.acceptWebSocket(server);
+            server.send(JSON.stringify({ type: 'state', state: await this.getState() }));
+
+            return new Response(null, { status: 101, webSocket: client });
+        }
+
+        if (url.pathname === '/state') {
+            return Response.json({
+                state: await this.getState(),
+                log: (await this.state.storage.get('log')) || []
+            });
+        }
+
+        if (url.pathname === '/action' && request.method === 'POST') {
+            const { action, actor, ...data } = await request.json();
+            const result = applyAction(await this.getState(), action, data);
+            if (result.error) {
+                return Response.json({ error: result.error }, { status: 400 });
+            }
+
+            await this.state.storage.put('bibState', result.state);
+            const entry = await this.appendLog(actor, action, result.details);
+            this.broadcast({ type: 'state', state: result.state });
+
+            return Response.json({ state: result.state, entry, invalidate: await this.invalidateDue() });
+        }
+
+        // Actions handled by the worker (finish times) are only logged here
+        if (url.pathname === '/log' && request.method === 'POST') {
+            const { actor, action, details } = await request.json();
+            return Response.json({ entry: await this.appendLog(actor, action, details) });
+        }
+
+        return new Response('Not Found', { status: 404 });
+    }
+
+    async getState() {
+        return { ...initialBibState(), ...((await this.state.storage.get('bibState')) || {}) };
+    }
+
+    async appendLog(actor, action, details = {}) {
+        const entry = { at: new Date().toISOString(), actor: actor || 'unknown', action, details };
+        const log = (await this.state.storage.get('log')) || [];
+        log.push(entry);
+        await this.state.storage.put('log', log.slice(-LOG_LIMIT));
+        return entry;
+    }
+
+    /**
+     * Whether the worker should invalidate the S3 copy now (throttled)
+     */
+    async invalidateDue() {
+        const now = Date.now();
+        const lastInvalidated = (await this.state.storage.get('lastInvalidated')) || 0;
+        if (now - lastInvalidated < MIRROR_INVALIDATE_MS) return false;
+        await this.state.storage.put('lastInvalidated', now);
+        return true;
+    }
+
+    broadcast(message) {
+        const text = JSON.stringify(message);
+        for (const ws of this.state.getWebSockets()) {
+            try {
+                ws.send(text);
+            } catch (e) {
+                // Socket already closing - the runtime cleans it up
+            }
+        }
+    }
+
+    async webSocketMessage(ws, message) {
+        // Viewers only listen; answer keepalive pings so proxies don't drop idle sockets
+        if (message === 'ping') ws.send('pong');
+    }
+
+    async webSocketClose(ws, code, reason) {
+        ws.close(code, reason);
+    }
+
+    async webSocketError(ws) {
+        ws.close(1011, 'WebSocket error');
+    }
+}
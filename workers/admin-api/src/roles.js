@@ -0,0 +1,131 @@
+/**
+ * Roles and per-route permissions for the admin API
+ *
+ * Identity is the Cloudflare Access email (or service token client id). Roles
+ * are assigned in private/roles.json, edited from the admin panel:
+ *   { "users": { "coach@club.org": { "role": "coach", "teams": ["RMST"] } } }
+ * Emails in ADMIN_EMAILS are always admins, so the file can be bootstrapped.
+ * Anyone else who gets through Access is a viewer.
+ *
+ *   viewer   - read-only admin pages
+ *   coach    - manage content of events for their teams
+ *   operator - race-day timing, start lists, live banner and stream
+ *   admin    - everything
+ */
+
+export const ROLES = ['viewer', 'coach', 'operator', 'admin'];
+export const ROLES_KEY = 'private/roles.json';
+
+const ALL = ROLES;
+const CONTENT = ['coach', 'admin'];
+const RACE_DAY = ['operator', 'admin'];
+const ADMIN = ['admin'];
+
+/**
+ * Who may call each route. scope 'event': coaches only for events whose
+ * index.json teams include one of theirs (event ids come from the body).
+ * Routes not listed here are admin-only.
+ */
+export const ROUTE_PERMISSIONS = {
+    'GET /me': { roles: ALL },
+    'GET /live/operator': { roles: ALL },
+    'GET /devices': { roles: ALL },
+    'POST /device/heartbeat': { roles: [] },       // signed devices only
+    'POST /live/finish': { roles: RACE_DAY },
+    'POST /delete-items': { roles: CONTENT, scope: 'event' },
+    'POST /delete-event': { roles: CONTENT, scope: 'event' },
+    'POST /update-event': { roles: CONTENT, scope: 'event' },
+    'POST /save-clusters': { roles: CONTENT, scope: 'event' },
+    'POST /delete-montage': { roles: CONTENT, scope: 'event' },
+    'GET /trash': { roles: CONTENT },               // coaches see their teams' items
+    'POST /trash/restore': { roles: CONTENT },      // scoped to the item's event in the handler
+    'POST /trash/purge': { roles: ADMIN },
+    'POST /live/operator': { roles: RACE_DAY },
+    'POST /live/reset-results': { roles: RACE_DAY },
+    'POST /save-start-list': { roles: RACE_DAY },
+    'POST /save-banner-config': { roles: RACE_DAY },
+    'POST /save-stream-config': { roles: RACE_DAY },
+    'POST /update-athlete-index': { roles: RACE_DAY },
+    'POST /ingest/run': { roles: RACE_DAY },
+    'POST /rebuild-athlete-index': { roles: ADMIN },
+    'GET /audit-log': { roles: ADMIN },
+    'GET /roles': { roles: ADMIN },
+    'POST /save-roles': { roles: ADMIN }
+};
+
+// Routes that also accept a signed edge device request instead of an Access identity
+export const DEVICE_ROUTES = [
+    'POST /device/heartbeat',
+    'POST /live/finish',
+    'POST /update-athlete-index',
+    'POST /ingest/run'
+];
+
+// Read by the public live page, no identity needed
+export const PUBLIC_ROUTES = ['GET /live/results', 'GET /live/ws'];
+
+export function routePermission(method, pathname) {
+    return ROUTE_PERMISSIONS[`${method} ${pathname}`] || { roles: ADMIN };
+}
+
+/**
+ * { email, role, teams } for an authenticated identity
+ */
+export function resolveUser(identity, rolesConfig, env) {
+    const email = String(identity || '').toLowerCase();
+    const admins = (env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+    if (admins.includes(email)) {
+        return { email, role: 'admin', teams: [] };
+    }
+
+    const entry = rolesConfig?.users?.[email];
+    return {
+        email,
+        role: entry && ROLES.includes(entry.role) ? entry.role : 'viewer',
+        teams: entry?.teams || []
+    };
+}
+
+/**
+ * Whether a user may manage an event with these teams
+ */
+export function canManageEvent(user, eventTeams) {
+    if (user.role === 'admin') return true;
+    if (user.role !== 'coach') return false;
+    const mine = user.teams.map(t => t.toLowerCase());
+    return (eventTeams || []).some(team => mine.includes(String(team).toLowerCase()));
+}
+
+/**
+ * Event ids an event-scoped request body touches
+ */
+export function eventIdsFromBody(pathname, body) {
+    if (pathname === '/delete-items') return Object.keys(body?.items || {});
+    return body?.eventId ? [body.eventId] : [];
+}
+
+/**
+ * Validate a roles.json body. Returns a list of error messages.
+ */
+export function validateRoles(config) {
+    const errors = [];
+    if (!config || typeof config.users !== 'object' || Array.isArray(config.users)) {
+        return ['users must be an object keyed by email'];
+    }
+
+    for (const [email, entry] of Object.entries(config.users)) {
+        if (email !== email.toLowerCase() || (!email.includes('@') && !email.endsWith('.access'))) {
+            errors.push(`${email}: use the lower-case Access email or service token id`);
+        }
+        if (!ROLES.includes(entry?.role)) {
+            errors.push(`${email}: role must be one of ${ROLES.join(', ')}`);
+        }
+        if (entry?.teams !== undefined && !(Array.isArray(entry.teams) && entry.teams.every(t => typeof t === 'string'))) {
+            errors.push(`${email}: teams must be a list of team names`);
+        }
+        if (entry?.role === 'coach' && !(entry.teams?.length > 0)) {
+            errors.push(`${email}: a coach needs at least one team`);
+        }
+    }
+    return errors;
+}
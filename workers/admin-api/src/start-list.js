@@ -0,0 +1,68 @@
+/**
+ * Start list (start_list.json) validation for the live page
+ *
+ * Shape: { event, date, location, discipline, course, run1_start, run2_start,
+ *   interval_seconds, run2_format, classes: [{ name, gender, category,
+ *   run2_order: [bib], athletes: [{ bib, first, last, club, start_time }] }] }
+ */
+
+export const START_LIST_KEY = 'start_list/start_list.json';
+
+/**
+ * Check a start list before publishing. Returns a list of problems (empty when valid).
+ */
+export function validateStartList(startList) {
+    const errors = [];
+    if (!startList || typeof startList !== 'object' || Array.isArray(startList)) {
+        return ['Start list must be an object'];
+    }
+
+    if (!Array.isArray(startList.classes) || startList.classes.length === 0) {
+        errors.push('classes must be a non-empty array');
+        return errors;
+    }
+
+    if (startList.run1_start && isNaN(Date.parse(startList.run1_start))) {
+        errors.push('run1_start is not a valid date/time');
+    }
+    if (startList.run2_start && isNaN(Date.parse(startList.run2_start))) {
+        errors.push('run2_start is not a valid date/time');
+    }
+    if (startList.interval_seconds !== undefined &&
+        (!Number.isFinite(startList.interval_seconds) || startList.interval_seconds < 0)) {
+        errors.push('interval_seconds must be a non-negative number');
+    }
+
+    const seenBibs = new Set();
+    startList.classes.forEach((cls, c) => {
+        const path = `classes[${c}]`;
+        if (!cls.name) errors.push(`${path}.name is required`);
+        if (!Array.isArray(cls.athletes) || cls.athletes.length === 0) {
+            errors.push(`${path}.athletes must be a non-empty array`);
+            return;
+        }
+
+        const classBibs = new Set();
+        cls.athletes.forEach((athlete, a) => {
+            if (!Number.isInteger(athlete.bib)) {
+                errors.push(`${path}.athletes[${a}].bib must be an integer`);
+                return;
+            }
+            if (seenBibs.has(athlete.bib)) errors.push(`Bib ${athlete.bib} appears more than once`);
+            seenBibs.add(athlete.bib);
+            classBibs.add(athlete.bib);
+        });
+
+        ['run2_order', 'run3_order'].forEach(key => {
+            if (cls[key] === undefined) return;
+            if (!Array.isArray(cls[key])) {
+                errors.push(`${path}.${key} must be an array of bibs`);
+                return;
+            }
+            const unknown = cls[key].filter(bib => !classBibs.has(bib));
+            if (unknown.length > 0) errors.push(`${path}.${key} has bibs not in the class: ${unknown.join(', ')}`);
+        });
+    });
+
+    return errors;
+}
@@ -0,0 +1,114 @@
+/**
+ * Filesystem storage backend: bucket keys are files under a local
+ * directory laid out like the bucket. Node only - the worker never imports
+ * it; a Node host creates it and passes it to the worker as env.STORAGE.
+ *
+ * ETags are content hashes. Conditional writes are checked and written
+ * without a lock, which is enough for one local process.
+ */
+
+import { createHash } from 'node:crypto';
+import { copyFile, mkdir, readFile, readdir, rename, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+function etagOf(body) {
+    return `"${createHash('md5').update(body).digest('hex')}"`;
+}
+
+export function createFsStorage(root) {
+    root = path.resolve(root);
+
+    function fileFor(key) {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error(`Invalid key: ${key}`);
+        return file;
+    }
+
+    async function readIfExists(key) {
+        try {
+            return await readFile(fileFor(key));
+        } catch (e) {
+            if (e.code === 'ENOENT' || e.code === 'EISDIR') return null;
+            throw e;
+        }
+    }
+
+    async function walk(dir, objects) {
+        let entries;
+        try {
+            entries = await readdir(dir, { withFileTypes: true });
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+
+        for (const entry of entries) {
+            const file = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                await walk(file, objects);
+            } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+                const info = await stat(file);
+                objects.push({
+                    Key: path.relative(root, file).split(path.sep).join('/'),
+                    Size: info.size,
+                    LastModified: info.mtime.toISOString()
+                });
+            }
+        }
+    }
+
+    return {
+        async getJSON(key) {
+            const body = await readIfExists(key);
+            if (body === null) return { data: null, etag: null };
+            return { data: JSON.parse(body.toString('utf8')), etag: etagOf(body) };
+        },
+
+        async put(key, body, { ifMatch, ifNoneMatch } = {}) {
+            if (ifMatch || ifNoneMatch) {
+                const current = await readIfExists(key);
+                if (ifMatch && (current === null || etagOf(current) !== ifMatch)) return false;
+                if (ifNoneMatch === '*' && current !== null) return false;
+            }
+
+            // Write beside the file and rename, so readers never see half a file
+            const file = fileFor(key);
+            await mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+            await writeFile(tmp, body);
+            await rename(tmp, file);
+            return true;
+        },
+
+        async delete(key) {
+            await rm(fileFor(key), { force: true });
+        },
+
+        async deleteMany(keys) {
+            const failed = [];
+            for (const key of keys) {
+                try {
+                    await rm(fileFor(key), { force: true });
+                } catch (e) {
+                    failed.push(key);
+                }
+            }
+            return failed;
+        },
+
+        async copy(fromKey, toKey) {
+            const file = fileFor(toKey);
+            await mkdir(path.dirname(file), { recursive: true });
+            await copyFile(fileFor(fromKey), file);
+        },
+
+        async list(prefix) {
+            // Walk only the directory the prefix is in
+            const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+            const objects = [];
+            await walk(dir ? fileFor(dir) : root, objects);
+            // Same order as S3 (by key bytes)
+            return objects.filter(obj => obj.Key.startsWith(prefix)).sort((a, b) => (a.Key < b.Key ? -1 : 1));
+        }
+    };
+}
@@ -0,0 +1,66 @@
+/**
+ * In-memory storage backend, for tests. Objects live as long as the
+ * storage object; pass `objects` ({ key: JSON value or string }) to start
+ * with some content.
+ */
+
+export function createMemoryStorage(objects = {}) {
+    const store = new Map();
+    let version = 0;
+
+    function write(key, body, metadata = {}) {
+        store.set(key, {
+            body,
+            etag: `"${++version}"`,
+            lastModified: new Date().toISOString(),
+            ...metadata
+        });
+    }
+
+    for (const [key, value] of Object.entries(objects)) {
+        write(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    return {
+        async getJSON(key) {
+            const object = store.get(key);
+            if (!object) return { data: null, etag: null };
+            return { data: JSON.parse(object.body), etag: object.etag };
+        },
+
+        async put(key, body, { contentType = 'application/json', cacheControl, ifMatch, ifNoneMatch } = {}) {
+            const current = store.get(key);
+            if (ifMatch && current?.etag !== ifMatch) return false;
+            if (ifNoneMatch === '*' && current) return false;
+
+            write(key, body, { contentType, cacheControl });
+            return true;
+        },
+
+        async delete(key) {
+            store.delete(key);
+        },
+
+        async deleteMany(keys) {
+            keys.forEach(key => store.delete(key));
+            return [];
+        },
+
+        async copy(fromKey, toKey) {
+            const object = store.get(fromKey);
+            if (!object) throw new Error(`Copy failed: ${fromKey} not found`);
+            write(toKey, object.body, { contentType: object.contentType, cacheControl: object.cacheControl });
+        },
+
+        async list(prefix) {
+            return [...store.keys()]
+                .filter(key => key.startsWith(prefix))
+                .sort()
+                .map(key => ({
+                    Key: key,
+                    Size: new TextEncoder().encode(store.get(key).body).length,
+                    LastModified: store.get(key).lastModified
+                }));
+        }
+    };
+}
@@ -0,0 +1,76 @@
+/**
+ * R2 storage backend, through a bucket binding (MEDIA_BUCKET in wrangler.toml)
+ */
+
+// R2 deletes at most 1000 keys per call
+const DELETE_BATCH = 1000;
+
+export function createR2Storage(bucket) {
+    return {
+        async getJSON(key) {
+            const object = await bucket.get(key);
+            if (!object) return { data: null, etag: null };
+            return { data: await object.json(), etag: object.httpEtag };
+        },
+
+        async put(key, body, { contentType = 'application/json', cacheControl, ifMatch, ifNoneMatch } = {}) {
+            const conditions = new Headers();
+            if (ifMatch) conditions.set('If-Match', ifMatch);
+            if (ifNoneMatch) conditions.set('If-None-Match', ifNoneMatch);
+
+            // put() resolves to null when the condition fails
+            const object = await bucket.put(key, body, {
+                httpMetadata: { contentType, ...(cacheControl ? { cacheControl } : {}) },
+                ...(ifMatch || ifNoneMatch ? { onlyIf: conditions } : {})
+            });
+            return object !== null;
+        },
+
+        async delete(key) {
+            await bucket.delete(key);
+        },
+
+        async deleteMany(keys) {
+            const failed = [];
+            for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+                const batch = keys.slice(i, i + DELETE_BATCH);
+                try {
+                    await bucket.delete(batch);
+                } catch (e) {
+                    console.error('R2 batch delete failed:', e);
+                    failed.push(...batch);
+                }
+            }
+            return failed;
+        },
+
+        // R2 has no server-side copy; the body is streamed through the worker
+        async copy(fromKey, toKey) {
+            const object = await bucket.get(fromKey);
+            if (!object) throw new Error(`R2 copy failed: ${fromKey} not found`);
+            await bucket.put(toKey, object.body, {
+                httpMetadata: object.httpMetadata,
+                customMetadata: object.customMetadata
+            });
+        },
+
+        async list(prefix) {
+            const objects = [];
+            let cursor;
+
+            do {
+                const page = await bucket.list({ prefix, cursor });
+                for (const object of page.objects) {
+                    objects.push({
+                        Key: object.key,
+                        Size: object.size,
+                        LastModified: object.uploaded.toISOString()
+                    });
+                }
+                cursor = page.truncated ? page.cursor : undefined;
+            } while (cursor);
+
+            return objects;
+        }
+    };
+}
@@ -0,0 +1,258 @@
+/**
+ * S3 storage backend: requests signed with AWS Signature Version 4
+ * (S3_BUCKET, S3_REGION, AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
+ */
+
+import { hmac, hmacHex, sha256 } from './aws-crypto.js';
+
+// SHA-256 of an empty body
+const EMPTY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+// DeleteObjects takes at most 1000 keys
+const DELETE_BATCH = 1000;
+
+export function createS3Storage(env) {
+    const host = `${env.S3_BUCKET}.s3.${env.S3_REGION}.amazonaws.com`;
+
+    async function send(method, path, { body = '', headers = {} } = {}) {
+        const url = `https://${host}/${path}`;
+        const signedHeaders = await signRequest(method, url, {
+            'Host': host,
+            'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z',
+            'x-amz-content-sha256': body ? await sha256(body) : EMPTY_HASH,
+            ...headers
+        }, env);
+
+        return await fetch(url, {
+            method,
+            headers: signedHeaders,
+            ...(body ? { body } : {})
+        });
+    }
+
+    async function deleteBatch(keys) {
+        // Build XML body for DeleteObjects
+        const objectsXml = keys.map(key => `<Object><Key>${escapeXml(key)}</Key></Object>`).join('');
+        const body = `<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>${objectsXml}</Delete>`;
+
+        const response = await send('POST', '?delete', {
+            body,
+            headers: {
+                'x-amz-checksum-sha256': await sha256Base64(body),
+                'Content-Type': 'application/xml'
+            }
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`S3 batch delete failed: ${response.status} - ${text}`);
+        }
+
+        // Quiet mode only lists the keys that failed
+        const failed = [];
+        const errorRegex = /<Error>[\s\S]*?<Key>([^<]+)<\/Key>[\s\S]*?<\/Error>/g;
+        let match;
+        while ((match = errorRegex.exec(text)) !== null) {
+            failed.push(unescapeXml(match[1]));
+        }
+        return failed;
+    }
+
+    async function listPage(prefix, continuationToken) {
+        let query = `?list-type=2&prefix=${encodeURIComponent(prefix)}`;
+        if (continuationToken) {
+            query += `&continuation-token=${encodeURIComponent(continuationToken)}`;
+        }
+
+        const response = await send('GET', query);
+        if (!response.ok) {
+            throw new Error(`S3 list failed: ${response.status}`);
+        }
+
+        const xml = await response.text();
+
+        // Parse XML response (simple regex per Contents entry)
+        const objects = [];
+        const contentsRegex = /<Contents>([\s\S]*?)<\/Contents>/g;
+        let match;
+        while ((match = contentsRegex.exec(xml)) !== null) {
+            const key = match[1].match(/<Key>([^<]+)<\/Key>/)?.[1];
+            if (!key) continue;
+            objects.push({
+                Key: unescapeXml(key),
+                Size: parseInt(match[1].match(/<Size>(\d+)<\/Size>/)?.[1] || '0', 10),
+                LastModified: match[1].match(/<LastModified>([^<]+)<\/LastModified>/)?.[1] || null
+            });
+        }
+
+        const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+        const nextToken = xml.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1];
+
+        return { objects, nextToken: truncated && nextToken ? unescapeXml(nextToken) : null };
+    }
+
+    return {
+        async getJSON(key) {
+            const response = await send('GET', key);
+
+            if (!response.ok) {
+                if (response.status === 404) return { data: null, etag: null };
+                throw new Error(`S3 get failed: ${response.status}`);
+            }
+
+            return { data: await response.json(), etag: response.headers.get('ETag') };
+        },
+
+        async put(key, body, { contentType = 'application/json', cacheControl, ifMatch, ifNoneMatch } = {}) {
+            const headers = { 'Content-Type': contentType };
+            if (cacheControl) headers['Cache-Control'] = cacheControl;
+            if (ifMatch) headers['If-Match'] = ifMatch;
+            if (ifNoneMatch) headers['If-None-Match'] = ifNoneMatch;
+
+            const response = await send('PUT', key, { body, headers });
+
+            // 412: condition failed; 409: a concurrent conditional write got there first
+            if ((ifMatch || ifNoneMatch) && (response.status === 412 || response.status === 409)) {
+                return false;
+            }
+
+            if (!response.ok) {
+                throw new Error(`S3 put failed: ${response.status}`);
+            }
+            return true;
+        },
+
+        async delete(key) {
+            const response = await send('DELETE', key);
+
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`S3 delete failed: ${response.status}`);
+            }
+        },
+
+        async deleteMany(keys) {
+            const failed = [];
+            for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+                failed.push(...await deleteBatch(keys.slice(i, i + DELETE_BATCH)));
+            }
+            return failed;
+        },
+
+        async copy(fromKey, toKey) {
+            const response = await send('PUT', toKey, {
+                headers: { 'x-amz-copy-source': `/${env.S3_BUCKET}/${encodeURI(fromKey)}` }
+            });
+
+            // CopyObject can fail after sending 200, with the error in the body
+            const text = await response.text();
+            if (!response.ok || text.includes('<Error>')) {
+                throw new Error(`S3 copy failed: ${response.status}`);
+            }
+        },
+
+        async list(prefix) {
+            const objects = [];
+            let continuationToken = null;
+
+            // Follow continuation tokens past S3's 1000 keys per response
+            do {
+                const page = await listPage(prefix, continuationToken);
+                objects.push(...page.objects);
+                continuationToken = page.nextToken;
+            } while (continuationToken);
+
+            return objects;
+        }
+    };
+}
+
+async function sha256Base64(message) {
+    const msgBuffer = new TextEncoder().encode(message);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
+    const hashArray = new Uint8Array(hashBuffer);
+    return btoa(String.fromCharCode(...hashArray));
+}
+
+function escapeXml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(str) {
+    return str
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * AWS Signature Version 4 signing
+ */
+async function signRequest(method, url, headers, env) {
+    const urlObj = new URL(url);
+    const datetime = headers['x-amz-date'];
+    const date = datetime.slice(0, 8);
+
+    const service = 's3';
+    const region = env.S3_REGION;
+
+    // Create canonical request
+    const signedHeaderNames = Object.keys(headers).sort().join(';').toLowerCase();
+    const canonicalHeaders = Object.keys(headers)
+        .sort()
+        .map(k => `${k.toLowerCase()}:${headers[k]}`)
+        .join('\n') + '\n';
+
+    const payloadHash = headers['x-amz-content-sha256'];
+
+    // Build canonical query string - handle params without values (like ?delete)
+    let canonicalQueryString = '';
+    if (urlObj.search) {
+        const params = [];
+        urlObj.searchParams.forEach((value, key) => {
+            params.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+        });
+        // Handle case where search is just "?delete" (no value)
+        if (params.length === 0 && urlObj.search.length > 1) {
+            const key = urlObj.search.slice(1).split('=')[0];
+            params.push(`${encodeURIComponent(key)}=`);
+        }
+        params.sort();
+        canonicalQueryString = params.join('&');
+    }
+
+    const canonicalRequest = [
+        method,
+        urlObj.pathname,
+        canonicalQueryString,
+        canonicalHeaders,
+        signedHeaderNames,
+        payloadHash
+    ].join('\n');
+
+    // Create string to sign
+    const scope = `${date}/${region}/${service}/aws4_request`;
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        datetime,
+        scope,
+        await sha256(canonicalRequest)
+    ].join('\n');
+
+    // Calculate signature
+    const kDate = await hmac('AWS4' + env.AWS_SECRET_ACCESS_KEY, date);
+    const kRegion = await hmac(kDate, region);
+    const kService = await hmac(kRegion, service);
+    const kSigning = await hmac(kService, 'aws4_request');
+    const signature = await hmacHex(kSigning, stringToSign);
+
+    // Add authorization header
+    headers['Authorization'] = [
+        `AWS4-HMAC-SHA256 Credential=${env.AWS_ACCESS_KEY_ID}/${scope}`,
+        `SignedHeaders=${signedHeaderNames}`,
+        `Signature=${signature}`
+    ].join(', ');
+
+    return headers;
+}
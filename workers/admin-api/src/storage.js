@@ -0,0 +1,42 @@
+/**
+ * Storage for the media bucket (index.json, events/, config/, private/...)
+ *
+ * Every backend has the same methods; keys are bucket keys such as
+ * "events/<event_id>/manifest.json":
+ *   getJSON(key) -> { data, etag }    { data: null, etag: null } if missing
+ *   put(key, body, { contentType, cacheControl, ifMatch, ifNoneMatch })
+ *                -> false if the If-Match / If-None-Match: * condition failed
+ *   delete(key)                       a missing key is not an error
+ *   deleteMany(keys) -> [key]         the keys that couldn't be deleted
+ *   copy(fromKey, toKey)
+ *   list(prefix) -> [{ Key, Size, LastModified }]
+ *
+ * STORAGE_BACKEND picks the backend: "s3" (default), "r2" (MEDIA_BUCKET
+ * binding) or "memory". A host running the worker outside Cloudflare
+ * (tests, the local dev server) can pass its own backend as env.STORAGE,
+ * e.g. the filesystem one in storage-fs.js.
+ */
+
+import { createMemoryStorage } from './storage-memory.js';
+import { createR2Storage } from './storage-r2.js';
+import { createS3Storage } from './storage-s3.js';
+
+// The memory backend is kept per isolate so requests share it
+let memoryStorage = null;
+
+export function createStorage(env) {
+    if (env.STORAGE) return env.STORAGE;
+
+    switch (env.STORAGE_BACKEND || 's3') {
+        case 's3':
+            return createS3Storage(env);
+        case 'r2':
+            if (!env.MEDIA_BUCKET) throw new Error('STORAGE_BACKEND is "r2" but there is no MEDIA_BUCKET binding');
+            return createR2Storage(env.MEDIA_BUCKET);
+        case 'memory':
+            memoryStorage = memoryStorage || createMemoryStorage();
+            return memoryStorage;
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND: ${env.STORAGE_BACKEND}`);
+    }
+}
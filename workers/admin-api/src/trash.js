@@ -0,0 +1,72 @@
+/**
+ * Trash for deleted events and montage runs
+ *
+ * Deleting moves the files to trash/files/<id>/<original key> and writes a
+ * record to trash/records/<id>.json with what was removed from index.json or
+ * the event manifest, so a restore can put everything back. Records past
+ * purge_after are purged by the scheduled handler.
+ *
+ * Record: { id, type: 'event' | 'montage_run', event_id, run_number,
+ *   label, deleted_at, deleted_by, purge_after, keys: [original keys],
+ *   index_entry (event), run (montage_run) }
+ */
+
+export const TRASH_PREFIX = 'trash/';
+export const TRASH_RECORDS_PREFIX = 'trash/records/';
+export const TRASH_FILES_PREFIX = 'trash/files/';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Days a deleted item is kept (TRASH_RETENTION_DAYS, default 30)
+ */
+export function retentionDays(env) {
+    const days = parseInt(env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+export function trashRecordKey(id) {
+    return `${TRASH_RECORDS_PREFIX}${id}.json`;
+}
+
+/**
+ * Where a file is kept while it is in the trash
+ */
+export function trashFileKey(id, key) {
+    return `${TRASH_FILES_PREFIX}${id}/${key}`;
+}
+
+/**
+ * New trash record. id is sortable by deletion time and unique per item.
+ */
+export function createTrashRecord(env, { type, eventId, runNumber = null, label, keys, deletedBy, now = new Date() }) {
+    const stamp = now.toISOString().replace(/[-:.]/g, '');
+    const suffix = type === 'montage_run' ? `_run${runNumber}` : '';
+
+    return {
+        id: `${stamp}_${eventId}${suffix}`,
+        type,
+        event_id: eventId,
+        run_number: runNumber,
+        label,
+        deleted_at: now.toISOString(),
+        deleted_by: deletedBy,
+        purge_after: new Date(now.getTime() + retentionDays(env) * 86400000).toISOString(),
+        keys
+    };
+}
+
+export function isExpired(record, now = new Date()) {
+    return new Date(record.purge_after).getTime() <= now.getTime();
+}
+
+/**
+ * Montage count for index.json (runs x variants), as after a delete
+ */
+export function countMontages(manifest) {
+    let count = 0;
+    for (const run of manifest?.runs || []) {
+        count += Object.keys(run.variants || {}).length;
+    }
+    return count;
+}